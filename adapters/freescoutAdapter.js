@@ -12,8 +12,8 @@
   const HTMLSanitizer = global.HTMLSanitizer || window.HTMLSanitizer;
   
   class FreeScoutAdapter extends PlatformAdapter {
-  constructor() {
-    super();
+  constructor(selectors) {
+    super(selectors);
     this.platformName = 'freescout';
   }
 
@@ -49,11 +49,11 @@
     
     try {
       // Find all thread items
-      const threadItems = this.querySelectorAll('.thread-item', false); // Don't cache as content changes
+      const threadItems = this.querySelectorAll(this.selectors.threadItem, false); // Don't cache as content changes
       
       threadItems.forEach(item => {
-        const content = item.querySelector('.thread-content');
-        const person = item.querySelector('.thread-person');
+        const content = item.querySelector(this.selectors.threadContent);
+        const person = item.querySelector(this.selectors.threadPerson);
         
         if (!content) return;
         
@@ -62,17 +62,17 @@
         const personName = person ? this.sanitizeText(person.innerText.trim()) : 'Unknown';
         
         // Determine message type and role
-        if (item.classList.contains('thread-type-customer')) {
+        if (item.matches(this.selectors.customerThread)) {
           messages.push({
             role: 'user',
             content: `Customer (${personName}): ${messageText}`
           });
-        } else if (item.classList.contains('thread-type-message')) {
+        } else if (item.matches(this.selectors.agentThread)) {
           messages.push({
             role: 'assistant',
             content: `Agent (${personName}): ${messageText}`
           });
-        } else if (item.classList.contains('thread-type-note')) {
+        } else if (item.matches(this.selectors.noteThread)) {
           // Include internal notes for context
           messages.push({
             role: 'system',
@@ -106,7 +106,7 @@
    */
   extractFallbackContent() {
     try {
-      const contentDivs = document.querySelectorAll('div.thread-content');
+      const contentDivs = document.querySelectorAll(this.selectors.threadContent);
       const content = Array.from(contentDivs)
         .map(el => this.sanitizeText(el.innerText.trim()))
         .filter(text => text.length > 0)
@@ -124,41 +124,47 @@
    */
   getReplyEditor() {
     // Try Summernote WYSIWYG editor first
-    let editor = this.querySelector('.note-editable');
+    let editor = this.querySelector(this.selectors.editor);
     
     // Fallback to textarea
     if (!editor) {
-      editor = this.querySelector('textarea#body');
+      editor = this.querySelector(this.selectors.plainEditor);
     }
     
     // Try alternative selectors
     if (!editor) {
-      editor = this.querySelector('.reply-editor') || 
-               this.querySelector('[name="body"]');
+      editor = this.querySelector(this.selectors.fallbackEditor);
     }
     
     return editor;
   }
 
+  /**
+   * Get the send button of the reply form around the editor
+   */
+  getSendButtonSelector() {
+    return this.selectors.sendButton;
+  }
+
   /**
    * Get current user name from FreeScout UI
    */
   getCurrentUser() {
     try {
       // Try to get from nav bar
-      const navUser = this.querySelector('span.nav-user');
+      const navUser = this.querySelector(this.selectors.currentUser);
       if (navUser) {
         return this.sanitizeText(navUser.textContent.trim());
       }
       
       // Try alternative selectors
-      const userDropdown = this.querySelector('.user-dropdown .user-name');
+      const userDropdown = this.querySelector(this.selectors.userDropdown);
       if (userDropdown) {
         return this.sanitizeText(userDropdown.textContent.trim());
       }
       
       // Try to get from current user's messages
-      const currentUserMessage = this.querySelector('.thread-type-message.current-user .thread-person');
+      const currentUserMessage = this.querySelector(this.selectors.ownMessageAuthor);
       if (currentUserMessage) {
         return this.sanitizeText(currentUserMessage.textContent.trim());
       }
@@ -170,6 +176,35 @@
     return null;
   }
 
+  /**
+   * Get mailbox and tags for documentation routing
+   */
+  getConversationMeta() {
+    const meta = super.getConversationMeta();
+
+    try {
+      // The reply form carries the mailbox ID on conversation pages
+      const mailboxInput = this.querySelector(this.selectors.mailboxId, false);
+      if (mailboxInput) {
+        meta.mailboxId = mailboxInput.value || mailboxInput.getAttribute('data-mailbox-id') || meta.mailboxId;
+      }
+
+      const mailboxName = this.querySelector(this.selectors.mailboxName, false);
+      if (mailboxName) {
+        meta.mailboxName = this.sanitizeText(mailboxName.textContent.trim());
+      }
+
+      // Tags module
+      meta.tags = Array.from(this.querySelectorAll(this.selectors.tags, false))
+        .map(tag => this.sanitizeText(tag.textContent.trim()))
+        .filter(Boolean);
+    } catch (error) {
+      this.logError('Failed to get conversation meta', error);
+    }
+
+    return meta;
+  }
+
   /**
    * Extract WordPress/FreeScout customer information
    */
@@ -178,7 +213,7 @@
     
     try {
       // Check for WordPress FreeScout widget
-      const wpWidget = this.querySelector('#wordpress-freescout');
+      const wpWidget = this.querySelector(this.selectors.wordpressWidget);
       
       if (wpWidget) {
         // Extract WordPress customer data
@@ -425,31 +460,31 @@
     
     try {
       // Try to get customer name from conversation header
-      const customerName = this.querySelector('.conv-customer-name, .customer-name');
+      const customerName = this.querySelector(this.selectors.customerName);
       if (customerName) {
         data.name = customerName.textContent.trim();
       }
       
       // Try to get customer email
-      const customerEmail = this.querySelector('.conv-customer-email, .customer-email');
+      const customerEmail = this.querySelector(this.selectors.customerEmail);
       if (customerEmail) {
         data.email = customerEmail.textContent.trim();
       }
       
       // Try to get conversation subject
-      const subject = this.querySelector('.conv-subject, .conversation-subject');
+      const subject = this.querySelector(this.selectors.subject);
       if (subject) {
         data.conversationSubject = subject.textContent.trim();
       }
       
       // Try to get conversation status
-      const status = this.querySelector('.conv-status, .conversation-status');
+      const status = this.querySelector(this.selectors.status);
       if (status) {
         data.conversationStatus = status.textContent.trim();
       }
       
       // Try to get assigned agent
-      const assignee = this.querySelector('.conv-assignee, .assignee-name');
+      const assignee = this.querySelector(this.selectors.assignee);
       if (assignee) {
         data.assignedTo = assignee.textContent.trim();
       }
@@ -511,7 +546,7 @@
       
       let existingContext = '';
       
-      if (editor.contentEditable === 'true' || editor.classList.contains('note-editable')) {
+      if (editor.contentEditable === 'true' || editor.matches(this.selectors.editor)) {
         existingContext = editor.innerText.trim();
       } else if (editor.tagName === 'TEXTAREA' || editor.tagName === 'INPUT') {
         existingContext = editor.value.trim();
@@ -544,7 +579,7 @@
    */
   setupFreeScoutObservers() {
     // Watch for conversation changes (for SPAs or AJAX updates)
-    const conversationContainer = this.querySelector('.conversation-body, .thread-list');
+    const conversationContainer = this.querySelector(this.selectors.conversationContainer);
     
     if (conversationContainer) {
       // Use MutationObserver to detect when conversation changes
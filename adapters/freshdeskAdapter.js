@@ -0,0 +1,324 @@
+/**
+ * Freshdesk Platform Adapter
+ * Handles Freshdesk ticket pages (/a/tickets/{id}, or /helpdesk/tickets/{id} in the older UI),
+ * on *.freshdesk.com and on custom helpdesk domains
+ */
+
+(function(global) {
+  'use strict';
+
+  // Wait for dependencies
+  const PlatformAdapter = global.PlatformAdapter || window.PlatformAdapter;
+
+  class FreshdeskAdapter extends PlatformAdapter {
+  constructor(selectors) {
+    super(selectors);
+    this.platformName = 'freshdesk';
+
+    // Ticket properties included in the customer info, by their label
+    this.ticketProperties = {
+      priority: 'ticket_priority',
+      type: 'ticket_type',
+      group: 'ticket_group',
+      status: 'ticket_status'
+    };
+  }
+
+  /**
+   * Get platform name
+   */
+  getPlatformName() {
+    return this.platformName;
+  }
+
+  /**
+   * Check if this adapter can handle the current page
+   */
+  static canHandle(url, document) {
+    const isTicketUrl = /\/(a|helpdesk)\/tickets\/\d+/.test(url);
+    return isTicketUrl && (url.includes('.freshdesk.com') || document.querySelector('.fr-element') !== null);
+  }
+
+  /**
+   * Extract the ticket conversation: the requester's messages, agent replies and private notes
+   */
+  extractThread() {
+    const messages = [];
+
+    try {
+      const requester = this.getRequesterName();
+
+      const description = this.querySelector(this.selectors.description, false);
+      if (description) {
+        const body = description.querySelector(this.selectors.body) || description;
+        const text = this.sanitizeText(body.innerText.trim());
+        if (text) {
+          messages.push({
+            role: 'user',
+            content: `Customer (${requester || 'Unknown'}): ${text}`
+          });
+        }
+      }
+
+      this.querySelectorAll(this.selectors.conversation, false).forEach(item => {
+        const body = item.querySelector(this.selectors.body);
+        const author = item.querySelector(this.selectors.author);
+
+        if (!body) return;
+
+        const messageText = this.sanitizeText(body.innerText.trim());
+        const personName = author ? this.sanitizeText(author.innerText.trim()) : 'Unknown';
+
+        if (!messageText) return;
+
+        const isPrivate = item.querySelector(this.selectors.privateMarker) !== null ||
+                          item.classList.contains('private');
+        const isRequester = item.classList.contains('incoming') ||
+                            item.getAttribute('data-source') === 'incoming' ||
+                            (!!requester && personName === requester);
+
+        if (isPrivate) {
+          // Include private notes for context
+          messages.push({
+            role: 'system',
+            content: `Internal Note from ${personName}: ${messageText}`
+          });
+        } else if (isRequester) {
+          messages.push({
+            role: 'user',
+            content: `Customer (${personName}): ${messageText}`
+          });
+        } else {
+          messages.push({
+            role: 'assistant',
+            content: `Agent (${personName}): ${messageText}`
+          });
+        }
+      });
+
+      console.log(`GPT Assistant: Extracted ${messages.length} messages from Freshdesk`);
+
+    } catch (error) {
+      this.logError('Failed to extract thread', error);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Requester name from the sidebar
+   */
+  getRequesterName() {
+    const requester = this.querySelector(this.selectors.requester, false);
+    return requester ? this.sanitizeText(requester.innerText.trim()) || null : null;
+  }
+
+  /**
+   * Get the Froala reply editor
+   */
+  getReplyEditor() {
+    return this.querySelector(this.selectors.editor, false);
+  }
+
+  /**
+   * Open the reply editor when it's closed
+   * @returns {Promise<HTMLElement|null>}
+   */
+  async openReplyEditor() {
+    const editor = this.getReplyEditor();
+    if (editor) return editor;
+
+    const replyButton = document.querySelector(this.selectors.replyButton);
+    if (!replyButton || replyButton.disabled) return null;
+
+    console.log('GPT Assistant: No editor found, clicking Reply button to show editor');
+    replyButton.click();
+
+    try {
+      return await this.waitForElement(this.selectors.editor, 3000);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Inject reply, opening the reply editor first if needed
+   */
+  async injectReply(reply, options = {}) {
+    await this.openReplyEditor();
+    return super.injectReply(reply, options);
+  }
+
+  /**
+   * Prepare the editor for a streamed reply, opening it first if needed
+   */
+  async beginStreamingReply() {
+    await this.openReplyEditor();
+    return super.beginStreamingReply();
+  }
+
+  /**
+   * Froala updates its placeholder and the ticket form from input and keyup events
+   */
+  triggerInputEvents(element) {
+    super.triggerInputEvents(element);
+
+    const wrapper = element.closest('.fr-wrapper');
+    if (wrapper && element.textContent.trim()) {
+      wrapper.classList.remove('show-placeholder');
+    }
+  }
+
+  /**
+   * Get the send button of the reply form
+   */
+  getSendButtonSelector() {
+    return this.selectors.sendButton;
+  }
+
+  /**
+   * Get current agent name from the profile avatar
+   */
+  getCurrentUser() {
+    try {
+      const avatar = this.querySelector(this.selectors.currentUser);
+      if (avatar) {
+        const name = avatar.getAttribute('alt') || avatar.textContent || '';
+        return this.sanitizeText(name.trim()) || null;
+      }
+    } catch (error) {
+      this.logError('Failed to get current user', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Group and tags for documentation routing
+   */
+  getConversationMeta() {
+    const meta = super.getConversationMeta();
+
+    try {
+      const ticketMatch = window.location.pathname.match(/\/(?:a|helpdesk)\/tickets\/(\d+)/);
+      meta.ticketId = ticketMatch ? ticketMatch[1] : null;
+
+      meta.mailboxName = this.readProperties().ticket_group || null;
+
+      meta.tags = Array.from(this.querySelectorAll(this.selectors.tags, false))
+        .map(tag => this.sanitizeText(tag.textContent.trim()))
+        .filter(Boolean);
+    } catch (error) {
+      this.logError('Failed to get conversation meta', error);
+    }
+
+    return meta;
+  }
+
+  /**
+   * Contact and company fields from the sidebar, plus the ticket's priority, type, group and status
+   */
+  extractPlatformCustomerInfo() {
+    const customerInfo = {};
+
+    try {
+      const contact = this.readWidget(this.selectors.contactWidget);
+      Object.assign(customerInfo, contact);
+
+      if (!customerInfo.name) {
+        const requester = this.getRequesterName();
+        if (requester) {
+          customerInfo.name = requester;
+        }
+      }
+
+      const company = this.readWidget(this.selectors.companyWidget);
+      Object.entries(company).forEach(([key, value]) => {
+        customerInfo[key === 'name' ? 'company' : `company_${key}`] = value;
+      });
+
+      Object.assign(customerInfo, this.readProperties());
+    } catch (error) {
+      this.logError('Failed to extract customer info', error);
+    }
+
+    return Object.keys(customerInfo).length > 0 ? customerInfo : null;
+  }
+
+  /**
+   * Label/value rows of a sidebar widget as { snake_case_label: value }
+   */
+  readWidget(selector) {
+    const fields = {};
+    const widget = this.querySelector(selector, false);
+    if (!widget) return fields;
+
+    widget.querySelectorAll(this.selectors.widgetField).forEach(field => {
+      const label = field.querySelector(this.selectors.fieldLabel);
+      const value = field.querySelector(this.selectors.fieldValue);
+
+      if (label && value) {
+        const key = label.innerText.trim().toLowerCase().replace(/\s+/g, '_');
+        const text = this.sanitizeText(value.innerText.trim());
+        if (key && text && text !== '--') {
+          fields[key] = text;
+        }
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * The ticket properties listed in this.ticketProperties, read from the properties panel
+   */
+  readProperties() {
+    const properties = {};
+    const panel = this.querySelector(this.selectors.properties, false);
+    if (!panel) return properties;
+
+    panel.querySelectorAll(this.selectors.propertyField).forEach(field => {
+      const label = field.querySelector(this.selectors.propertyLabel);
+      const key = label ? this.ticketProperties[label.innerText.replace(/\*/g, '').trim().toLowerCase()] : null;
+      if (!key) return;
+
+      const control = field.querySelector(this.selectors.propertyValue);
+      if (!control) return;
+
+      let value;
+      if (control.tagName === 'SELECT') {
+        value = control.selectedOptions[0]?.textContent || '';
+      } else if (control.tagName === 'INPUT') {
+        value = control.value;
+      } else {
+        value = control.innerText;
+      }
+
+      value = this.sanitizeText((value || '').trim());
+      if (value && value !== '--') {
+        properties[key] = value;
+      }
+    });
+
+    return properties;
+  }
+
+  /**
+   * Platform-specific initialization
+   */
+  async platformInitialize() {
+    console.log('GPT Assistant: Freshdesk adapter initialized');
+  }
+
+  /**
+   * Check if a ticket is open
+   */
+  isReady() {
+    return document.querySelector(this.selectors.description) !== null ||
+           document.querySelector(this.selectors.conversation) !== null;
+  }
+}
+
+  // Export to global scope
+  global.FreshdeskAdapter = FreshdeskAdapter;
+})(window);
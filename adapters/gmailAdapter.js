@@ -0,0 +1,295 @@
+/**
+ * Gmail Platform Adapter
+ * Handles the open thread in Gmail and Google Workspace mail (mail.google.com), e.g. a shared support inbox
+ * Messages from the signed-in account are the agent's, everything else is the customer's
+ */
+
+(function(global) {
+  'use strict';
+
+  // Wait for dependencies
+  const PlatformAdapter = global.PlatformAdapter || window.PlatformAdapter;
+
+  class GmailAdapter extends PlatformAdapter {
+  constructor(selectors) {
+    super(selectors);
+    this.platformName = 'gmail';
+  }
+
+  /**
+   * Get platform name
+   */
+  getPlatformName() {
+    return this.platformName;
+  }
+
+  /**
+   * Check if this adapter can handle the current page
+   */
+  static canHandle(url, document) {
+    return url.includes('mail.google.com/mail/');
+  }
+
+  /**
+   * The signed-in (or delegated) account: { name, email }
+   * The account button's label is localised, so the email falls back to the page title
+   */
+  getAccount() {
+    const account = { name: null, email: null };
+
+    const button = document.querySelector(this.selectors.account);
+    if (button) {
+      const label = button.getAttribute('aria-label').replace(/^Google Account:\s*/, '');
+      const emailMatch = label.match(/\(([^()\s]+@[^()\s]+)\)/);
+      account.name = label.replace(/\([^)]*\)/, '').trim() || null;
+      account.email = emailMatch ? emailMatch[1] : null;
+    }
+
+    if (!account.email) {
+      const titleMatch = document.title.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+      account.email = titleMatch ? titleMatch[0] : null;
+    }
+
+    return account;
+  }
+
+  /**
+   * Text of an element without the parts matching a selector, keeping line breaks
+   */
+  getTextWithout(element, excluded) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(excluded).forEach(node => node.remove());
+    clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    clone.querySelectorAll('div, p, li, tr').forEach(block => block.append('\n'));
+
+    return clone.textContent.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Extract the open thread's messages with their sender and date
+   * Collapsed messages have no body in the page, so only expanded ones are included
+   */
+  extractThread() {
+    const messages = [];
+
+    try {
+      const accountEmail = (this.getAccount().email || '').toLowerCase();
+
+      this.querySelectorAll(this.selectors.message, false).forEach(message => {
+        const body = message.querySelector(this.selectors.body);
+        const sender = message.querySelector(this.selectors.sender);
+        const date = message.querySelector(this.selectors.date);
+
+        if (!body) return;
+
+        const messageText = this.sanitizeText(this.getTextWithout(body, this.selectors.quote));
+        if (!messageText) return;
+
+        const email = sender ? sender.getAttribute('email') : '';
+        const name = this.sanitizeText(sender ? (sender.getAttribute('name') || email) : 'Unknown');
+        const sentAt = date ? this.sanitizeText(date.getAttribute('title') || date.textContent.trim()) : '';
+        const prefix = sentAt ? `[${sentAt}] ` : '';
+
+        if (accountEmail && email.toLowerCase() === accountEmail) {
+          messages.push({
+            role: 'assistant',
+            content: `${prefix}Agent (${name}): ${messageText}`
+          });
+        } else {
+          messages.push({
+            role: 'user',
+            content: `${prefix}Customer (${name}${email ? ` <${this.sanitizeText(email)}>` : ''}): ${messageText}`
+          });
+        }
+      });
+
+      console.log(`GPT Assistant: Extracted ${messages.length} messages from Gmail`);
+
+    } catch (error) {
+      this.logError('Failed to extract thread', error);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Get the inline reply compose body (the last one when several are open)
+   */
+  getReplyEditor() {
+    const editors = this.querySelectorAll(this.selectors.editor, false);
+    return editors.length > 0 ? editors[editors.length - 1] : null;
+  }
+
+  /**
+   * Open a reply when no compose body is open
+   * @returns {Promise<HTMLElement|null>}
+   */
+  async openReplyEditor() {
+    const editor = this.getReplyEditor();
+    if (editor) return editor;
+
+    const buttons = this.querySelectorAll(this.selectors.replyButton, false);
+    if (buttons.length === 0) return null;
+
+    console.log('GPT Assistant: No editor found, clicking Reply to open one');
+    buttons[buttons.length - 1].click();
+
+    try {
+      return await this.waitForElement(this.selectors.editor, 3000);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Inject reply, opening a reply first if needed
+   */
+  async injectReply(reply, options = {}) {
+    await this.openReplyEditor();
+    return super.injectReply(reply, options);
+  }
+
+  /**
+   * Prepare the compose body for a streamed reply, opening a reply first if needed
+   */
+  async beginStreamingReply() {
+    await this.openReplyEditor();
+    return super.beginStreamingReply();
+  }
+
+  /**
+   * The first top-level node of the signature or quoted text, which replies are placed before
+   */
+  getKeptNode(editor) {
+    const kept = editor.querySelector(this.selectors.keep);
+    if (!kept) return null;
+
+    let node = kept;
+    while (node.parentNode !== editor) {
+      node = node.parentNode;
+    }
+    return node;
+  }
+
+  /**
+   * Keep the signature and quoted text when replacing or appending to the compose body
+   */
+  insertHTMLIntoEditor(editor, html, mode = 'replace') {
+    const kept = this.getKeptNode(editor);
+    if (!kept || mode === 'insert') {
+      return super.insertHTMLIntoEditor(editor, html, mode);
+    }
+
+    if (mode === 'replace') {
+      while (kept.previousSibling) {
+        kept.previousSibling.remove();
+      }
+    }
+
+    // Leave a blank line between the reply and the signature
+    kept.insertAdjacentHTML('beforebegin', html ? `${html}<br>` : '');
+  }
+
+  /**
+   * The agent's text in the compose body, without the signature and quoted text
+   */
+  getReplyText() {
+    const editor = this.getReplyEditor();
+    if (!editor) return null;
+
+    return this.getKeptNode(editor) ? this.getTextWithout(editor, this.selectors.keep) : editor.innerText;
+  }
+
+  /**
+   * Notes the agent typed before generating, without the signature and quoted text
+   */
+  getExistingContext() {
+    const text = (this.getReplyText() || '').trim();
+    return text.includes('Generating AI response') ? '' : text;
+  }
+
+  /**
+   * Get the send button of the reply
+   */
+  getSendButtonSelector() {
+    return this.selectors.sendButton;
+  }
+
+  /**
+   * Name of the signed-in account
+   */
+  getCurrentUser() {
+    try {
+      const name = this.getAccount().name;
+      return name ? this.sanitizeText(name) : null;
+    } catch (error) {
+      this.logError('Failed to get current user', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * The account's address as the mailbox and the thread's labels as tags, for documentation routing
+   */
+  getConversationMeta() {
+    const meta = super.getConversationMeta();
+
+    try {
+      meta.mailboxName = this.getAccount().email;
+      meta.tags = Array.from(this.querySelectorAll(this.selectors.labels, false))
+        .map(label => this.sanitizeText(label.textContent.trim()))
+        .filter(Boolean);
+    } catch (error) {
+      this.logError('Failed to get conversation meta', error);
+    }
+
+    return meta;
+  }
+
+  /**
+   * The latest external sender and the thread subject
+   */
+  extractPlatformCustomerInfo() {
+    const customerInfo = {};
+
+    try {
+      const accountEmail = (this.getAccount().email || '').toLowerCase();
+      const senders = Array.from(this.querySelectorAll(`${this.selectors.message} ${this.selectors.sender}`, false))
+        .filter(sender => sender.getAttribute('email').toLowerCase() !== accountEmail);
+      const customer = senders[senders.length - 1];
+
+      if (customer) {
+        customerInfo.name = customer.getAttribute('name') || customer.getAttribute('email');
+        customerInfo.email = customer.getAttribute('email');
+      }
+
+      const subject = this.querySelector(this.selectors.subject, false);
+      if (subject) {
+        customerInfo.conversationSubject = subject.textContent.trim();
+      }
+    } catch (error) {
+      this.logError('Failed to extract customer info', error);
+    }
+
+    return Object.keys(customerInfo).length > 0 ? customerInfo : null;
+  }
+
+  /**
+   * Platform-specific initialization
+   */
+  async platformInitialize() {
+    console.log('GPT Assistant: Gmail adapter initialized');
+  }
+
+  /**
+   * Check if a thread is open
+   */
+  isReady() {
+    return document.querySelector(this.selectors.message) !== null;
+  }
+}
+
+  // Export to global scope
+  global.GmailAdapter = GmailAdapter;
+})(window);
@@ -12,8 +12,8 @@
   const HTMLSanitizer = global.HTMLSanitizer || window.HTMLSanitizer;
   
   class HelpScoutAdapter extends PlatformAdapter {
-  constructor() {
-    super();
+  constructor(selectors) {
+    super(selectors);
     this.platform = 'helpscout';
     this.observer = null;
     this.initializationAttempts = 0;
@@ -22,36 +22,6 @@
     this.conversationCache = new Map();
     this.eventListeners = new Map(); // For event handling
     
-    // Help Scout specific selectors - using stable attributes and semantic elements
-    this.selectors = {
-      // Conversation thread selectors - using data attributes and semantic HTML
-      conversationContainer: '[data-testid="ThreadContainer"], ol[aria-label="Thread Items"], ol[role="list"]',
-      threadItem: '.thread-item, div[id^="thread-"], div[aria-label*="response"], div[aria-label*="reply"], li[class*="ThreadListItem"] > div',
-      threadContent: '.thread-content, div[class*="is-wide-layout"]:not([data-testid])',
-      threadAuthor: 'span[data-nocollapse="true"], [class*="ThreadItem"] span:first-child',
-      
-      // Editor selectors - updated based on actual DOM
-      editor: '[data-cy="ConvoEditor"], [data-testid="reply-editor"], .editor-container[contenteditable="true"], [role="textbox"][aria-label="Reply Editor"]',
-      editorContainer: '.editor-container, [data-cy="ConvoEditor"], [data-testid="reply-editor"]',
-      replyButton: '[data-testid="reply-button"], [data-cy="reply-button"], .reply-button, button[aria-label*="Reply"]',
-      noteButton: '[data-testid="note-button"], .note-button',
-      replyBar: '[data-testid="reply-bar"], .ReplyBarV2css__ReplyBarUI-sc-ccddjv-0',
-      
-      // Customer info selectors
-      sidebar: '.c-conversation-sidebar, .sidebar-customer, [data-cy="customer-sidebar"]',
-      customerProperty: '.c-customer-property, .customer-property, [data-cy="customer-property"]',
-      propertyLabel: '.c-property-label, .property-label',
-      propertyValue: '.c-property-value, .property-value',
-      
-      // User info selectors
-      userAvatar: '.c-avatar__name, .user-name, [data-cy="user-name"]',
-      currentUser: '.current-user, [data-cy="current-user"]',
-      
-      // Loading states
-      loadingIndicator: '.loading, .spinner, [data-cy="loading"]',
-      conversationLoaded: '[data-conversation-loaded="true"], .conversation-loaded'
-    };
-    
     // Initialize on construction
     this.initialize();
   }
@@ -97,7 +67,7 @@
         const hasAppData = window.appData && window.appData.conversationView;
         const hasConversation = document.querySelector(this.selectors.conversationContainer);
         const hasEditor = document.querySelector(this.selectors.editor);
-        const hasMainContent = document.querySelector('#wrap') || document.querySelector('#mailbox');
+        const hasMainContent = document.querySelector(this.selectors.appRoot);
         
         // More lenient detection - any of these indicates Help Scout is present
         if ((hasAppData || hasConversation || hasEditor || hasMainContent) && this.initializationAttempts < this.maxInitAttempts) {
@@ -370,17 +340,8 @@
                         'Unknown';
       
       const messageText = HTMLSanitizer?.sanitize ? 
-// adapters/helpscoutAdapter.js
-
-// …
-
-- const messageText = HTMLSanitizer?.sanitize ? 
--   HTMLSanitizer.sanitize(thread.body || '') :
- const messageText = HTMLSanitizer?.sanitize ? 
-   HTMLSanitizer.sanitize(thread.body || '') :
-   this.basicSanitize(thread.body || ''); // Use fallback sanitization from base class
-
-// …
+        HTMLSanitizer.sanitize(thread.body || '') :
+        this.basicSanitize(thread.body || ''); // Use fallback sanitization from base class
       
       if (messageText) {
         messages.push({
@@ -436,10 +397,31 @@
     return null;
   }
   
+  /**
+   * Send buttons inside the reply bar
+   */
+  getSendButtonSelector() {
+    const bars = this.selectors.replyBar.split(', ');
+    const buttons = this.selectors.sendButton.split(', ');
+
+    return bars.flatMap(bar => buttons.map(button => `${bar} ${button}`)).join(', ');
+  }
+
+  /**
+   * Read the editor text without opening the editor (getReplyEditor() may click Reply)
+   */
+  getReplyText() {
+    const editor = document.querySelector(this.selectors.editor);
+    return editor ? editor.innerText : null;
+  }
+
   /**
    * Inject reply into Help Scout editor
+   * @param {string} reply - Reply text to inject
+   * @param {Object} options - { mode: 'replace' | 'append' | 'insert' }
    */
-  async injectReply(reply) {
+  async injectReply(reply, options = {}) {
+    const mode = options.mode || 'replace';
     const editor = await this.getReplyEditor();
     
     if (!editor) {
@@ -451,7 +433,7 @@
     // Check if this is a Slate.js editor (Help Scout uses Slate v0.47)
     if (editor.hasAttribute('data-slate-editor')) {
       // For Slate.js editor, inject content without sanitization (needs plain text)
-      const success = await this.injectIntoSlateEditor(editor, reply);
+      const success = await this.injectIntoSlateEditor(editor, reply, mode);
       
       if (!success) {
         console.warn('GPT Assistant: Slate injection had issues, used fallback');
@@ -465,7 +447,7 @@
       // Only sanitize for non-Slate editors
       const sanitizedReply = HTMLSanitizer.sanitize(reply);
       const formattedHTML = this.formatReplyHTML(sanitizedReply);
-      editor.innerHTML = formattedHTML;
+      this.insertHTMLIntoEditor(editor, formattedHTML, mode);
       
       // Trigger input events for React
       this.triggerReactChange(editor);
@@ -478,7 +460,7 @@
       
     } else if (editor.tagName === 'TEXTAREA') {
       // Plain text editor
-      editor.value = reply;
+      this.insertTextIntoField(editor, reply, mode);
       
       // Trigger change events
       editor.dispatchEvent(new Event('input', { bubbles: true }));
@@ -527,49 +509,57 @@
     selection.addRange(range);
   }
   
+  /**
+   * Find the Slate.js editor instance behind a Slate DOM node via React's fiber tree
+   */
+  findSlateEditor(editor) {
+    const reactInternalKey = Object.keys(editor).find(key => key.startsWith('__reactInternalInstance'));
+    let fiber = editor[reactInternalKey];
+    
+    // Walk up the fiber tree to find the Slate editor component
+    while (fiber) {
+      if (fiber.memoizedProps?.editor) {
+        return fiber.memoizedProps.editor;
+      }
+      fiber = fiber.return;
+    }
+    
+    return null;
+  }
+  
   /**
    * Inject content into Slate.js editor with proper data model
+   * @param {string} mode - 'replace' clears the editor, 'append' adds after the content,
+   *                        'insert' uses Slate's current selection
    */
-  async injectIntoSlateEditor(editor, reply) {
+  async injectIntoSlateEditor(editor, reply, mode = 'replace') {
+    const hasContent = !!(editor.textContent || '').trim();
+
     try {
       // First approach: Try to use Slate's API directly through React
-      const reactInternalKey = Object.keys(editor).find(key => key.startsWith('__reactInternalInstance'));
-      const reactInstance = editor[reactInternalKey];
+      const slateEditor = this.findSlateEditor(editor);
       
-      if (reactInstance) {
-        // Try to access the Slate editor through React's fiber tree
-        let fiber = reactInstance;
-        let slateEditor = null;
-        
-        // Walk up the fiber tree to find the Slate editor component
-        while (fiber && !slateEditor) {
-          if (fiber.memoizedProps?.editor) {
-            slateEditor = fiber.memoizedProps.editor;
-            break;
-          }
-          if (fiber.return) {
-            fiber = fiber.return;
-          } else {
-            break;
-          }
-        }
-        
-        if (slateEditor && slateEditor.insertText) {
-          // Use Slate's insertText method for proper data model handling
-          // First, clear existing content if any
+      if (slateEditor && slateEditor.insertText) {
+        // Use Slate's insertText method for proper data model handling
+        if (mode === 'replace' || !hasContent) {
+          // Clear existing content if any
           slateEditor.selectAll();
           slateEditor.deleteBackward('block');
-          
-          // Insert the new text
-          slateEditor.insertText(reply);
-          
-          // Trigger change events
-          editor.dispatchEvent(new Event('input', { bubbles: true }));
-          editor.dispatchEvent(new Event('change', { bubbles: true }));
-          
-          console.log('GPT Assistant: Successfully injected content using Slate.js API');
-          return true;  // THIS RETURNS FROM THE FUNCTION - NO DUPLICATE
+        } else if (mode === 'append' && slateEditor.moveToEndOfDocument) {
+          // Start a new paragraph after the agent's text
+          slateEditor.moveToEndOfDocument();
+          slateEditor.splitBlock();
         }
+        
+        // Insert the new text
+        slateEditor.insertText(reply);
+        
+        // Trigger change events
+        editor.dispatchEvent(new Event('input', { bubbles: true }));
+        editor.dispatchEvent(new Event('change', { bubbles: true }));
+        
+        console.log('GPT Assistant: Successfully injected content using Slate.js API');
+        return true;  // THIS RETURNS FROM THE FUNCTION - NO DUPLICATE
       }
       
       // Second approach: Use paste event which Slate handles natively
@@ -582,12 +572,18 @@
         // Wait a moment for focus to take effect
         await new Promise(resolve => setTimeout(resolve, 100));
         
-        // Select all content first
+        // Select what the paste should replace: everything, the end, or the caret
         const selection = window.getSelection();
-        const range = document.createRange();
-        range.selectNodeContents(editor);
-        selection.removeAllRanges();
-        selection.addRange(range);
+        const caretInEditor = selection.rangeCount > 0 && editor.contains(selection.getRangeAt(0).commonAncestorContainer);
+        if (mode !== 'insert' || !hasContent || !caretInEditor) {
+          const range = document.createRange();
+          range.selectNodeContents(editor);
+          if (mode !== 'replace' && hasContent) {
+            range.collapse(false);
+          }
+          selection.removeAllRanges();
+          selection.addRange(range);
+        }
         
         // Create and dispatch a paste event
         // This is the most reliable way as Slate has built-in paste handling
@@ -633,16 +629,18 @@
         editor.focus();
         await new Promise(resolve => setTimeout(resolve, 50));
         
-        // Use keyboard shortcuts to select all (Cmd+A or Ctrl+A)
-        const selectAllKey = new KeyboardEvent('keydown', {
-          key: 'a',
-          code: 'KeyA',
-          ctrlKey: !navigator.platform.includes('Mac'),
-          metaKey: navigator.platform.includes('Mac'),
-          bubbles: true,
-          cancelable: true
-        });
-        editor.dispatchEvent(selectAllKey);
+        // Use keyboard shortcuts to select all (Cmd+A or Ctrl+A) when replacing
+        if (mode === 'replace') {
+          const selectAllKey = new KeyboardEvent('keydown', {
+            key: 'a',
+            code: 'KeyA',
+            ctrlKey: !navigator.platform.includes('Mac'),
+            metaKey: navigator.platform.includes('Mac'),
+            bubbles: true,
+            cancelable: true
+          });
+          editor.dispatchEvent(selectAllKey);
+        }
         
         // Small delay for selection
         await new Promise(resolve => setTimeout(resolve, 50));
@@ -688,6 +686,76 @@
     }
   }
   
+  /**
+   * Prepare the Help Scout editor for a streamed reply
+   * Slate editors receive text through Slate's own API so its data model stays in sync
+   */
+  async beginStreamingReply() {
+    const editor = await this.getReplyEditor();
+
+    if (!editor || !editor.hasAttribute('data-slate-editor')) {
+      this._slateStream = null;
+      return super.beginStreamingReply();
+    }
+
+    const slateEditor = this.findSlateEditor(editor);
+
+    if (slateEditor && slateEditor.insertText) {
+      slateEditor.selectAll();
+      slateEditor.deleteBackward('block');
+    }
+
+    // Without access to the Slate API the text is buffered and pasted once complete
+    this._slateStream = {
+      editor: editor,
+      slateEditor: slateEditor && slateEditor.insertText ? slateEditor : null,
+      text: ''
+    };
+
+    return true;
+  }
+
+  /**
+   * Append a streamed chunk to the Help Scout editor
+   */
+  appendStreamingReply(delta) {
+    if (!this._slateStream) {
+      return super.appendStreamingReply(delta);
+    }
+
+    if (!delta) {
+      return;
+    }
+
+    this._slateStream.text += delta;
+
+    if (this._slateStream.slateEditor) {
+      this._slateStream.slateEditor.insertText(delta);
+    }
+  }
+
+  /**
+   * Finalize a streamed reply in the Help Scout editor
+   */
+  async finishStreamingReply() {
+    if (!this._slateStream) {
+      return super.finishStreamingReply();
+    }
+
+    const { editor, slateEditor, text } = this._slateStream;
+    this._slateStream = null;
+
+    if (slateEditor) {
+      editor.dispatchEvent(new Event('input', { bubbles: true }));
+      editor.dispatchEvent(new Event('change', { bubbles: true }));
+    } else if (text) {
+      await this.injectIntoSlateEditor(editor, text);
+    }
+
+    editor.focus();
+    return text;
+  }
+
   /**
    * Get current user information
    */
@@ -709,6 +777,30 @@
     return userElement ? HTMLSanitizer.sanitize(userElement.innerText.trim()) : null;
   }
   
+  /**
+   * Get mailbox and tags for documentation routing
+   */
+  getConversationMeta() {
+    const meta = super.getConversationMeta();
+    const mailbox = this.appDataCache?.mailbox || window.appData?.mailbox;
+    const conversation = this.appDataCache?.conversation ||
+                        window.appData?.conversationView?.conversation ||
+                        window.appData?.conversation;
+
+    if (mailbox) {
+      meta.mailboxId = mailbox.id != null ? String(mailbox.id) : meta.mailboxId;
+      meta.mailboxName = mailbox.name || null;
+    }
+
+    if (Array.isArray(conversation?.tags)) {
+      meta.tags = conversation.tags
+        .map(tag => typeof tag === 'string' ? tag : (tag.name || tag.tag || ''))
+        .filter(Boolean);
+    }
+
+    return meta;
+  }
+  
   /**
    * Extract customer information from Help Scout
    */
@@ -758,52 +850,29 @@
   }
   
   /**
-   * Show notification in Help Scout UI
+   * Show notification, through Help Scout's own notification system when available
    */
   showNotification(message, type = 'info') {
-    // Help Scout uses a notification system we can hook into
     if (window.HS && window.HS.notify) {
       window.HS.notify(message, type);
       return;
     }
-    
-    // Fallback to custom notification
-    const notification = document.createElement('div');
-    notification.className = `gpt-assistant-notification ${type}`;
-    notification.textContent = message;
-    notification.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      padding: 12px 20px;
-      background: ${type === 'error' ? '#dc3545' : type === 'success' ? '#28a745' : '#17a2b8'};
-      color: white;
-      border-radius: 4px;
-      z-index: 9999;
-      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-      font-size: 14px;
-      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-      animation: slideIn 0.3s ease-out;
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Remove after 3 seconds
-    setTimeout(() => {
-      notification.style.animation = 'slideOut 0.3s ease-out';
-      setTimeout(() => notification.remove(), 300);
-    }, 3000);
+
+    super.showNotification(message, type);
   }
+
   
   /**
    * Show generating status in Help Scout
    */
-  async showGeneratingStatus() {
+  async showGeneratingStatus(statusMessage = 'Generating AI response...') {
     const editor = await this.getReplyEditor();
     if (!editor) return;
     
-    // Check if status already exists
-    if (document.getElementById('gpt-generating-status')) {
+    // Update the text if the status already exists
+    const existing = document.getElementById('gpt-generating-status');
+    if (existing) {
+      existing.querySelector('.gpt-generating-text').textContent = statusMessage;
       return;
     }
     
@@ -814,10 +883,12 @@
     loader.innerHTML = `
       <div style="display: flex; align-items: center; padding: 8px; background: #f0f8ff; border-radius: 4px; margin-bottom: 8px;">
         <div class="spinner" style="width: 16px; height: 16px; border: 2px solid #0066cc; border-top-color: transparent; border-radius: 50%; animation: spin 0.8s linear infinite; margin-right: 8px;"></div>
-        <span style="color: #0066cc; font-size: 14px;">Generating AI response...</span>
+        <span class="gpt-generating-text" style="color: #0066cc; font-size: 14px;"></span>
       </div>
     `;
     
+    loader.querySelector('.gpt-generating-text').textContent = statusMessage;
+
     // Find the best place to insert the loader
     try {
       // Try to find the editor container
@@ -951,9 +1022,8 @@
     // More lenient readiness check - Help Scout might be loading conversation
     // Check for any Help Scout indicators
     const hasHelpScoutDOM = !!(
-      document.querySelector('#wrap') || 
-      document.querySelector('#mailbox') ||
-      document.querySelector('.c-conversation') ||
+      document.querySelector(this.selectors.appRoot) ||
+      document.querySelector(this.selectors.conversation) ||
       document.querySelector(this.selectors.conversationContainer)
     );
     
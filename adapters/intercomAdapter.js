@@ -0,0 +1,371 @@
+/**
+ * Intercom Platform Adapter
+ * Handles the Intercom Inbox (app.intercom.com/a/inbox/...)
+ * Includes MutationObserver for the Ember single-page app
+ */
+
+(function(global) {
+  'use strict';
+
+  // Wait for dependencies
+  const PlatformAdapter = global.PlatformAdapter || window.PlatformAdapter;
+
+  class IntercomAdapter extends PlatformAdapter {
+  constructor(selectors) {
+    super(selectors);
+    this.platformName = 'intercom';
+    this.observer = null;
+    this.conversationId = null;
+    this.eventListeners = new Map(); // For event handling
+    this.onPopState = null;
+  }
+
+  /**
+   * Get platform name
+   */
+  getPlatformName() {
+    return this.platformName;
+  }
+
+  /**
+   * Check if this adapter can handle the current page
+   */
+  static canHandle(url, document) {
+    return /app(\.eu|\.au)?\.intercom\.com\/a\//.test(url) ||
+           document.querySelector('[data-conversation-stream]') !== null;
+  }
+
+  /**
+   * Platform-specific initialization
+   */
+  async platformInitialize() {
+    // The inbox renders the conversation after the page loads
+    try {
+      await this.waitForElement(this.selectors.conversationStream);
+    } catch (error) {
+      console.warn('GPT Assistant: Intercom conversation not found yet');
+    }
+
+    this.conversationId = this.getConversationId();
+    this.setupMutationObserver();
+    this.setupEventListeners();
+
+    console.log('GPT Assistant: Intercom adapter initialized');
+  }
+
+  /**
+   * Conversation ID from the URL (/conversation/{id} or /conversations/{id})
+   */
+  getConversationId() {
+    const match = window.location.pathname.match(/\/conversations?\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Set up MutationObserver for the single-page app's content changes
+   */
+  setupMutationObserver() {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+
+    this.observer = new MutationObserver((mutations) => {
+      // New parts or a different conversation in the stream
+      const streamChanged = mutations.some(mutation =>
+        mutation.type === 'childList' &&
+        mutation.target.closest?.(this.selectors.conversationStream));
+
+      if (streamChanged) {
+        this.clearCache();
+      }
+
+      // Switching conversations in the list view
+      const conversationId = this.getConversationId();
+      if (conversationId !== this.conversationId) {
+        this.conversationId = conversationId;
+        this.clearCache();
+        this.emit('conversationLoaded', { conversationId });
+      }
+
+      const editorAdded = mutations.some(mutation =>
+        Array.from(mutation.addedNodes).some(node =>
+          node.nodeType === Node.ELEMENT_NODE &&
+          (node.matches(this.selectors.editor) || node.querySelector(this.selectors.editor))));
+
+      if (editorAdded) {
+        this.emit('editorReady', { editor: this.getReplyEditor() });
+      }
+    });
+
+    // Observe the entire document body for changes
+    this.observer.observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+  }
+
+  /**
+   * Set up Intercom-specific event listeners
+   */
+  setupEventListeners() {
+    // Back and forward navigation between conversations
+    this.onPopState = () => {
+      this.clearCache();
+      this.conversationId = this.getConversationId();
+      this.emit('conversationLoaded', { conversationId: this.conversationId });
+    };
+    window.addEventListener('popstate', this.onPopState);
+  }
+
+  /**
+   * Extract conversation thread from the conversation parts
+   * User parts are customer messages, admin and bot parts replies, notes internal notes
+   */
+  extractThread() {
+    const messages = [];
+
+    try {
+      const parts = this.querySelectorAll(this.selectors.part, false);
+
+      parts.forEach(part => {
+        const body = part.querySelector(this.selectors.partBody);
+        const author = part.querySelector(this.selectors.partAuthor);
+
+        if (!body) return;
+
+        const messageText = this.sanitizeText(body.innerText.trim());
+        const personName = author ? this.sanitizeText(author.innerText.trim()) : 'Unknown';
+
+        if (!messageText) return;
+
+        switch (this.getPartType(part)) {
+          case 'user':
+            messages.push({
+              role: 'user',
+              content: `Customer (${personName}): ${messageText}`
+            });
+            break;
+          case 'admin':
+            messages.push({
+              role: 'assistant',
+              content: `Agent (${personName}): ${messageText}`
+            });
+            break;
+          case 'bot':
+            messages.push({
+              role: 'assistant',
+              content: `Bot (${personName}): ${messageText}`
+            });
+            break;
+          case 'note':
+            // Include internal notes for context
+            messages.push({
+              role: 'system',
+              content: `Internal Note from ${personName}: ${messageText}`
+            });
+            break;
+        }
+      });
+
+      console.log(`GPT Assistant: Extracted ${messages.length} messages from Intercom`);
+
+    } catch (error) {
+      this.logError('Failed to extract thread', error);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Part type: 'user', 'admin', 'bot' or 'note' (events such as assignments return null)
+   */
+  getPartType(part) {
+    const type = part.getAttribute('data-part-type');
+    if (type) {
+      return ['user', 'admin', 'bot', 'note'].includes(type) ? type : null;
+    }
+
+    if (part.classList.contains('o__note')) return 'note';
+    if (part.classList.contains('o__bot')) return 'bot';
+    if (part.classList.contains('o__admin')) return 'admin';
+    if (part.classList.contains('o__user')) return 'user';
+    return null;
+  }
+
+  /**
+   * Get the ProseMirror composer
+   */
+  getReplyEditor() {
+    return this.querySelector(this.selectors.editor, false);
+  }
+
+  /**
+   * ProseMirror renders the composer from its own document
+   */
+  isModelEditor(editor) {
+    return editor.classList.contains('ProseMirror');
+  }
+
+  /**
+   * Get the composer's send button
+   */
+  getSendButtonSelector() {
+    return this.selectors.sendButton;
+  }
+
+  /**
+   * Get current teammate name from the navigation avatar
+   */
+  getCurrentUser() {
+    try {
+      const avatar = this.querySelector(this.selectors.currentUser);
+      if (avatar) {
+        const name = avatar.getAttribute('alt') || avatar.getAttribute('data-admin-name') || '';
+        return this.sanitizeText(name.trim()) || null;
+      }
+    } catch (error) {
+      this.logError('Failed to get current user', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Team inbox and tags for documentation routing
+   */
+  getConversationMeta() {
+    const meta = super.getConversationMeta();
+
+    try {
+      const teamMatch = window.location.pathname.match(/\/inbox\/team\/(\d+)/);
+      meta.mailboxId = teamMatch ? teamMatch[1] : null;
+
+      const inboxName = this.querySelector(this.selectors.inboxName, false);
+      if (inboxName) {
+        meta.mailboxName = this.sanitizeText(inboxName.textContent.trim());
+      }
+
+      meta.tags = Array.from(this.querySelectorAll(this.selectors.tags, false))
+        .map(tag => this.sanitizeText(tag.textContent.trim()))
+        .filter(Boolean);
+    } catch (error) {
+      this.logError('Failed to get conversation meta', error);
+    }
+
+    return meta;
+  }
+
+  /**
+   * User and company attributes from the details side panel
+   */
+  extractPlatformCustomerInfo() {
+    const customerInfo = {};
+
+    try {
+      const sidebar = this.querySelector(this.selectors.sidebar, false);
+      if (!sidebar) {
+        return null;
+      }
+
+      const user = this.readAttributes(sidebar.querySelector(this.selectors.userAttributes));
+      Object.entries(user).forEach(([key, value]) => {
+        customerInfo[key] = value;
+      });
+
+      // Only the first company when the user belongs to several
+      const company = this.readAttributes(sidebar.querySelector(this.selectors.companyAttributes));
+      Object.entries(company).forEach(([key, value]) => {
+        customerInfo[key === 'name' ? 'company' : `company_${key}`] = value;
+      });
+    } catch (error) {
+      this.logError('Failed to extract customer info', error);
+    }
+
+    return Object.keys(customerInfo).length > 0 ? customerInfo : null;
+  }
+
+  /**
+   * Attribute rows of a side panel section as { snake_case_name: value }
+   */
+  readAttributes(section) {
+    const attributes = {};
+    if (!section) return attributes;
+
+    section.querySelectorAll(this.selectors.attribute).forEach(row => {
+      const name = row.querySelector(this.selectors.attributeName);
+      const value = row.querySelector(this.selectors.attributeValue);
+
+      if (name && value) {
+        const key = name.innerText.trim().toLowerCase().replace(/\s+/g, '_');
+        const text = this.sanitizeText(value.innerText.trim());
+        if (key && text && !attributes[key]) {
+          attributes[key] = text;
+        }
+      }
+    });
+
+    return attributes;
+  }
+
+  /**
+   * Check if a conversation is open
+   */
+  isReady() {
+    return document.querySelector(this.selectors.conversationStream) !== null;
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    if (this.onPopState) {
+      window.removeEventListener('popstate', this.onPopState);
+      this.onPopState = null;
+    }
+
+    super.cleanup();
+  }
+
+  /**
+   * Add event listener
+   */
+  addEventListener(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  removeEventListener(event, callback) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).delete(callback);
+    }
+  }
+
+  /**
+   * Emit event
+   */
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${event}:`, error);
+        }
+      });
+    }
+  }
+}
+
+  // Export to global scope
+  global.IntercomAdapter = IntercomAdapter;
+})(window);
@@ -8,7 +8,12 @@
   'use strict';
   
   class PlatformAdapter {
-  constructor() {
+  /**
+   * @param {Object} selectors - Selector map from the platform's selector profile (see SelectorProfiles)
+   */
+  constructor(selectors = {}) {
+    this.selectors = selectors;
+
     // Cache for DOM queries to improve performance
     this._elementCache = new Map();
     this._cacheTimeout = 5000; // 5 seconds cache
@@ -93,8 +98,11 @@
   /**
    * Inject reply into editor with sanitization
    * @param {string} reply - Reply text to inject
+   * @param {Object} options - { mode: 'replace' | 'append' | 'insert' }
    */
-  injectReply(reply) {
+  async injectReply(reply, options = {}) {
+    const mode = options.mode || 'replace';
+
     try {
       const editor = this.getReplyEditor();
       
@@ -105,13 +113,15 @@
       // Sanitize the reply
       const sanitizedReply = this.formatReplyHTML(reply);
 
-      // Check if it's a contentEditable element or textarea
-      if (editor.contentEditable === 'true' || editor.classList.contains('note-editable')) {
-        editor.innerHTML = sanitizedReply;
+      // Check if it's a model-backed editor, a contentEditable element or a textarea
+      if (this.isModelEditor(editor)) {
+        await this.placeInModelEditor(editor, sanitizedReply, mode);
+      } else if (editor.contentEditable === 'true' || editor.classList.contains('note-editable')) {
+        this.insertHTMLIntoEditor(editor, sanitizedReply, mode);
         this.triggerInputEvents(editor);
       } else if (editor.tagName === 'TEXTAREA' || editor.tagName === 'INPUT') {
         // For text inputs, convert HTML to plain text
-        editor.value = this.htmlToPlainText(sanitizedReply);
+        this.insertTextIntoField(editor, this.htmlToPlainText(sanitizedReply), mode);
         this.triggerInputEvents(editor);
       } else {
         throw new Error('Unknown editor type');
@@ -123,13 +133,229 @@
       // Scroll to editor if needed
       this.scrollToElement(editor);
       
-      console.log('GPT Assistant: Reply injected successfully');
+      console.log('GPT Assistant: Reply injected successfully', mode);
     } catch (error) {
       this.logError('Failed to inject reply', error);
       this.showUserError('Failed to insert reply. Please try again.');
     }
   }
 
+  /**
+   * Place sanitized HTML in a contenteditable editor
+   * replace swaps the content, append adds it after the content,
+   * insert puts it at the caret (or appends when the caret is outside the editor)
+   * All writes to contenteditable editors go through here, so adapters can keep parts of the editor in place
+   */
+  insertHTMLIntoEditor(editor, html, mode = 'replace') {
+    if (mode === 'replace' || !editor.textContent.trim()) {
+      editor.innerHTML = html;
+      return;
+    }
+
+    const selection = window.getSelection();
+    const range = mode === 'insert' && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+
+    if (range && editor.contains(range.commonAncestorContainer)) {
+      range.deleteContents();
+      range.insertNode(range.createContextualFragment(html));
+      range.collapse(false);
+    } else {
+      editor.insertAdjacentHTML('beforeend', html);
+    }
+  }
+
+  /**
+   * Place plain text in a textarea or input, following the same modes
+   */
+  insertTextIntoField(field, text, mode = 'replace') {
+    if (mode === 'replace' || !field.value.trim()) {
+      field.value = text;
+    } else if (mode === 'insert') {
+      field.setRangeText(text, field.selectionStart, field.selectionEnd, 'end');
+    } else {
+      field.value = `${field.value.replace(/\s+$/, '')}\n\n${text}`;
+    }
+  }
+
+  /**
+   * Whether the editor renders its DOM from its own document model (CKEditor, ProseMirror)
+   * Such editors undo direct DOM writes, so replies are pasted and streamed text is buffered
+   * @param {HTMLElement} editor - Reply editor
+   * @returns {boolean}
+   */
+  isModelEditor(editor) {
+    return false;
+  }
+
+  /**
+   * Paste HTML through the editor's own clipboard handling
+   * @param {string} mode - 'replace' selects everything, 'append' the end, 'insert' keeps the caret
+   * @returns {Promise<boolean>} Whether the editor content changed
+   */
+  async pasteIntoEditor(editor, html, mode = 'replace') {
+    const hasContent = !!(editor.textContent || '').trim();
+
+    editor.focus();
+
+    const selection = window.getSelection();
+    const caretInEditor = selection.rangeCount > 0 && editor.contains(selection.getRangeAt(0).commonAncestorContainer);
+    if (mode !== 'insert' || !hasContent || !caretInEditor) {
+      const range = document.createRange();
+      range.selectNodeContents(editor);
+      if (mode !== 'replace' && hasContent) {
+        range.collapse(false);
+      }
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    // Editors pick up the DOM selection on selectionchange
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const clipboardData = new DataTransfer();
+    clipboardData.setData('text/html', html);
+    clipboardData.setData('text/plain', this.htmlToPlainText(html));
+
+    const beforeContent = editor.innerHTML;
+    editor.dispatchEvent(new ClipboardEvent('paste', {
+      clipboardData: clipboardData,
+      bubbles: true,
+      cancelable: true
+    }));
+
+    // Give the editor a moment to render the pasted content
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    return editor.innerHTML !== beforeContent;
+  }
+
+  /**
+   * Place HTML in a model-backed editor, writing the DOM directly if the paste is ignored
+   */
+  async placeInModelEditor(editor, html, mode = 'replace') {
+    if (!(await this.pasteIntoEditor(editor, html, mode))) {
+      // Last resort; the editor may not keep all formatting
+      console.warn('GPT Assistant: The editor ignored the paste, writing into it directly');
+      this.insertHTMLIntoEditor(editor, html, mode);
+      this.triggerInputEvents(editor);
+    }
+  }
+
+  /**
+   * Prepare the reply editor for a streamed reply
+   * @returns {Promise<boolean>} Whether an editor was found
+   */
+  async beginStreamingReply() {
+    const editor = await this.getReplyEditor();
+
+    this._streamingEditor = editor || null;
+    this._streamingText = '';
+    this._streamRenderPending = false;
+
+    if (!editor) {
+      this.logError('Failed to start streaming reply', new Error('Reply editor not found'));
+      return false;
+    }
+
+    // Model-backed editors get the text in one paste once it's complete
+    this._streamingBuffered = this.isModelEditor(editor);
+    if (this._streamingBuffered) {
+      return true;
+    }
+
+    editor.style.opacity = '1';
+
+    if (editor.contentEditable === 'true' || editor.classList.contains('note-editable')) {
+      this.insertHTMLIntoEditor(editor, '', 'replace');
+    } else if (editor.tagName === 'TEXTAREA' || editor.tagName === 'INPUT') {
+      editor.value = '';
+    }
+
+    return true;
+  }
+
+  /**
+   * Append a streamed chunk of text to the reply editor
+   * @param {string} delta - Newly received text
+   */
+  appendStreamingReply(delta) {
+    if (!this._streamingEditor || !delta) {
+      return;
+    }
+
+    this._streamingText += delta;
+
+    if (this._streamingBuffered) {
+      const words = this._streamingText.split(/\s+/).filter(Boolean).length;
+      this.showGeneratingStatus(`🤖 Generating AI response... (${words} words)`);
+      return;
+    }
+
+    // Re-render at most once per frame; the whole text is re-sanitized so
+    // markdown split across chunks still renders correctly
+    if (this._streamRenderPending) {
+      return;
+    }
+
+    this._streamRenderPending = true;
+    requestAnimationFrame(() => {
+      this._streamRenderPending = false;
+      if (this._streamingEditor) {
+        this.renderStreamingText(this._streamingEditor, this._streamingText);
+      }
+    });
+  }
+
+  /**
+   * Render streamed text into the editor
+   * @param {HTMLElement} editor - Reply editor
+   * @param {string} text - Accumulated reply text
+   */
+  renderStreamingText(editor, text) {
+    if (editor.contentEditable === 'true' || editor.classList.contains('note-editable')) {
+      this.insertHTMLIntoEditor(editor, this.formatReplyHTML(text), 'replace');
+    } else if (editor.tagName === 'TEXTAREA' || editor.tagName === 'INPUT') {
+      editor.value = text;
+    }
+  }
+
+  /**
+   * Finalize a streamed reply so the platform picks up the new content
+   * @returns {string} The full streamed text
+   */
+  async finishStreamingReply() {
+    const editor = this._streamingEditor;
+    const text = this._streamingText || '';
+    const buffered = this._streamingBuffered;
+
+    this._streamingEditor = null;
+    this._streamingText = '';
+    this._streamRenderPending = false;
+    this._streamingBuffered = false;
+
+    if (!editor) {
+      return text;
+    }
+
+    try {
+      if (buffered) {
+        this.clearGeneratingStatus();
+        if (text) {
+          await this.placeInModelEditor(editor, this.formatReplyHTML(text), 'replace');
+        }
+      } else {
+        this.renderStreamingText(editor, text);
+        this.triggerInputEvents(editor);
+      }
+      editor.focus();
+      this.scrollToElement(editor);
+    } catch (error) {
+      this.logError('Failed to finish streaming reply', error);
+    }
+
+    return text;
+  }
+
   /**
    * Format and sanitize reply HTML
    * @param {string} reply - Raw reply text
@@ -187,7 +413,7 @@
   /**
    * Show generating status in editor
    */
-  showGeneratingStatus() {
+  showGeneratingStatus(statusMessage = '🤖 Generating AI response...') {
     try {
       const editor = this.getReplyEditor();
       
@@ -195,11 +421,20 @@
         console.warn('GPT Assistant: Editor not found for status display');
         return;
       }
-
-      const statusMessage = '🤖 Generating AI response...';
       
-      if (editor.contentEditable === 'true' || editor.classList.contains('note-editable')) {
-        editor.innerHTML = `<div style="color: #6c757d; font-style: italic;">${statusMessage}</div>`;
+      // Model-backed editors would undo the status, so it's shown above them
+      if (this.isModelEditor(editor)) {
+        let status = document.getElementById('gpt-generating-status');
+        if (!status) {
+          status = document.createElement('div');
+          status.id = 'gpt-generating-status';
+          status.className = 'gpt-generating';
+          status.style.cssText = 'padding: 6px 8px; margin-bottom: 6px; background: #f0f8ff; border-radius: 4px; color: #6c757d; font-size: 13px; font-style: italic;';
+          (editor.parentElement || editor).insertAdjacentElement('beforebegin', status);
+        }
+        status.textContent = statusMessage;
+      } else if (editor.contentEditable === 'true' || editor.classList.contains('note-editable')) {
+        this.insertHTMLIntoEditor(editor, `<div style="color: #6c757d; font-style: italic;">${statusMessage}</div>`, 'replace');
         editor.style.opacity = '0.7';
       } else if (editor.tagName === 'TEXTAREA' || editor.tagName === 'INPUT') {
         editor.value = statusMessage;
@@ -210,11 +445,58 @@
     }
   }
 
+  /**
+   * Show a toast notification; errors stay longer and can be dismissed by clicking
+   * @param {string} message - Notification text (line breaks are kept)
+   * @param {string} type - 'info', 'success' or 'error'
+   */
+  showNotification(message, type = 'info') {
+    if (!document.querySelector('#gpt-notification-style')) {
+      const style = document.createElement('style');
+      style.id = 'gpt-notification-style';
+      style.textContent = `
+        @keyframes gptNotificationIn {
+          from { transform: translateX(100%); opacity: 0; }
+          to { transform: translateX(0); opacity: 1; }
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    const notification = document.createElement('div');
+    notification.className = `gpt-assistant-notification ${type}`;
+    notification.textContent = message;
+    notification.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      max-width: 380px;
+      padding: 12px 20px;
+      background: ${type === 'error' ? '#dc3545' : type === 'success' ? '#28a745' : '#17a2b8'};
+      color: white;
+      border-radius: 4px;
+      z-index: 10001;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      font-size: 14px;
+      white-space: pre-line;
+      cursor: pointer;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+      animation: gptNotificationIn 0.3s ease-out;
+    `;
+
+    notification.addEventListener('click', () => notification.remove());
+    document.body.appendChild(notification);
+
+    setTimeout(() => notification.remove(), type === 'error' ? 10000 : 3000);
+  }
+
   /**
    * Clear generating status from editor
    */
   clearGeneratingStatus() {
     try {
+      document.querySelectorAll('.gpt-generating').forEach(status => status.remove());
+
       const editor = this.getReplyEditor();
       
       if (!editor) {
@@ -225,7 +507,7 @@
       
       if (editor.contentEditable === 'true' || editor.classList.contains('note-editable')) {
         if (editor.innerHTML.includes('Generating AI response')) {
-          editor.innerHTML = '';
+          this.insertHTMLIntoEditor(editor, '', 'replace');
         }
       } else if (editor.tagName === 'TEXTAREA' || editor.tagName === 'INPUT') {
         if (editor.value.includes('Generating AI response')) {
@@ -266,6 +548,44 @@
     }
   }
 
+  /**
+   * Get conversation metadata used for documentation routing
+   * @returns {Object} { mailboxId, mailboxName, tags, url }
+   */
+  getConversationMeta() {
+    // Default implementation reads the mailbox ID from /mailbox/{id} URLs
+    const url = window.location.href;
+    const mailboxMatch = url.match(/\/mailbox\/(\d+)/);
+
+    return {
+      mailboxId: mailboxMatch ? mailboxMatch[1] : null,
+      mailboxName: null,
+      tags: [],
+      url: url
+    };
+  }
+
+  /**
+   * Selector matching the controls that send the reply
+   * @returns {string|null} Selector, or null when sends can't be detected
+   */
+  getSendButtonSelector() {
+    return null;
+  }
+
+  /**
+   * Read the current reply text without side effects (called while the reply is being sent)
+   * @returns {string|null} Plain text or null if the editor isn't found
+   */
+  getReplyText() {
+    const editor = this.getReplyEditor();
+    if (!editor || typeof editor.then === 'function') {
+      return null;
+    }
+
+    return ['TEXTAREA', 'INPUT'].includes(editor.tagName) ? editor.value : editor.innerText;
+  }
+
   /**
    * Get keyboard shortcuts configuration
    * @returns {Object} Keyboard shortcuts config
@@ -0,0 +1,276 @@
+/**
+ * Zendesk Platform Adapter
+ * Handles the Zendesk Support agent workspace (/agent/tickets/{id})
+ * The workspace keeps every open ticket tab in the DOM, so queries are scoped to the visible one
+ */
+
+(function(global) {
+  'use strict';
+
+  // Wait for dependencies
+  const PlatformAdapter = global.PlatformAdapter || window.PlatformAdapter;
+
+  class ZendeskAdapter extends PlatformAdapter {
+  constructor(selectors) {
+    super(selectors);
+    this.platformName = 'zendesk';
+  }
+
+  /**
+   * Get platform name
+   */
+  getPlatformName() {
+    return this.platformName;
+  }
+
+  /**
+   * Check if this adapter can handle the current page
+   */
+  static canHandle(url, document) {
+    return url.includes('zendesk.com/agent') ||
+           document.querySelector('[data-test-id="omni-log-container"]') !== null;
+  }
+
+  /**
+   * The visible ticket workspace (hidden tabs stay in the DOM), or the document
+   */
+  getWorkspace() {
+    const workspaces = Array.from(document.querySelectorAll(this.selectors.workspace));
+    return workspaces.find(workspace => workspace.offsetParent !== null) || document;
+  }
+
+  /**
+   * Query within the visible workspace; not cached since tabs swap under the same URL patterns
+   */
+  queryWorkspace(selector) {
+    return this.getWorkspace().querySelector(selector);
+  }
+
+  queryWorkspaceAll(selector) {
+    return Array.from(this.getWorkspace().querySelectorAll(selector));
+  }
+
+  /**
+   * Text of a ticket field, without the field label
+   */
+  getFieldText(selector) {
+    const field = this.queryWorkspace(selector);
+    if (!field) return null;
+
+    const value = field.tagName === 'INPUT' ? field.value : field.innerText;
+    const text = this.sanitizeText((value || '').trim());
+    return text || null;
+  }
+
+  /**
+   * Extract conversation thread messages from the conversation log
+   * Public comments become customer or agent messages, internal comments become notes
+   */
+  extractThread() {
+    const messages = [];
+
+    try {
+      const requester = this.getRequesterName();
+      const items = this.queryWorkspaceAll(this.selectors.logItem);
+      let firstAuthor = null;
+
+      items.forEach(item => {
+        const body = item.querySelector(this.selectors.itemBody);
+        const sender = item.querySelector(this.selectors.itemSender);
+
+        if (!body) return;
+
+        const messageText = this.sanitizeText(body.innerText.trim());
+        const personName = sender ? this.sanitizeText(sender.innerText.trim()) : 'Unknown';
+
+        if (!messageText) return;
+
+        firstAuthor = firstAuthor || personName;
+
+        // The older ticket view marks public comments instead of internal ones
+        const isInternal = item.querySelector(this.selectors.internalMarker) !== null ||
+                          (item.classList.contains('event') && !item.classList.contains('is-public'));
+
+        // Without a requester field, whoever opened the ticket is taken to be the customer
+        const isCustomer = requester ? personName === requester : personName === firstAuthor;
+
+        if (isInternal) {
+          messages.push({
+            role: 'system',
+            content: `Internal Note from ${personName}: ${messageText}`
+          });
+        } else if (isCustomer) {
+          messages.push({
+            role: 'user',
+            content: `Customer (${personName}): ${messageText}`
+          });
+        } else {
+          messages.push({
+            role: 'assistant',
+            content: `Agent (${personName}): ${messageText}`
+          });
+        }
+      });
+
+      // Zendesk lists the newest comment first by default
+      if (this.isNewestFirst(items)) {
+        messages.reverse();
+      }
+
+      console.log(`GPT Assistant: Extracted ${messages.length} messages from Zendesk`);
+
+    } catch (error) {
+      this.logError('Failed to extract thread', error);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Whether the log is ordered newest first, judged from the comment timestamps
+   */
+  isNewestFirst(items) {
+    const times = items
+      .map(item => item.querySelector(this.selectors.itemTime))
+      .filter(Boolean)
+      .map(time => Date.parse(time.getAttribute('datetime')))
+      .filter(time => !isNaN(time));
+
+    return times.length > 1 && times[0] > times[times.length - 1];
+  }
+
+  /**
+   * Requester name from the ticket fields
+   */
+  getRequesterName() {
+    const requester = this.getFieldText(this.selectors.requester);
+
+    // The field can show "Name <email>"
+    return requester ? requester.replace(/\s*<[^>]*>\s*$/, '').trim() : null;
+  }
+
+  /**
+   * Get the reply editor element (the CKEditor editable, or the plain text composer)
+   */
+  getReplyEditor() {
+    return this.queryWorkspace(this.selectors.editor) ||
+           this.queryWorkspace(this.selectors.plainEditor);
+  }
+
+  /**
+   * Get the ticket submit button
+   */
+  getSendButtonSelector() {
+    return this.selectors.sendButton;
+  }
+
+  /**
+   * CKEditor renders the editable from its own model
+   */
+  isModelEditor(editor) {
+    return editor.classList.contains('ck-editor__editable');
+  }
+
+  /**
+   * Get current agent name from the profile menu
+   */
+  getCurrentUser() {
+    try {
+      const avatar = document.querySelector(this.selectors.currentUser);
+      if (avatar) {
+        return this.sanitizeText(avatar.getAttribute('alt').trim()) || null;
+      }
+    } catch (error) {
+      this.logError('Failed to get current user', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Brand (or group, without brands) and tags for documentation routing
+   */
+  getConversationMeta() {
+    const meta = super.getConversationMeta();
+
+    try {
+      const ticketMatch = window.location.pathname.match(/\/agent\/tickets\/(\d+)/);
+      meta.ticketId = ticketMatch ? ticketMatch[1] : null;
+
+      // The assignee field reads "Group/Agent"
+      const group = this.getFieldText(this.selectors.group);
+      meta.mailboxName = this.getFieldText(this.selectors.brand) || (group ? group.split('/')[0].trim() : null);
+
+      meta.tags = this.queryWorkspaceAll(this.selectors.tags)
+        .map(tag => this.sanitizeText(tag.textContent.trim()))
+        .filter(Boolean);
+    } catch (error) {
+      this.logError('Failed to get conversation meta', error);
+    }
+
+    return meta;
+  }
+
+  /**
+   * Requester and organisation from the ticket fields and the customer context panel
+   */
+  extractPlatformCustomerInfo() {
+    const customerInfo = {};
+
+    try {
+      const requester = this.getFieldText(this.selectors.requester);
+      if (requester) {
+        customerInfo.name = this.getRequesterName();
+
+        const emailMatch = requester.match(/<([^>]+)>\s*$/);
+        if (emailMatch) {
+          customerInfo.email = emailMatch[1];
+        }
+      }
+
+      const email = this.getFieldText(this.selectors.requesterEmail);
+      if (email) {
+        customerInfo.email = email;
+      }
+
+      const organization = this.getFieldText(this.selectors.organization);
+      if (organization && organization !== '-') {
+        customerInfo.company = organization;
+      }
+
+      const subject = this.getFieldText(this.selectors.subject);
+      if (subject) {
+        customerInfo.conversationSubject = subject;
+      }
+    } catch (error) {
+      this.logError('Failed to extract customer info', error);
+    }
+
+    return Object.keys(customerInfo).length > 0 ? customerInfo : null;
+  }
+
+  /**
+   * Platform-specific initialization
+   */
+  async platformInitialize() {
+    console.log('GPT Assistant: Zendesk adapter initialized');
+
+    // Wait for the conversation log, which the workspace renders after the page loads
+    try {
+      await this.waitForElement(this.selectors.conversationLog);
+    } catch (error) {
+      console.warn('GPT Assistant: Zendesk conversation log not found yet');
+    }
+  }
+
+  /**
+   * Check if a ticket is open
+   */
+  isReady() {
+    return document.querySelector(this.selectors.conversationLog) !== null;
+  }
+}
+
+  // Export to global scope
+  global.ZendeskAdapter = ZendeskAdapter;
+})(window);
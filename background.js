@@ -1,6 +1,27 @@
 // Background script placeholder
-chrome.runtime.onInstalled.addListener(() => {
+importScripts('utils/docsRetriever.js', 'utils/usageLedger.js', 'utils/feedbackExport.js', 'utils/keyVault.js', 'utils/docSources.js', 'utils/promptVersions.js', 'utils/settings.js', 'utils/teamConfig.js');
+
+chrome.runtime.onInstalled.addListener(async () => {
   console.log("FreeScout GPT Assistant installed.");
+  await migrateSettings();
+  refreshTeamConfig();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  refreshTeamConfig();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TEAM_CONFIG_ALARM) {
+    refreshTeamConfig();
+  }
+});
+
+// A policy change takes effect without waiting for the next refresh
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'managed') {
+    refreshTeamConfig();
+  }
 });
 
 // Test function for debugging - can be called from console
@@ -44,7 +65,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   
   if (request.action === 'fetchDocs') {
     console.log('GPT Assistant: Processing fetchDocs request for:', request.url);
-    fetchDocsWithCache(request.url)
+    fetchDocsWithCache(request.url, request.refreshHours)
       .then(docs => {
         console.log('GPT Assistant: fetchDocs completed, returning', docs?.length || 0, 'docs');
         sendResponse({ success: true, docs });
@@ -54,11 +75,32 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({ success: false, error: error.message });
       });
     return true; // Keep the message channel open for async response
+  } else if (request.action === 'retrieveDocs') {
+    retrieveDocs(request.sources || [{ url: request.url }], request.query, {
+      maxChunks: request.maxChunks,
+      tokenBudget: request.tokenBudget
+    })
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error('GPT Assistant: retrieveDocs error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
   } else if (request.action === 'clearDocsCache') {
-    clearDocsCache()
+    clearDocsCache(request.url)
       .then(() => sendResponse({ success: true }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
+  } else if (request.action === 'recordUsage') {
+    recordUsage(request.record)
+      .then(entry => sendResponse({ success: true, entry }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'getUsageSummary') {
+    getUsageSummary()
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   } else if (request.action === 'deleteFeedbackEntry') {
     deleteFeedbackEntry(request.entryId)
       .then(() => sendResponse({ success: true }))
@@ -74,10 +116,30 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .then(deletedCount => sendResponse({ success: true, deletedCount }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
+  } else if (request.action === 'importFeedbackEntries') {
+    importFeedbackEntries(request.entries)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'refreshTeamConfig') {
+    refreshTeamConfig()
+      .then(teamConfig => sendResponse({ success: !teamConfig?.error, teamConfig, error: teamConfig?.error }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'getApiKey') {
+    // Content scripts can't read chrome.storage.session, so the unlocked key is handed out here
+    if (sender.id !== chrome.runtime.id) {
+      sendResponse({ success: false, error: 'Unknown sender' });
+      return false;
+    }
+    KeyVault.getSessionKey()
+      .then(apiKey => sendResponse({ success: true, apiKey }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   }
 });
 
-async function fetchDocsWithCache(url) {
+async function fetchDocsWithCache(url, refreshHours = 24) {
   if (!url) {
     console.log('GPT Assistant: No documentation URL provided');
     return [];
@@ -92,11 +154,11 @@ async function fetchDocsWithCache(url) {
     const cachedDocs = result[cacheKey];
     const cachedTimestamp = result[timestampKey];
     
-    // Check if cache is valid (less than 24 hours old)
-    const oneDayInMs = 24 * 60 * 60 * 1000;
+    // Check if cache is valid (younger than the source's refresh interval)
+    const maxAgeMs = refreshHours * 60 * 60 * 1000;
     const now = Date.now();
     
-    if (cachedDocs && cachedTimestamp && (now - cachedTimestamp) < oneDayInMs) {
+    if (cachedDocs && cachedTimestamp && (now - cachedTimestamp) < maxAgeMs) {
       console.log('GPT Assistant: Using cached docs for:', url, 'Count:', cachedDocs.length);
       return cachedDocs;
     }
@@ -107,10 +169,11 @@ async function fetchDocsWithCache(url) {
     
     // Only cache if we got valid docs
     if (docs && docs.length > 0) {
-      // Store in cache with timestamp
+      // Store in cache with timestamp, alongside the retrieval index
       await chrome.storage.local.set({
         [cacheKey]: docs,
-        [timestampKey]: now
+        [timestampKey]: now,
+        [`docs_index_${url}`]: DocsRetriever.buildIndex(docs)
       });
       console.log('GPT Assistant: Cached', docs.length, 'documents');
     } else {
@@ -125,13 +188,62 @@ async function fetchDocsWithCache(url) {
   }
 }
 
-async function clearDocsCache() {
+/**
+ * Get the retrieval index for a docs URL, building it if the cache predates indexing
+ */
+async function getDocsIndex(url, refreshHours) {
+  const indexKey = `docs_index_${url}`;
+  const docs = await fetchDocsWithCache(url, refreshHours);
+
+  const result = await chrome.storage.local.get([indexKey]);
+  if (DocsRetriever.isValidIndex(result[indexKey])) {
+    return result[indexKey];
+  }
+
+  const index = DocsRetriever.buildIndex(docs);
+  if (docs.length > 0) {
+    await chrome.storage.local.set({ [indexKey]: index });
+    console.log('GPT Assistant: Built docs index with', index.chunks.length, 'chunks');
+  }
+  return index;
+}
+
+/**
+ * Rank cached documentation chunks from one or more sources against a query
+ * @param {Array} sources - [{ name, url, refreshHours }]
+ * @returns {Promise<Object>} { chunks, totalChunks }
+ */
+async function retrieveDocs(sources, query, options = {}) {
+  const indexes = [];
+
+  for (const source of sources.filter(source => source.url)) {
+    try {
+      const index = await getDocsIndex(source.url, source.refreshHours);
+      indexes.push({ ...index, source: source.name || source.url });
+    } catch (error) {
+      console.error('GPT Assistant: Failed to load docs index for:', source.url, error);
+    }
+  }
+
+  const totalChunks = indexes.reduce((sum, index) => sum + index.chunks.length, 0);
+  const chunks = DocsRetriever.search(indexes, query, options);
+
+  console.log('GPT Assistant: Retrieved', chunks.length, 'of', totalChunks, 'doc chunks from', indexes.length, 'sources');
+  return { chunks, totalChunks };
+}
+
+/**
+ * Clear cached docs, for one source URL or, without one, for all sources
+ */
+async function clearDocsCache(url) {
   try {
     // Get all storage keys
     const allItems = await chrome.storage.local.get(null);
-    const keysToRemove = Object.keys(allItems).filter(key => 
-      key.startsWith('docs_cache_') || key.startsWith('docs_timestamp_')
-    );
+    const keysToRemove = url
+      ? [`docs_cache_${url}`, `docs_timestamp_${url}`, `docs_index_${url}`].filter(key => key in allItems)
+      : Object.keys(allItems).filter(key =>
+        key.startsWith('docs_cache_') || key.startsWith('docs_timestamp_') || key.startsWith('docs_index_')
+      );
     
     if (keysToRemove.length > 0) {
       await chrome.storage.local.remove(keysToRemove);
@@ -281,6 +393,122 @@ async function fetchDocs(url) {
   }
 }
 
+// Bring stored settings up to the current schema version after an update
+async function migrateSettings() {
+  const stored = await chrome.storage.local.get(Settings.READ_KEYS);
+  const { settings, removed, changed } = Settings.migrate(stored);
+
+  if (!changed) return;
+
+  await chrome.storage.local.set(settings);
+  if (removed.length > 0) {
+    await chrome.storage.local.remove(removed);
+  }
+  console.log('GPT Assistant: Settings migrated to version', Settings.VERSION);
+}
+
+const TEAM_CONFIG_ALARM = 'teamConfigRefresh';
+
+// Where the team config comes from: an admin policy wins over the URL an agent entered
+async function getTeamConfigSource() {
+  let managed = {};
+  try {
+    managed = await chrome.storage.managed.get(['teamConfig', 'teamConfigUrl']);
+  } catch (error) {
+    // No policy installed
+  }
+
+  if (managed.teamConfig) {
+    return { type: 'managed', data: managed.teamConfig };
+  }
+  if (managed.teamConfigUrl) {
+    return { type: 'managed', url: managed.teamConfigUrl };
+  }
+
+  const { teamConfigUrl } = await chrome.storage.local.get('teamConfigUrl');
+  return teamConfigUrl ? { type: 'url', url: teamConfigUrl } : null;
+}
+
+/**
+ * Load the team config and write its settings into storage
+ * When loading fails, the last good config stays in effect and the error is shown in the popup
+ * @returns {Promise<Object|null>} The stored teamConfig, or null when none is configured
+ */
+async function refreshTeamConfig() {
+  const source = await getTeamConfigSource();
+
+  if (!source) {
+    await chrome.storage.local.remove(TeamConfig.STORAGE_KEY);
+    await chrome.alarms.clear(TEAM_CONFIG_ALARM);
+    return null;
+  }
+
+  const stored = await chrome.storage.local.get(null);
+  const previous = stored[TeamConfig.STORAGE_KEY];
+
+  try {
+    let data = source.data;
+    if (source.url) {
+      const response = await fetch(source.url, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`Could not load the team configuration (HTTP ${response.status}).`);
+      }
+      data = await response.text();
+    }
+
+    const config = TeamConfig.parse(data);
+    const teamConfig = { ...config, source: source.type, url: source.url || null, fetchedAt: Date.now(), error: null };
+
+    await chrome.storage.local.set({ ...TeamConfig.apply(config, stored), [TeamConfig.STORAGE_KEY]: teamConfig });
+    await chrome.alarms.create(TEAM_CONFIG_ALARM, { periodInMinutes: config.refreshMinutes });
+
+    console.log('GPT Assistant: Team configuration applied:', config.name, config.version ?? '');
+    return teamConfig;
+  } catch (error) {
+    console.error('GPT Assistant: Team configuration error:', error);
+
+    const teamConfig = { ...(previous || { settings: {}, locked: [] }), source: source.type, url: source.url || null, error: error.message };
+    await chrome.storage.local.set({ [TeamConfig.STORAGE_KEY]: teamConfig });
+    await chrome.alarms.create(TEAM_CONFIG_ALARM, { periodInMinutes: previous?.refreshMinutes || TeamConfig.DEFAULT_REFRESH_MINUTES });
+    return teamConfig;
+  }
+}
+
+
+// Usage ledger: writes are queued so concurrent generations don't overwrite each other
+let usageLedgerQueue = Promise.resolve();
+
+function recordUsage(record) {
+  const task = usageLedgerQueue.then(async () => {
+    const result = await chrome.storage.local.get([UsageLedger.STORAGE_KEY, 'modelPrices']);
+    const entry = UsageLedger.createEntry(record || {}, result.modelPrices);
+    const cutoff = Date.now() - UsageLedger.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    const ledger = (result[UsageLedger.STORAGE_KEY] || []).filter(existing => existing.timestamp >= cutoff);
+    ledger.push(entry);
+
+    await chrome.storage.local.set({ [UsageLedger.STORAGE_KEY]: ledger });
+    console.log('GPT Assistant: Recorded usage:', entry);
+    return entry;
+  });
+
+  usageLedgerQueue = task.catch(error => {
+    console.error('GPT Assistant: Error recording usage:', error);
+  });
+
+  return task;
+}
+
+async function getUsageSummary() {
+  const result = await chrome.storage.local.get([UsageLedger.STORAGE_KEY, 'usageBudgets']);
+  const summary = UsageLedger.summarize(result[UsageLedger.STORAGE_KEY]);
+
+  return {
+    summary: summary,
+    budget: UsageLedger.checkBudgets(summary, result.usageBudgets)
+  };
+}
+
 // Feedback deletion functions
 async function deleteFeedbackEntry(entryId) {
   try {
@@ -352,6 +580,43 @@ async function deleteNegativeFeedbackEntries() {
   }
 }
 
+// Merge imported entries by id, then recompute the analysis
+async function importFeedbackEntries(entries) {
+  // Dedupe the import itself first (pooled files can repeat entries)
+  const byId = new Map();
+  (entries || []).filter(entry => FeedbackExport.isValidEntry(entry)).forEach(entry => {
+    const seen = byId.get(entry.id);
+    byId.set(entry.id, seen ? (FeedbackExport.mergeEntry(seen, entry) || seen) : entry);
+  });
+
+  const stored = await chrome.storage.local.get([...byId.keys()].map(id => `feedback_${id}`));
+  const updates = {};
+  let added = 0;
+  let merged = 0;
+
+  byId.forEach((entry, id) => {
+    const existing = stored[`feedback_${id}`];
+    const result = FeedbackExport.mergeEntry(existing, entry);
+    if (!result) return;
+
+    if (existing) {
+      merged++;
+    } else {
+      added++;
+    }
+    updates[`feedback_${id}`] = result;
+  });
+
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage.local.set(updates);
+  }
+
+  console.log(`GPT Assistant: Imported feedback: ${added} added, ${merged} merged`);
+  await reanalyzeFeedbackPatterns();
+
+  return { added, merged, skipped: (entries || []).length - added - merged };
+}
+
 async function reanalyzeFeedbackPatterns() {
   try {
     // Get remaining feedback data
@@ -359,6 +624,7 @@ async function reanalyzeFeedbackPatterns() {
     const feedbackEntries = Object.entries(allData)
       .filter(([key]) => key.startsWith('feedback_'))
       .map(([key, value]) => value)
+      .filter(entry => entry.rating) // Variant choices without a rating yet don't count
       .sort((a, b) => b.timestamp - a.timestamp);
     
     if (feedbackEntries.length < 5) {
@@ -398,7 +664,7 @@ async function reanalyzeFeedbackPatterns() {
     };
     
     await chrome.storage.local.set({feedbackAnalysis: analysisData});
-    console.log('Feedback analysis updated after deletion');
+    console.log('Feedback analysis updated');
     
   } catch (error) {
     console.error('Error reanalyzing feedback patterns:', error);
@@ -10,9 +10,21 @@
   // Get global dependencies
   const platformManager = window.platformManager;
   const HTMLSanitizer = window.HTMLSanitizer;
+  const ProviderRegistry = window.ProviderRegistry;
+  const DocSources = window.DocSources;
+  const TokenBudget = window.TokenBudget;
+  const TextDiff = window.TextDiff;
+  const PromptVersions = window.PromptVersions;
+  const PIIRedactor = window.PIIRedactor;
+  const Settings = window.Settings;
+
+// Settings with the API key, for generating
+async function loadSettings() {
+  return withApiKey(await loadStoredSettings());
+}
 
-// Settings management with retry mechanism
-async function loadSettings(retryCount = 0) {
+// Settings management with retry mechanism; without the API key, which only generating needs
+async function loadStoredSettings(retryCount = 0) {
   const maxRetries = 3;
   const retryDelay = 500;
 
@@ -23,23 +35,15 @@ async function loadSettings(retryCount = 0) {
         if (retryCount < maxRetries) {
           console.log(`Chrome storage not ready, retrying... (${retryCount + 1}/${maxRetries})`);
           await new Promise(r => setTimeout(r, retryDelay));
-          return resolve(await loadSettings(retryCount + 1));
+          return resolve(await loadStoredSettings(retryCount + 1));
         }
 
         console.warn('Chrome storage API not available after retries, using defaults');
-        resolve({
-          systemPrompt: '',
-          docsUrl: '',
-          openaiKey: '',
-          openaiModel: 'gpt-5',
-          temperature: 1,
-          maxTokens: 1000,
-          keyboardShortcut: 'Ctrl+Shift+G'
-        });
+        resolve(Settings.defaults());
         return;
       }
 
-      chrome.storage.local.get(['systemPrompt', 'docsUrl', 'openaiKey', 'openaiModel', 'temperature', 'maxTokens', 'keyboardShortcut', 'enableFeedback'], (result) => {
+      chrome.storage.local.get(Settings.READ_KEYS, (result) => {
         if (chrome.runtime.lastError) {
           console.error('Extension context error:', chrome.runtime.lastError);
 
@@ -47,27 +51,15 @@ async function loadSettings(retryCount = 0) {
           if (retryCount < maxRetries) {
             console.log(`Retrying due to runtime error... (${retryCount + 1}/${maxRetries})`);
             setTimeout(async () => {
-              resolve(await loadSettings(retryCount + 1));
+              resolve(await loadStoredSettings(retryCount + 1));
             }, retryDelay);
             return;
           }
 
-          resolve({
-            systemPrompt: '',
-            docsUrl: '',
-            openaiKey: '',
-            openaiModel: 'gpt-5',
-            temperature: 1,
-            maxTokens: 1000,
-            keyboardShortcut: 'Ctrl+Shift+G'
-          });
+          resolve(Settings.defaults());
           return;
         }
-        resolve({
-          ...result,
-          temperature: result.temperature || 1,
-          maxTokens: result.maxTokens || 1000
-        });
+        resolve(Settings.normalize(result));
       });
     } catch (error) {
       console.error('Extension context invalidated:', error);
@@ -76,30 +68,42 @@ async function loadSettings(retryCount = 0) {
       if (retryCount < maxRetries) {
         console.log(`Retrying after error... (${retryCount + 1}/${maxRetries})`);
         await new Promise(r => setTimeout(r, retryDelay));
-        return resolve(await loadSettings(retryCount + 1));
+        return resolve(await loadStoredSettings(retryCount + 1));
       }
 
-      resolve({
-        systemPrompt: '',
-        docsUrl: '',
-        openaiKey: '',
-        openaiModel: 'gpt-4o',
-        temperature: 1,
-        maxTokens: 1000,
-        keyboardShortcut: 'Ctrl+Shift+G'
-      });
+      resolve(Settings.defaults());
     }
   });
 }
 
+// Encrypted and session-only keys are kept by the background worker once unlocked in the popup
+async function withApiKey(settings) {
+  if (settings.keyStorage !== 'encrypted' && settings.keyStorage !== 'session') {
+    return settings;
+  }
+
+  const apiKey = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'getApiKey' }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Extension context error in withApiKey:', chrome.runtime.lastError);
+        resolve('');
+        return;
+      }
+      resolve(response?.apiKey || '');
+    });
+  });
+
+  return { ...settings, openaiKey: apiKey, keyLocked: !apiKey };
+}
+
 // Documentation loading
-async function loadDocs(url) {
-  if (!url) return [];
+async function loadDocs(source) {
+  if (!source?.url) return [];
 
   return new Promise((resolve) => {
     try {
       chrome.runtime.sendMessage(
-        { action: 'fetchDocs', url },
+        { action: 'fetchDocs', url: source.url, refreshHours: source.refreshHours },
         (response) => {
           if (chrome.runtime.lastError) {
             console.error('Extension context error in loadDocs:', chrome.runtime.lastError);
@@ -121,17 +125,121 @@ async function loadDocs(url) {
   });
 }
 
+// Rank documentation chunks against a query in the background worker
+async function loadRelevantDocs(sources, query, options = {}) {
+  if (sources.length === 0 || !query) return [];
+
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage(
+        {
+          action: 'retrieveDocs',
+          sources: sources.map(({ name, url, refreshHours }) => ({ name, url, refreshHours })),
+          query,
+          maxChunks: options.maxChunks,
+          tokenBudget: options.tokenBudget
+        },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            console.error('Extension context error in loadRelevantDocs:', chrome.runtime.lastError);
+            resolve([]);
+            return;
+          }
+          if (response && response.success) {
+            resolve(response.chunks);
+          } else {
+            console.error('Error retrieving docs:', response?.error);
+            resolve([]);
+          }
+        }
+      );
+    } catch (error) {
+      console.error('Extension context invalidated in loadRelevantDocs:', error);
+      resolve([]);
+    }
+  });
+}
+
+// Build the retrieval query from the customer's latest messages
+function buildDocsQuery(threadMessages, existingContext) {
+  const customerMessages = threadMessages
+    .filter(msg => msg.role === 'user')
+    .slice(-2)
+    .map(msg => msg.content);
+
+  if (existingContext) {
+    customerMessages.push(existingContext);
+  }
+
+  return customerMessages.join('\n').substring(0, 2000);
+}
+
+// Show a platform notification when the adapter supports it, and log it either way
+function showNotification(message, type = 'info') {
+  console.log(`GPT Assistant: ${message}`);
+
+  const adapter = platformManager.getAdapter();
+  if (adapter && adapter.showNotification) {
+    adapter.showNotification(message, type);
+  }
+}
+
+// Check spend against the budgets in the background worker's usage ledger
+async function checkUsageBudget() {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage({ action: 'getUsageSummary' }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          console.error('Error checking usage budget:', chrome.runtime.lastError || response?.error);
+          resolve({ status: 'ok', message: '' });
+          return;
+        }
+        resolve(response.budget);
+      });
+    } catch (error) {
+      console.error('Extension context invalidated in checkUsageBudget:', error);
+      resolve({ status: 'ok', message: '' });
+    }
+  });
+}
+
+// Add a generation's token usage to the ledger (fire and forget)
+function recordUsage(provider, result, fields = {}) {
+  if (!result?.usage) return;
+
+  try {
+    chrome.runtime.sendMessage({
+      action: 'recordUsage',
+      record: {
+        provider: provider.getProviderName(),
+        model: result.model || provider.model,
+        usage: result.usage,
+        platform: platformManager.getPlatform(),
+        ...fields
+      }
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Extension context error in recordUsage:', chrome.runtime.lastError);
+      }
+    });
+  } catch (error) {
+    console.error('Extension context invalidated in recordUsage:', error);
+  }
+}
+
+// Generate unique ID for a response
+function createResponseId() {
+  return 'response_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
 // Feedback UI functions
-function addFeedbackUI(generatedResponse) {
+function addFeedbackUI(generatedResponse, responseId = createResponseId(), details = {}) {
   // Remove any existing feedback UI
   const existingFeedback = document.querySelector('.ai-feedback-container');
   if (existingFeedback) {
     existingFeedback.remove();
   }
 
-  // Generate unique ID for this response
-  const responseId = 'response_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-
   // Create feedback container
   const feedbackContainer = document.createElement('div');
   feedbackContainer.className = 'ai-feedback-container';
@@ -224,10 +332,10 @@ function addFeedbackUI(generatedResponse) {
   }
 
   // Add event listeners
-  setupFeedbackEventListeners(feedbackContainer, responseId, generatedResponse);
+  setupFeedbackEventListeners(feedbackContainer, responseId, generatedResponse, details);
 }
 
-function setupFeedbackEventListeners(container, responseId, generatedResponse) {
+function setupFeedbackEventListeners(container, responseId, generatedResponse, details) {
   const positiveBtn = container.querySelector('.feedback-positive');
   const negativeBtn = container.querySelector('.feedback-negative');
   const detailsDiv = container.querySelector('.feedback-details');
@@ -238,12 +346,12 @@ function setupFeedbackEventListeners(container, responseId, generatedResponse) {
 
   // Handle positive feedback
   positiveBtn?.addEventListener('click', () => {
-    handleFeedbackRating('positive', responseId, generatedResponse, container);
+    handleFeedbackRating('positive', responseId, generatedResponse, container, details);
   });
 
   // Handle negative feedback
   negativeBtn?.addEventListener('click', () => {
-    handleFeedbackRating('negative', responseId, generatedResponse, container);
+    handleFeedbackRating('negative', responseId, generatedResponse, container, details);
     // Show details form for negative feedback
     detailsDiv.style.display = 'block';
     notesTextarea.focus();
@@ -252,7 +360,7 @@ function setupFeedbackEventListeners(container, responseId, generatedResponse) {
   // Handle submit
   submitBtn?.addEventListener('click', () => {
     const notes = notesTextarea.value.trim();
-    submitFeedback(responseId, 'negative', notes, generatedResponse);
+    submitFeedback(responseId, 'negative', notes, generatedResponse, details);
     detailsDiv.style.display = 'none';
     successDiv.style.display = 'block';
     positiveBtn.style.display = 'none';
@@ -281,10 +389,10 @@ function setupFeedbackEventListeners(container, responseId, generatedResponse) {
   }, 120000);
 }
 
-function handleFeedbackRating(rating, responseId, generatedResponse, container) {
+function handleFeedbackRating(rating, responseId, generatedResponse, container, details) {
   if (rating === 'positive') {
     // For positive feedback, submit immediately
-    submitFeedback(responseId, rating, '', generatedResponse);
+    submitFeedback(responseId, rating, '', generatedResponse, details);
 
     // Show success message
     const successDiv = container.querySelector('.feedback-success');
@@ -295,28 +403,64 @@ function handleFeedbackRating(rating, responseId, generatedResponse, container)
   // Negative feedback is handled in the event listener to show the form
 }
 
-async function submitFeedback(responseId, rating, notes, generatedResponse) {
-  try {
+// Create or update the feedback_ entry for a response, keeping fields stored earlier
+async function saveFeedbackEntry(responseId, fields) {
+  const storageKey = `feedback_${responseId}`;
+  const stored = await chrome.storage.local.get([storageKey]);
+  let feedbackData = stored[storageKey];
+
+  if (!feedbackData) {
     // Get current context for feedback
     const threadMessages = await platformManager.extractThread();
     const customerInfo = await platformManager.extractCustomerInfo();
-    const platform = platformManager.getPlatform();
 
-    const feedbackData = {
+    feedbackData = {
       id: responseId,
       timestamp: Date.now(),
-      rating: rating,
-      notes: notes,
-      generatedResponse: generatedResponse,
+      rating: null,
+      notes: '',
       conversationContext: threadMessages.slice(-3), // Last 3 messages for context
       customerInfo: customerInfo,
       url: window.location.href,
-      platform: platform
+      platform: platformManager.getPlatform()
     };
+  }
+
+  feedbackData = { ...feedbackData, ...fields };
 
-    // Store feedback locally
-    const storageKey = `feedback_${responseId}`;
-    await chrome.storage.local.set({[storageKey]: feedbackData});
+  // Store feedback locally
+  await chrome.storage.local.set({[storageKey]: feedbackData});
+  return feedbackData;
+}
+
+// Record which variant the agent chose and which ones were rejected
+async function recordVariantChoice(responseId, variants, chosenIndex, details = {}) {
+  try {
+    await saveFeedbackEntry(responseId, {
+      ...details,
+      generatedResponse: variants[chosenIndex].content,
+      chosenStyle: variants[chosenIndex].style,
+      variants: variants.map((variant, index) => ({
+        style: variant.style,
+        content: variant.content,
+        chosen: index === chosenIndex
+      }))
+    });
+  } catch (error) {
+    console.error('Error recording variant choice:', error);
+  }
+}
+
+// details: { provider, model } of the generation, so the dashboard can filter by model
+async function submitFeedback(responseId, rating, notes, generatedResponse, details = {}) {
+  try {
+    const feedbackData = await saveFeedbackEntry(responseId, {
+      ...details,
+      timestamp: Date.now(),
+      rating: rating,
+      notes: notes,
+      generatedResponse: generatedResponse
+    });
 
     console.log('Feedback submitted:', feedbackData);
 
@@ -328,6 +472,70 @@ async function submitFeedback(responseId, rating, notes, generatedResponse) {
   }
 }
 
+// Share of the draft kept when the reply is sent, mapped to an implicit rating
+const IMPLICIT_RATING_THRESHOLDS = { positive: 80, negative: 40 };
+
+// The draft last put into the editor, compared with the editor contents on send
+let pendingDraft = null;
+
+function trackDraft(responseId, draft, details = {}) {
+  pendingDraft = { responseId, draft, details, url: window.location.href };
+}
+
+// Compare the sent reply with the draft and store the result with the feedback entry
+function captureSentReply() {
+  const draft = pendingDraft;
+  if (!draft || draft.url !== window.location.href) {
+    pendingDraft = null;
+    return;
+  }
+
+  const adapter = platformManager.getAdapter();
+  const sent = adapter ? adapter.getReplyText() : null;
+  if (!sent || !sent.trim()) return;
+
+  pendingDraft = null;
+
+  // Diffing long replies takes a moment; don't hold up the send
+  setTimeout(async () => {
+    try {
+      const metrics = TextDiff.compare(draft.draft, sent);
+      const implicitRating = metrics.keptPercent >= IMPLICIT_RATING_THRESHOLDS.positive ? 'positive'
+        : metrics.keptPercent < IMPLICIT_RATING_THRESHOLDS.negative ? 'negative' : 'neutral';
+
+      await saveFeedbackEntry(draft.responseId, {
+        ...draft.details,
+        generatedResponse: draft.draft,
+        editMetrics: { ...metrics, sentAt: Date.now() },
+        implicitRating: implicitRating
+      });
+
+      console.log(`GPT Assistant: Reply sent with ${metrics.keptPercent}% of the draft kept (${metrics.editDistance} word edits)`);
+    } catch (error) {
+      console.error('GPT Assistant: Error recording draft edits:', error);
+    }
+  }, 0);
+}
+
+// Watch for the reply being sent: a click on the platform's send button or Ctrl/Cmd+Enter in the editor
+function setupSendTracking() {
+  document.addEventListener('click', (e) => {
+    if (!pendingDraft) return;
+
+    const selector = platformManager.getAdapter()?.getSendButtonSelector();
+    if (selector && e.target.closest?.(selector)) {
+      captureSentReply();
+    }
+  }, true);
+
+  document.addEventListener('keydown', (e) => {
+    if (pendingDraft && e.key === 'Enter' && (e.ctrlKey || e.metaKey) &&
+        e.target.closest?.('[contenteditable="true"], textarea')) {
+      captureSentReply();
+    }
+  }, true);
+}
+
 async function analyzeFeedbackPatterns() {
   try {
     // Get all feedback data
@@ -335,6 +543,7 @@ async function analyzeFeedbackPatterns() {
     const feedbackEntries = Object.entries(allData)
       .filter(([key]) => key.startsWith('feedback_'))
       .map(([key, value]) => value)
+      .filter(entry => entry.rating) // Variant choices without a rating yet don't count
       .sort((a, b) => b.timestamp - a.timestamp); // Most recent first
 
     if (feedbackEntries.length < 5) return; // Need at least 5 feedback entries
@@ -375,23 +584,37 @@ async function analyzeFeedbackPatterns() {
   }
 }
 
-function extractCommonIssues(negativeNotes) {
-  const issuePatterns = {
-    'too_formal': ['too formal', 'stiff', 'robotic', 'cold'],
-    'too_casual': ['too casual', 'unprofessional', 'informal'],
-    'missing_context': ['missing context', 'generic', 'not specific', 'context'],
-    'too_long': ['too long', 'verbose', 'wordy', 'lengthy'],
-    'too_short': ['too short', 'brief', 'not enough detail', 'incomplete'],
-    'wrong_tone': ['wrong tone', 'tone', 'attitude'],
-    'technical_errors': ['wrong information', 'incorrect', 'error', 'mistake'],
-    'missing_greeting': ['no greeting', 'abrupt', 'starts too quickly'],
-    'missing_signature': ['no signature', 'no sign-off', 'no closing']
-  };
+// Feedback issue categories and the phrases in notes that indicate them
+const FEEDBACK_ISSUE_PATTERNS = {
+  'too_formal': ['too formal', 'stiff', 'robotic', 'cold'],
+  'too_casual': ['too casual', 'unprofessional', 'informal'],
+  'missing_context': ['missing context', 'generic', 'not specific', 'context'],
+  'too_long': ['too long', 'verbose', 'wordy', 'lengthy'],
+  'too_short': ['too short', 'brief', 'not enough detail', 'incomplete'],
+  'wrong_tone': ['wrong tone', 'tone', 'attitude'],
+  'technical_errors': ['wrong information', 'incorrect', 'error', 'mistake'],
+  'missing_greeting': ['no greeting', 'abrupt', 'starts too quickly'],
+  'missing_signature': ['no signature', 'no sign-off', 'no closing']
+};
+
+// Refine presets: one fix per feedback issue category
+const REFINE_PRESETS = {
+  'too_formal': { label: 'Less formal', instruction: 'Make it warmer and more conversational.' },
+  'too_casual': { label: 'More formal', instruction: 'Make it more formal and professional.' },
+  'missing_context': { label: 'More specific', instruction: 'Make it more specific to the customer\'s situation in this conversation.' },
+  'too_long': { label: 'Shorter', instruction: 'Make it shorter and more to the point.' },
+  'too_short': { label: 'Add steps', instruction: 'Add more detail, with step-by-step instructions where they help.' },
+  'wrong_tone': { label: 'Match my tone', instruction: 'Match the tone of my previous replies in this conversation.' },
+  'technical_errors': { label: 'Check accuracy', instruction: 'Check every statement against the conversation and documentation and correct anything inaccurate.' },
+  'missing_greeting': { label: 'Add greeting', instruction: 'Start with a friendly greeting that uses the customer\'s name.' },
+  'missing_signature': { label: 'Add sign-off', instruction: 'End with a brief sign-off.' }
+};
 
+function extractCommonIssues(negativeNotes) {
   const issues = {};
 
   negativeNotes.forEach(note => {
-    Object.entries(issuePatterns).forEach(([issue, patterns]) => {
+    Object.entries(FEEDBACK_ISSUE_PATTERNS).forEach(([issue, patterns]) => {
       if (patterns.some(pattern => note.includes(pattern))) {
         issues[issue] = (issues[issue] || 0) + 1;
       }
@@ -439,8 +662,7 @@ function generateSuggestions(commonIssues, successRate) {
 }
 
 // Keyboard shortcut parsing
-function parseKeyboardShortcut(shortcutString) {
-  const defaultShortcut = 'Ctrl+Shift+G';
+function parseKeyboardShortcut(shortcutString, defaultShortcut = 'Ctrl+Shift+G') {
   const shortcut = shortcutString || defaultShortcut;
   const parts = shortcut.toLowerCase().split('+').map(s => s.trim());
 
@@ -568,24 +790,33 @@ function formatCustomerInfoForPrompt(customerInfo) {
   return customerContext;
 }
 
+// Build the redactor for a generation, with the customer's name as a known value
+function createRedactor(settings, customerInfo) {
+  const types = Array.isArray(settings.piiTypes) ? settings.piiTypes : PIIRedactor.defaultTypes();
+  const redactor = new PIIRedactor(types);
+
+  const name = (customerInfo?.name || '').trim();
+  if (name) {
+    redactor.addKnownValue('name', name);
+    redactor.addKnownValue('name', name.split(/\s+/)[0]);
+  }
+
+  return redactor;
+}
+
 // Extract existing context from editor
 function extractExistingContext() {
   const adapter = platformManager.getAdapter();
   if (!adapter) return '';
 
-  const editor = adapter.getReplyEditor();
-  if (!editor) return '';
-
-  let existingContext = '';
-
-  if (editor.contentEditable === 'true') {
-    // Extract text content from contenteditable
-    existingContext = editor.innerText?.trim() || '';
-  } else if (editor.tagName === 'TEXTAREA') {
-    // Extract from textarea
-    existingContext = editor.value?.trim() || '';
+  // Adapters can leave out parts of the editor that aren't the agent's notes (e.g. a signature)
+  if (adapter.getExistingContext) {
+    return adapter.getExistingContext();
   }
 
+  // getReplyText() reads the editor without opening it; getReplyEditor() is async on Help Scout
+  const existingContext = (adapter.getReplyText() || '').trim();
+
   // Only return context if it's not empty and not the generating status message
   if (existingContext && !existingContext.includes('🤖 Generating AI response...')) {
     return existingContext;
@@ -594,39 +825,559 @@ function extractExistingContext() {
   return '';
 }
 
+// Stop control shown while a response is being generated
+function addStopControl(onStop) {
+  removeStopControl();
+
+  const stopButton = document.createElement('button');
+  stopButton.type = 'button';
+  stopButton.className = 'ai-stop-control';
+  stopButton.textContent = '⏹ Stop generating';
+  stopButton.style.cssText = `
+    position: fixed;
+    bottom: 20px;
+    right: 20px;
+    z-index: 9999;
+    background: #dc3545;
+    color: white;
+    border: none;
+    border-radius: 4px;
+    padding: 8px 14px;
+    cursor: pointer;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 13px;
+    box-shadow: 0 2px 10px rgba(0,0,0,0.15);
+  `;
+
+  stopButton.addEventListener('click', () => {
+    stopButton.disabled = true;
+    stopButton.textContent = 'Stopping...';
+    onStop();
+  });
+
+  document.body.appendChild(stopButton);
+  return stopButton;
+}
+
+function removeStopControl() {
+  document.querySelectorAll('.ai-stop-control').forEach(button => button.remove());
+}
+
+// Draft review panel: the draft is shown here and only reaches the editor once accepted
+async function showDraftPanel() {
+  removeDraftPanel();
+
+  const panel = document.createElement('div');
+  panel.className = 'ai-draft-panel';
+
+  const buttonStyle = (background) => `
+    background: ${background};
+    color: white;
+    border: none;
+    border-radius: 4px;
+    padding: 4px 10px;
+    cursor: pointer;
+    font-size: 12px;
+  `;
+
+  panel.innerHTML = `
+    <div style="
+      background: #f8f9fa;
+      border: 1px solid #dee2e6;
+      border-radius: 6px;
+      padding: 12px;
+      margin: 10px 0;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    ">
+      <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+        <span style="color: #6c757d; font-weight: 500;">AI draft</span>
+        <span class="draft-status" style="color: #6c757d; font-style: italic;">🤖 Generating AI response...</span>
+      </div>
+      <div class="draft-body" style="
+        background: white;
+        border: 1px solid #ced4da;
+        border-radius: 4px;
+        padding: 8px;
+        max-height: 300px;
+        overflow-y: auto;
+        margin-bottom: 8px;
+      "></div>
+      <div style="display: flex; flex-wrap: wrap; gap: 6px;">
+        <button class="draft-action" data-action="insert" data-needs-draft="true" style="${buttonStyle('#007bff')}">Insert at cursor</button>
+        <button class="draft-action" data-action="replace" data-needs-draft="true" style="${buttonStyle('#007bff')}">Replace</button>
+        <button class="draft-action" data-action="append" data-needs-draft="true" style="${buttonStyle('#007bff')}">Append</button>
+        <button class="draft-action" data-action="regenerate" style="${buttonStyle('#6c757d')}">↻ Regenerate</button>
+        <button class="draft-action" data-action="discard" style="${buttonStyle('#dc3545')}">Discard</button>
+      </div>
+    </div>
+  `;
+
+  panel.querySelectorAll('.draft-action').forEach(button => {
+    button.disabled = true;
+    button.style.opacity = '0.5';
+    // Keep the editor's caret where the agent left it so "Insert" lands there
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+  });
+
+  // Show the panel right below the editor, or floating if there is none
+  const editor = await platformManager.getReplyEditor();
+  const anchor = editor ? (editor.closest('.note-editor') || editor.parentElement) : null;
+  if (anchor) {
+    anchor.insertAdjacentElement('afterend', panel);
+  } else {
+    panel.style.cssText = `
+      position: fixed;
+      bottom: 70px;
+      right: 20px;
+      width: 420px;
+      max-width: calc(100vw - 40px);
+      z-index: 9999;
+    `;
+    document.body.appendChild(panel);
+  }
+
+  return panel;
+}
+
+// Show candidate replies side by side; onChoose(index) is called when one is picked
+function showDraftVariants(panel, variants, onChoose) {
+  const body = panel.querySelector('.draft-body');
+  body.innerHTML = '';
+  body.style.display = 'flex';
+  body.style.gap = '8px';
+  body.style.overflowX = 'auto';
+  body.style.maxHeight = '400px';
+
+  variants.forEach((variant, index) => {
+    const column = document.createElement('div');
+    column.className = 'draft-variant';
+    column.style.cssText = `
+      flex: 1 1 0;
+      min-width: 200px;
+      border: 2px solid #dee2e6;
+      border-radius: 4px;
+      padding: 8px;
+      overflow-y: auto;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;';
+
+    const label = document.createElement('strong');
+    label.textContent = variant.label;
+
+    const chooseButton = document.createElement('button');
+    chooseButton.type = 'button';
+    chooseButton.textContent = 'Use this';
+    chooseButton.disabled = !variant.content;
+    chooseButton.style.cssText = `
+      background: #28a745;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      padding: 2px 8px;
+      cursor: pointer;
+      font-size: 12px;
+    `;
+    chooseButton.addEventListener('mousedown', (e) => e.preventDefault());
+    chooseButton.addEventListener('click', () => {
+      panel.querySelectorAll('.draft-variant').forEach(other => {
+        other.style.borderColor = '#dee2e6';
+      });
+      column.style.borderColor = '#28a745';
+      panel._draftText = variant.content;
+      onChoose(index);
+    });
+
+    const content = document.createElement('div');
+    content.innerHTML = variant.content
+      ? HTMLSanitizer.sanitize(variant.content, { convertMarkdown: true, convertLineBreaks: true })
+      : '<em>This variant failed to generate.</em>';
+
+    header.append(label, chooseButton);
+    column.append(header, content);
+    body.appendChild(column);
+  });
+}
+
+// Render draft text into the panel (sanitized, at most once per frame while streaming)
+function updateDraftPanel(panel, text) {
+  panel._draftText = text;
+
+  if (panel._renderPending) {
+    return;
+  }
+
+  panel._renderPending = true;
+  requestAnimationFrame(() => {
+    panel._renderPending = false;
+    panel.querySelector('.draft-body').innerHTML = HTMLSanitizer.sanitize(panel._draftText, {
+      convertMarkdown: true,
+      convertLineBreaks: true
+    });
+  });
+}
+
+function setDraftPanelStatus(panel, status) {
+  panel.querySelector('.draft-status').textContent = status;
+}
+
+// Enable the panel actions; Insert/Replace/Append only when there is a usable draft
+function enableDraftActions(panel, onAction, hasDraft = true) {
+  panel.querySelectorAll('.draft-action').forEach(button => {
+    const enabled = hasDraft || button.dataset.needsDraft !== 'true';
+    button.disabled = !enabled;
+    button.style.opacity = enabled ? '1' : '0.5';
+    button.onclick = enabled ? () => onAction(button.dataset.action) : null;
+  });
+}
+
+function removeDraftPanel() {
+  document.querySelectorAll('.ai-draft-panel').forEach(panel => panel.remove());
+}
+
+// Tone hints for reply variants
+const VARIANT_STYLES = {
+  concise: 'Keep this reply short and to the point.',
+  detailed: 'Give a thorough reply, with step-by-step detail where it helps.',
+  empathetic: 'Lead with empathy: acknowledge how the customer feels before helping.'
+};
+
+// Plan one request per variant, each with its own tone hint when tones are varied
+function planVariants(messages, count, varyTone) {
+  const styles = Object.keys(VARIANT_STYLES);
+
+  return Array.from({ length: count }, (_, index) => {
+    if (!varyTone) {
+      // Identical prompts let the provider return every variant from one request
+      return { style: 'default', label: `Option ${index + 1}`, messages: messages };
+    }
+
+    const style = styles[index % styles.length];
+    const [systemMessage, ...rest] = messages;
+
+    return {
+      style: style,
+      label: style.charAt(0).toUpperCase() + style.slice(1),
+      messages: [
+        { ...systemMessage, content: `${systemMessage.content}\n\n--- STYLE ---\n${VARIANT_STYLES[style]}` },
+        ...rest
+      ]
+    };
+  });
+}
+
+// Condense the messages dropped from a long thread, with the model or extractively
+async function summarizeCollapsedMessages(provider, collapsed, maxTokens, mode) {
+  if (mode === 'model') {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 30000);
+    const startedAt = Date.now();
+
+    try {
+      const result = await provider.complete([
+        { role: 'system', content: 'Summarize this part of a customer support conversation in a few bullet points. Keep facts, versions, steps already tried and promises made.' },
+        { role: 'user', content: collapsed.map(message => message.content).join('\n\n') }
+      ], { maxTokens: maxTokens, signal: controller.signal });
+
+      recordUsage(provider, result, { kind: 'summary', latencyMs: Date.now() - startedAt });
+
+      if (result.content) {
+        return result.content.trim();
+      }
+    } catch (error) {
+      console.warn('GPT Assistant: Thread summary failed, using extractive summary:', error);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  return TokenBudget.summarizeExtractive(collapsed, maxTokens);
+}
+
+// Ask for a refine instruction; resolves with the instruction, or null when cancelled
+function showRefinePrompt() {
+  document.querySelectorAll('.ai-refine-prompt').forEach(prompt => prompt.remove());
+
+  return new Promise((resolve) => {
+    const prompt = document.createElement('div');
+    prompt.className = 'ai-refine-prompt';
+    prompt.style.cssText = `
+      position: fixed;
+      bottom: 70px;
+      right: 20px;
+      width: 380px;
+      max-width: calc(100vw - 40px);
+      z-index: 10000;
+      background: #f8f9fa;
+      border: 1px solid #dee2e6;
+      border-radius: 6px;
+      padding: 12px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.15);
+    `;
+
+    prompt.innerHTML = `
+      <div style="color: #6c757d; font-weight: 500; margin-bottom: 8px;">Refine the draft</div>
+      <div class="refine-presets" style="display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 8px;"></div>
+      <input type="text" class="refine-instruction" placeholder="Or describe the change, e.g. mention the 3.43.3 update" style="
+        width: 100%;
+        box-sizing: border-box;
+        padding: 6px;
+        border: 1px solid #ced4da;
+        border-radius: 4px;
+        font-size: 13px;
+        margin-bottom: 8px;
+      ">
+      <div style="display: flex; justify-content: flex-end; gap: 6px;">
+        <button type="button" class="refine-cancel" style="background: #6c757d; color: white; border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer; font-size: 12px;">Cancel</button>
+        <button type="button" class="refine-submit" style="background: #007bff; color: white; border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer; font-size: 12px;">Refine</button>
+      </div>
+    `;
+
+    const input = prompt.querySelector('.refine-instruction');
+
+    const close = (instruction) => {
+      prompt.remove();
+      resolve(instruction ? instruction.trim() : null);
+    };
+
+    Object.values(REFINE_PRESETS).forEach(preset => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = preset.label;
+      button.title = preset.instruction;
+      button.style.cssText = `
+        background: white;
+        color: #495057;
+        border: 1px solid #ced4da;
+        border-radius: 12px;
+        padding: 2px 10px;
+        cursor: pointer;
+        font-size: 12px;
+      `;
+      button.addEventListener('click', () => close(preset.instruction));
+      prompt.querySelector('.refine-presets').appendChild(button);
+    });
+
+    prompt.querySelector('.refine-cancel').addEventListener('click', () => close(null));
+    prompt.querySelector('.refine-submit').addEventListener('click', () => close(input.value));
+
+    input.addEventListener('keydown', (e) => {
+      // Keep the page's own shortcuts from seeing keys typed here
+      e.stopPropagation();
+
+      if (e.key === 'Enter' && input.value.trim()) {
+        e.preventDefault();
+        close(input.value);
+      } else if (e.key === 'Escape') {
+        close(null);
+      }
+    });
+
+    document.body.appendChild(prompt);
+    input.focus();
+  });
+}
+
+// Revise the draft in the editor with a preset or free-text instruction
+async function refineAIResponse() {
+  const draft = extractExistingContext();
+
+  if (!draft) {
+    showNotification('There is no draft in the reply editor to refine', 'info');
+    return;
+  }
+
+  const instruction = await showRefinePrompt();
+  if (!instruction) {
+    return;
+  }
+
+  await generateAIResponse(null, { refine: { draft, instruction } });
+}
+
 // Main AI generation function
-async function generateAIResponse(e) {
+// options.refine ({ draft, instruction }) revises an existing draft instead of writing a new one
+async function generateAIResponse(e, options = {}) {
   const settings = await loadSettings();
-  const { systemPrompt, docsUrl, openaiKey, openaiModel, temperature, maxTokens } = settings;
+  const { openaiModel, temperature, maxTokens } = settings;
+  const refine = options.refine || null;
+
+  // The active prompt version, or version A or B while an experiment runs
+  const promptChoice = PromptVersions.pick(settings);
+  const systemPrompt = promptChoice.version?.prompt || settings.systemPrompt;
+  const promptFields = promptChoice.version ? {
+    promptVersion: promptChoice.version.id,
+    promptVersionName: promptChoice.version.name,
+    ...(promptChoice.arm ? { experimentArm: promptChoice.arm } : {})
+  } : {};
+
+  const variantCount = refine ? 1 : settings.variantCount;
+  const responseId = createResponseId();
+  let variants = null;
+  let chosenVariant = -1;
+  let feedbackDetails = {};
+
+  // In review mode nothing touches the editor until the agent accepts the draft;
+  // several candidates always go through the panel so the agent can pick one
+  const draftPanel = (settings.reviewDrafts || variantCount > 1) ? await showDraftPanel() : null;
+  if (draftPanel && variantCount > 1) {
+    setDraftPanelStatus(draftPanel, `🤖 Generating ${variantCount} variants...`);
+  }
+
+  const handleDraftAction = async (action) => {
+    const draft = draftPanel._draftText;
+    removeDraftPanel();
+
+    if (action === 'regenerate') {
+      await generateAIResponse(null, options);
+    } else if (action !== 'discard') {
+      await platformManager.injectReply(draft, { mode: action });
+
+      if (variants && chosenVariant >= 0) {
+        await recordVariantChoice(responseId, variants, chosenVariant, feedbackDetails);
+      }
+
+      if (settings.enableFeedback !== false) {
+        addFeedbackUI(draft, responseId, feedbackDetails);
+        trackDraft(responseId, draft, feedbackDetails);
+      }
+    }
+  };
+
+  // Text the generating status replaced, put back when generation fails
+  let editorNotes = '';
+
+  // Errors go to the review panel or a notification, never into the reply itself
+  const showMessage = async (message) => {
+    if (draftPanel) {
+      updateDraftPanel(draftPanel, message);
+      setDraftPanelStatus(draftPanel, '');
+      enableDraftActions(draftPanel, handleDraftAction, false);
+      return;
+    }
+
+    await platformManager.clearGeneratingStatus();
+    if (editorNotes) {
+      await platformManager.injectReply(editorNotes);
+    }
+    showNotification(message, 'error');
+  };
+
+  // Count down to the next attempt in the generating status while a request is retried
+  let retryCountdown = null;
+  const stopRetryCountdown = () => {
+    clearInterval(retryCountdown);
+    retryCountdown = null;
+  };
+
+  const showRetryCountdown = (retry) => {
+    // A new retry replaces the previous countdown
+    stopRetryCountdown();
+
+    const reason = retry.status === 429 ? 'rate limited' : retry.status ? `server error ${retry.status}` : 'network error';
+    const fallback = retry.model ? `, switching to ${retry.model}` : '';
+    const retryAt = Date.now() + retry.delayMs;
+
+    const render = () => {
+      const seconds = Math.max(Math.ceil((retryAt - Date.now()) / 1000), 0);
+      const status = `🤖 Generating AI response... (${reason}${fallback}; retry ${retry.attempt}/${retry.maxRetries} in ${seconds}s)`;
+
+      if (draftPanel) {
+        setDraftPanelStatus(draftPanel, status);
+      } else {
+        platformManager.showGeneratingStatus(status);
+      }
+      return seconds;
+    };
+
+    render();
+    retryCountdown = setInterval(() => {
+      if (render() === 0) {
+        stopRetryCountdown();
+      }
+    }, 1000);
+  };
 
   try {
-    // Validate API key first
-    if (!openaiKey || openaiKey.trim() === '') {
-      await platformManager.injectReply('Error: No OpenAI API key configured. Please set your API key in the extension settings.');
+    // A protected key has to be unlocked in the popup before the API can be called
+    if (settings.keyLocked) {
+      await showMessage('Unlock required: open the GPT Assistant popup and unlock your API key.');
+      return;
+    }
+
+    // Validate provider configuration (API key, endpoint, model) first
+    const provider = ProviderRegistry.create(settings);
+    const configError = provider.validateConfig();
+    if (configError) {
+      await showMessage(configError);
+      return;
+    }
+
+    // Block at the hard spending limit and warn at the soft one
+    const budgetStatus = await checkUsageBudget();
+    if (budgetStatus.status === 'hard') {
+      await showMessage(budgetStatus.message);
       return;
+    } else if (budgetStatus.status === 'soft') {
+      showNotification(budgetStatus.message, 'info');
     }
 
     // Extract any existing context from the editor before showing generating status
-    const existingContext = extractExistingContext();
+    // (when refining, the editor holds the draft being revised rather than notes)
+    const existingContext = refine ? '' : extractExistingContext();
+    editorNotes = refine ? refine.draft : existingContext;
 
-    // Show generating status
-    await platformManager.showGeneratingStatus();
+    // Show generating status (the review panel shows its own)
+    if (!draftPanel) {
+      await platformManager.showGeneratingStatus();
+    }
 
-    // Load documentation
-    const docs = await loadDocs(docsUrl);
+    // Extract conversation and user info
+    const extractedThread = await platformManager.extractThread();
+    const currentUser = await platformManager.getCurrentUser();
+    provider.setIdentity({ agent: currentUser, platform: platformManager.getPlatform() });
+    const extractedCustomerInfo = await platformManager.extractCustomerInfo();
+
+    // Replace personal data with placeholders before anything is sent to the model;
+    // the values are put back into the reply before it reaches the editor
+    const redactor = settings.piiRedaction ? createRedactor(settings, extractedCustomerInfo) : null;
+    const threadMessages = redactor ? redactor.redactMessages(extractedThread) : extractedThread;
+    const customerInfo = redactor ? redactor.redactObject(extractedCustomerInfo) : extractedCustomerInfo;
+    const promptContext = redactor ? redactor.redact(existingContext) : existingContext;
+    const refineRequest = refine && redactor
+      ? { draft: redactor.redact(refine.draft), instruction: redactor.redact(refine.instruction) }
+      : refine;
+
+    // Pick the documentation sources routed to this mailbox/inbox, URL or tag
+    const conversationMeta = await platformManager.getConversationMeta();
+    const docSources = DocSources.selectForConversation(
+      DocSources.fromSettings(settings),
+      settings.docRoutes,
+      conversationMeta
+    );
+
+    // Load documentation: only the most relevant chunks, or everything when retrieval is off
+    const docs = settings.docsRetrieval
+      ? await loadRelevantDocs(docSources, buildDocsQuery(threadMessages, refineRequest ? refineRequest.draft : promptContext), {
+        maxChunks: settings.docsMaxChunks,
+        tokenBudget: settings.docsTokenBudget
+      })
+      : (await Promise.all(docSources.map(source => loadDocs(source)))).flat();
 
     // Debug: Log documentation loading results
     console.log('GPT Assistant: Documentation loading:', {
-      url: docsUrl,
+      sources: docSources.map(source => source.name),
+      conversationMeta: conversationMeta,
+      retrieval: settings.docsRetrieval,
       docsLoaded: docs?.length || 0,
       totalChars: docs?.reduce((sum, doc) => sum + (doc.content?.length || 0), 0) || 0
     });
 
-    // Extract conversation and user info
-    const threadMessages = await platformManager.extractThread();
-    const currentUser = await platformManager.getCurrentUser();
-    const customerInfo = await platformManager.extractCustomerInfo();
-
     // Build documentation context from actual content
     let docsContext = '';
     if (docs && docs.length > 0) {
@@ -642,8 +1393,8 @@ async function generateAIResponse(e) {
     // STATIC CONTENT (placed first for prompt caching optimization)
     let systemMessage = systemPrompt || 'You are a helpful customer support agent.';
 
-    // Add documentation context early (static, cacheable content)
-    if (docsContext) {
+    // Add the full documentation early (static, cacheable content)
+    if (docsContext && !settings.docsRetrieval) {
       systemMessage += `\n\n--- DOCUMENTATION ---\n${docsContext}`;
     }
 
@@ -655,6 +1406,11 @@ async function generateAIResponse(e) {
       systemMessage += `\n\nYour name is ${currentUser}. End your response with an appropriate brief sign-off using your name (e.g., "Best, ${currentUser}" or "Cheers, ${currentUser}"). Do not include any company signature as it will be automatically appended.`;
     }
 
+    // Retrieved chunks change per conversation, so keep them after the cacheable prefix
+    if (docsContext && settings.docsRetrieval) {
+      systemMessage += `\n\n--- DOCUMENTATION ---\nThe most relevant documentation excerpts for this conversation:\n${docsContext}`;
+    }
+
     // DYNAMIC CONTENT (placed last for prompt caching optimization)
     // Add customer information (changes per customer)
     const customerContext = formatCustomerInfoForPrompt(customerInfo);
@@ -663,8 +1419,8 @@ async function generateAIResponse(e) {
     }
 
     // Add existing context if available (highly dynamic)
-    if (existingContext) {
-      systemMessage += `\n\n--- ADDITIONAL CONTEXT ---\nThe agent has provided the following context/notes to consider when generating the response:\n${existingContext}\n\nPlease incorporate this context appropriately into your response.`;
+    if (promptContext) {
+      systemMessage += `\n\n--- ADDITIONAL CONTEXT ---\nThe agent has provided the following context/notes to consider when generating the response:\n${promptContext}\n\nPlease incorporate this context appropriately into your response.`;
     }
 
     // Analyze and match user's tone from previous messages (dynamic)
@@ -673,24 +1429,68 @@ async function generateAIResponse(e) {
       systemMessage += toneAnalysis;
     }
 
+    if (redactor && redactor.hasRedactions()) {
+      systemMessage += '\n\n--- PRIVACY ---\nPersonal data in this conversation has been replaced with placeholders such as [EMAIL_1] or [PHONE_1]. When you need to refer to one of these values, write its placeholder exactly as it appears; the real values are filled in before the reply is shown.';
+      console.log('GPT Assistant: PII redaction:', redactor.getStats());
+    }
+
+    // Ask for a revision of the current draft, or a final instruction if we have conversation history
+    let finalMessage = null;
+    if (refine) {
+      finalMessage = {
+        role: 'user',
+        content: `Here is the current draft of my reply:\n\n${refineRequest.draft}\n\nRevise the draft: ${refineRequest.instruction}\nRespond with the complete revised reply only.`
+      };
+    } else if (threadMessages.length > 0) {
+      finalMessage = {
+        role: 'user',
+        content: 'Please provide a helpful response to continue this conversation.'
+      };
+    }
+
+    // Fit the thread into the model's token budget; the middle of long threads is summarized
+    const { budget } = TokenBudget.getBudget(openaiModel, maxTokens, settings.tokenBudgets);
+    const tokenEstimate = {
+      budget: budget,
+      systemPrompt: TokenBudget.estimateTokens(systemPrompt),
+      docs: TokenBudget.estimateTokens(docsContext),
+      customerInfo: TokenBudget.estimateTokens(customerContext),
+      system: TokenBudget.estimateTokens(systemMessage),
+      thread: TokenBudget.estimateMessages(threadMessages)
+    };
+    const threadBudget = Math.max(
+      budget - tokenEstimate.system - TokenBudget.estimateMessages(finalMessage ? [finalMessage] : []),
+      TokenBudget.MIN_THREAD_TOKENS
+    );
+    const summaryTokens = Math.min(TokenBudget.SUMMARY_TOKENS, Math.floor(threadBudget / 4));
+    const fittedThread = TokenBudget.fitThread(threadMessages, threadBudget, summaryTokens);
+
+    if (fittedThread.collapsed.length > 0) {
+      const summary = await summarizeCollapsedMessages(provider, fittedThread.collapsed, summaryTokens, settings.threadSummary);
+      systemMessage += `\n\n--- EARLIER CONVERSATION (SUMMARIZED) ---\n${fittedThread.collapsed.length} earlier messages were condensed to fit the context budget:\n${summary}`;
+    }
+
+    console.log('GPT Assistant: Token budget:', {
+      ...tokenEstimate,
+      threadKept: fittedThread.tokens,
+      messagesKept: fittedThread.messages.length,
+      messagesSummarized: fittedThread.collapsed.length
+    });
+
     // Build the messages array
     const messages = [
       { role: 'system', content: systemMessage }
     ];
 
-    // Add all conversation messages (dynamic content)
-    messages.push(...threadMessages);
+    // Add the conversation messages that fit the budget (dynamic content)
+    messages.push(...fittedThread.messages);
 
-    // Add a final instruction if we have conversation history
-    if (threadMessages.length > 0) {
-      messages.push({
-        role: 'user',
-        content: 'Please provide a helpful response to continue this conversation.'
-      });
+    if (finalMessage) {
+      messages.push(finalMessage);
     }
 
     // Generate a prompt_cache_key based on static content for better cache routing
-    // Use a combination of model, system prompt hash, and docs URL
+    // Use a combination of model, system prompt hash, and doc sources
     const generateCacheKey = () => {
       // Create a simple hash of the system prompt for consistency
       const promptHash = systemPrompt ?
@@ -699,84 +1499,153 @@ async function generateAIResponse(e) {
           return a & a;
         }, 0).toString(36) : 'default';
 
-      // Include docs URL domain for cache key segmentation
-      let docsDomain = 'nodocs';
-      if (docsUrl) {
-        try {
-          docsDomain = new URL(docsUrl).hostname.replace(/\./g, '-');
-        } catch (e) {
-          // If URL is invalid, use a hash of the URL string
-          docsDomain = 'invalid-' + docsUrl.split('').reduce((a, b) => {
-            a = ((a << 5) - a) + b.charCodeAt(0);
-            return a & a;
-          }, 0).toString(36);
-        }
+      // Include the selected doc sources for cache key segmentation
+      let docsSegment = 'nodocs';
+      if (docSources.length > 0) {
+        docsSegment = docSources.map(source => source.id).sort().join(',').split('').reduce((a, b) => {
+          a = ((a << 5) - a) + b.charCodeAt(0);
+          return a & a;
+        }, 0).toString(36);
       }
 
       // Combine into cache key (keep under 64 chars as recommended)
-      const cacheKey = `${openaiModel}-${promptHash}-${docsDomain}`.substring(0, 64);
+      const cacheKey = `${openaiModel}-${promptHash}-${docsSegment}`.substring(0, 64);
       return cacheKey;
     };
 
-    // Prepare request body with prompt caching optimization
-    const requestBody = {
-      model: openaiModel,
-      messages: messages,
+    // Request options shared by every provider
+    const requestOptions = {
       temperature: temperature,
-      // Add prompt_cache_key for optimal cache routing
-      prompt_cache_key: generateCacheKey()
+      maxTokens: maxTokens,
+      onRetry: (retry) => {
+        // Waiting for a retry doesn't count towards the request timeout
+        clearTimeout(timeout);
+        timeout = setTimeout(() => {
+          controller.abort();
+        }, retry.delayMs + timeoutMs);
+
+        showRetryCountdown(retry);
+      },
+      // prompt_cache_key for optimal cache routing (used where the provider supports it)
+      cacheKey: generateCacheKey()
     };
 
-    // GPT-5 Mini uses max_completion_tokens instead of max_tokens
-    if (openaiModel === 'gpt-5-mini' || openaiModel === 'gpt-5') {
-      requestBody.max_completion_tokens = maxTokens;
-    } else {
-      requestBody.max_tokens = maxTokens;
-    }
+    // Stream tokens into the editor as they arrive (variants are requested whole)
+    const streamResponses = settings.streamResponses !== false && variantCount === 1;
+    const variantPlans = variantCount > 1 ? planVariants(messages, variantCount, settings.variantTones) : null;
 
-    // Create an AbortController for timeout
+    // Create an AbortController for timeout and the Stop control
     const controller = new AbortController();
     const timeoutMs = 60000; // 60 seconds timeout (increased from default)
+    let stoppedByUser = false;
+    let streamStarted = false;
+    let draftText = '';
+    const streamRestorer = redactor ? redactor.createStreamRestorer() : null;
+
+    // Show streamed text in the review panel or the editor
+    const showStreamedText = async (text) => {
+      if (!text) return;
+
+      if (draftPanel) {
+        draftText += text;
+        updateDraftPanel(draftPanel, draftText);
+      } else if (streamStarted) {
+        await platformManager.appendStreamingReply(text);
+      }
+    };
 
-    const timeout = setTimeout(() => {
+    let timeout = setTimeout(() => {
       controller.abort();
     }, timeoutMs);
 
+    addStopControl(() => {
+      stoppedByUser = true;
+      stopRetryCountdown();
+      controller.abort();
+    });
+
     try {
-      // Make API call to OpenAI with timeout
-      const res = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${openaiKey.trim()}`,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
+      requestOptions.signal = controller.signal;
+
+      // Make API call through the configured provider
+      const requestStartedAt = Date.now();
+      let result;
+      if (variantPlans) {
+        result = await provider.completeVariants(variantPlans.map(plan => plan.messages), requestOptions);
+        result.content = result.candidates.find(candidate => candidate.content)?.content || '';
+      } else if (streamResponses) {
+        result = await provider.stream(messages, {
+          ...requestOptions,
+          onStart: async () => {
+            if (draftPanel) {
+              setDraftPanelStatus(draftPanel, '✍️ Writing...');
+              return;
+            }
+            await platformManager.clearGeneratingStatus();
+            streamStarted = await platformManager.beginStreamingReply();
+            // The editor now holds the stream, partial text included
+            editorNotes = '';
+          },
+          onDelta: async (delta) => {
+            // While tokens keep arriving the timeout only covers idle gaps
+            clearTimeout(timeout);
+            timeout = setTimeout(() => {
+              controller.abort();
+            }, timeoutMs);
+
+            await showStreamedText(streamRestorer ? streamRestorer.push(delta) : delta);
+          }
+        });
+
+        // A placeholder may still be held back at the very end of the stream
+        if (streamRestorer) {
+          await showStreamedText(streamRestorer.flush());
+        }
+      } else {
+        result = await provider.complete(messages, requestOptions);
+      }
 
       clearTimeout(timeout);
+      stopRetryCountdown();
+
+      // Put the redacted values back before the reply is shown or stored
+      if (redactor) {
+        result.content = redactor.restore(result.content);
+        (result.candidates || []).forEach(candidate => {
+          candidate.content = redactor.restore(candidate.content);
+        });
+      }
+
+      feedbackDetails = { provider: provider.getProviderName(), model: result.model || provider.model, ...promptFields };
 
-      const data = await res.json();
+      recordUsage(provider, result, {
+        ...promptFields,
+        kind: refine ? 'refine' : 'reply',
+        latencyMs: Date.now() - requestStartedAt,
+        mailbox: conversationMeta?.mailboxName || conversationMeta?.mailboxId || ''
+      });
 
       // Log the full API response including cache metrics
+      const usage = result.usage;
       const cacheMetrics = {
-        cached_tokens: data.usage?.prompt_tokens_details?.cached_tokens || 0,
-        total_prompt_tokens: data.usage?.prompt_tokens || 0,
-        cache_hit_rate: data.usage?.prompt_tokens_details?.cached_tokens ?
-          ((data.usage.prompt_tokens_details.cached_tokens / data.usage.prompt_tokens) * 100).toFixed(1) + '%' : '0%',
-        potential_cost_savings: data.usage?.prompt_tokens_details?.cached_tokens ?
-          ((data.usage.prompt_tokens_details.cached_tokens / data.usage.prompt_tokens) * 0.75 * 100).toFixed(1) + '%' : '0%'
+        cached_tokens: usage?.prompt_tokens_details?.cached_tokens || 0,
+        total_prompt_tokens: usage?.prompt_tokens || 0,
+        cache_hit_rate: usage?.prompt_tokens_details?.cached_tokens ?
+          ((usage.prompt_tokens_details.cached_tokens / usage.prompt_tokens) * 100).toFixed(1) + '%' : '0%',
+        potential_cost_savings: usage?.prompt_tokens_details?.cached_tokens ?
+          ((usage.prompt_tokens_details.cached_tokens / usage.prompt_tokens) * 0.75 * 100).toFixed(1) + '%' : '0%'
       };
 
       console.log('GPT Assistant: API Response:', {
-        status: res.status,
-        model: data.model,
-        usage: data.usage,
+        status: result.status,
+        provider: provider.getProviderName(),
+        model: result.model,
+        usage: usage,
         cache_metrics: cacheMetrics,
-        prompt_cache_key: requestBody.prompt_cache_key,
-        choices: data.choices?.length || 0,
-        content_length: data.choices?.[0]?.message?.content?.length || 0,
-        finish_reason: data.choices?.[0]?.finish_reason
+        prompt_cache_key: requestOptions.cacheKey,
+        content_length: result.content?.length || 0,
+        finish_reason: result.finishReason,
+        variants: result.candidates?.length
       });
 
       // Log cache performance if caching occurred
@@ -784,22 +1653,13 @@ async function generateAIResponse(e) {
         console.log(`GPT Assistant: Prompt caching active! ${cacheMetrics.cached_tokens} tokens cached (${cacheMetrics.cache_hit_rate} hit rate, ~${cacheMetrics.potential_cost_savings} cost savings)`);
       }
 
-      // Check for API errors
-      if (!res.ok) {
-        console.error('GPT Assistant: API Error Response:', data);
-        let errorMessage = `API Error (${res.status}): `;
-        if (data.error) {
-          errorMessage += data.error.message || data.error.type || 'Unknown error';
-        } else {
-          errorMessage += res.statusText || 'Request failed';
-        }
-        throw new Error(errorMessage);
-      }
-
-      const reply = data.choices?.[0]?.message?.content;
+      const reply = result.content;
       if (!reply) {
         // Don't throw error for empty response, just log and show gentle message
-        console.warn('GPT Assistant: Empty response received from OpenAI API');
+        console.warn('GPT Assistant: Empty response received from the API');
+        if (streamStarted) {
+          await platformManager.finishStreamingReply();
+        }
         await platformManager.clearGeneratingStatus();
 
         const message = 'The AI generated an empty response. This might happen if:\n' +
@@ -807,38 +1667,103 @@ async function generateAIResponse(e) {
                        '• The request is too complex\n' +
                        '• There was a temporary API issue\n\n' +
                        'Please try rephrasing your request or providing more context.';
-        await platformManager.injectReply(message);
+        await showMessage(message);
+        return;
+      }
+
+      if (variantPlans) {
+        variants = variantPlans.map((plan, index) => ({
+          style: plan.style,
+          label: plan.label,
+          content: result.candidates[index]?.content || ''
+        }));
+
+        setDraftPanelStatus(draftPanel, 'Pick a variant');
+        enableDraftActions(draftPanel, handleDraftAction, false);
+        showDraftVariants(draftPanel, variants, (index) => {
+          chosenVariant = index;
+          if (settings.reviewDrafts) {
+            setDraftPanelStatus(draftPanel, `${variants[index].label} selected`);
+            enableDraftActions(draftPanel, handleDraftAction);
+          } else {
+            handleDraftAction('replace');
+          }
+        });
         return;
       }
 
-      // Clear the generating status first
-      await platformManager.clearGeneratingStatus();
+      if (draftPanel) {
+        // Wait for the agent to accept, regenerate or discard the draft
+        updateDraftPanel(draftPanel, reply);
+        setDraftPanelStatus(draftPanel, 'Review the draft');
+        enableDraftActions(draftPanel, handleDraftAction);
+        return;
+      }
 
-      // Inject the reply
-      await platformManager.injectReply(reply);
+      if (streamStarted) {
+        // The reply is already in the editor; let the platform pick it up
+        await platformManager.finishStreamingReply();
+      } else {
+        // Clear the generating status first
+        await platformManager.clearGeneratingStatus();
+
+        // Inject the reply
+        await platformManager.injectReply(reply);
+      }
 
       // Add feedback UI if enabled
       if (settings.enableFeedback !== false) {
-        addFeedbackUI(reply);
+        addFeedbackUI(reply, responseId, feedbackDetails);
+        trackDraft(responseId, reply, feedbackDetails);
       }
 
     } catch (abortError) {
+      clearTimeout(timeout);
+
+      // The countdown would overwrite the editor contents restored below
+      stopRetryCountdown();
+
+      // Keep whatever was generated before the agent pressed Stop
+      if (abortError.name === 'AbortError' && stoppedByUser) {
+        console.log('GPT Assistant: Generation stopped by user');
+        if (draftPanel) {
+          setDraftPanelStatus(draftPanel, 'Stopped');
+          enableDraftActions(draftPanel, handleDraftAction, !!draftText.trim());
+          return;
+        }
+        if (streamStarted) {
+          await platformManager.finishStreamingReply();
+        }
+        await platformManager.clearGeneratingStatus();
+        if (editorNotes) {
+          await platformManager.injectReply(editorNotes);
+        }
+        return;
+      }
+
+      if (streamStarted) {
+        await platformManager.finishStreamingReply();
+      }
+
       // Handle timeout separately
       if (abortError.name === 'AbortError') {
         console.error('GPT Assistant: Request timed out after 60 seconds');
         await platformManager.clearGeneratingStatus();
 
         const timeoutMessage = 'The request timed out after 60 seconds. This might be due to:\n' +
-                               '• OpenAI service being slow or unavailable\n' +
+                               '• The AI provider being slow or unavailable\n' +
                                '• Network connectivity issues\n' +
                                '• Very long conversation context\n\n' +
-                               'Please try again or reduce the conversation length.';
-        await platformManager.injectReply(timeoutMessage);
+                               'Please try again. For long threads, lower the context budget for this model in the extension settings so more of the thread is summarized.';
+        await showMessage(timeoutMessage);
         return;
       }
 
       // Re-throw for other errors
       throw abortError;
+    } finally {
+      stopRetryCountdown();
+      removeStopControl();
     }
 
   } catch (error) {
@@ -850,14 +1775,25 @@ async function generateAIResponse(e) {
 
     if (error.message?.includes('Failed to fetch')) {
       // Network errors
-      userMessage = 'Network error: Unable to reach OpenAI API.\n\n' +
+      userMessage = 'Network error: Unable to reach the AI provider API, even after retrying.\n\n' +
                    'Please check your internet connection and try again.';
+    } else if (error.provider === 'relay' && error.status === 401) {
+      // The relay rejected the agent token
+      userMessage = 'The team relay rejected your agent token. It may have been revoked; ask your administrator for a new one.';
     } else if (error.message?.includes('401')) {
       // Authentication error
-      userMessage = 'Authentication failed. Please check your OpenAI API key in the extension settings.';
+      userMessage = 'Authentication failed. Please check your API key in the extension settings.';
+    } else if (/context.length|context window|too many tokens|prompt is too long/i.test(error.message || '')) {
+      // The prompt did not fit the model even after budgeting
+      userMessage = 'The conversation is too long for this model.\n\n' +
+                   'Lower the context budget for this model in the extension settings, or choose a model with a larger context window.';
     } else if (error.message?.includes('429')) {
-      // Rate limit error
-      userMessage = 'Rate limit exceeded. Please wait a moment and try again.';
+      // Rate limit error (already retried with backoff)
+      userMessage = 'Rate limit exceeded, even after retrying. Please wait a moment and try again, or set a fallback model in the extension settings.';
+    } else if (error.status >= 500) {
+      // Server errors (already retried with backoff)
+      userMessage = `The AI provider returned a server error (${error.status}), even after retrying.\n\n` +
+                   'Please try again in a moment, or set a fallback model in the extension settings.';
     } else if (error.message?.includes('API Error')) {
       // API errors - show the actual error
       userMessage = error.message.replace('Error generating AI response: ', '');
@@ -865,14 +1801,14 @@ async function generateAIResponse(e) {
       // Generic error - but don't show technical details
       userMessage = 'Unable to generate AI response at this time.\n\n' +
                    'Please try again in a moment. If the issue persists, check:\n' +
-                   '• Your OpenAI API key in settings\n' +
+                   '• Your API key and provider in settings\n' +
                    '• Your internet connection\n' +
-                   '• OpenAI service status';
+                   '• Your AI provider\'s service status';
     }
 
     // Only inject error message if we have one
     if (userMessage) {
-      await platformManager.injectReply(userMessage);
+      await showMessage(userMessage);
     }
   }
 }
@@ -880,18 +1816,21 @@ async function generateAIResponse(e) {
 // Keyboard shortcut handler
 function setupKeyboardShortcuts() {
   document.addEventListener('keydown', async (e) => {
-    const settings = await loadSettings();
-    const shortcut = parseKeyboardShortcut(settings.keyboardShortcut);
+    // The key is only fetched once a shortcut matches, by generateAIResponse()
+    const settings = await loadStoredSettings();
 
-    const matchesShortcut =
+    const matchesShortcut = (shortcut) =>
       ((shortcut.ctrl && e.ctrlKey) || (shortcut.meta && e.metaKey)) &&
       (shortcut.shift === e.shiftKey) &&
       (shortcut.alt === e.altKey) &&
       e.key.toUpperCase() === shortcut.key;
 
-    if (matchesShortcut) {
+    if (matchesShortcut(parseKeyboardShortcut(settings.keyboardShortcut))) {
       e.preventDefault();
       await generateAIResponse(e);
+    } else if (matchesShortcut(parseKeyboardShortcut(settings.refineShortcut, 'Ctrl+Shift+E'))) {
+      e.preventDefault();
+      await refineAIResponse();
     }
   });
 }
@@ -931,6 +1870,9 @@ async function initializeExtension() {
   // Setup keyboard shortcuts
   setupKeyboardShortcuts();
 
+  // Compare sent replies with the AI draft
+  setupSendTracking();
+
   // Setup platform-specific event listeners
   platformManager.addEventListener('error', (data) => {
     console.error('GPT Assistant Error:', data);
@@ -957,6 +1899,7 @@ new MutationObserver(() => {
   const url = location.href;
   if (url !== lastUrl) {
     lastUrl = url;
+    pendingDraft = null;
     console.log('GPT Assistant: Page navigation detected, resetting...');
     platformManager.reset().then(() => {
       console.log('GPT Assistant: Reset complete');
@@ -964,6 +1907,27 @@ new MutationObserver(() => {
   }
 }).observe(document, { subtree: true, childList: true });
 
+// Saved selector overrides apply from the next operation, without reloading the page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SelectorProfiles.STORAGE_KEY]) {
+    console.log('GPT Assistant: Selector overrides changed, resetting...');
+    platformManager.reset();
+  }
+});
+
+// Match counts for the selector profiles page's "Test on current tab"
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action !== 'testSelectors' || sender.id !== chrome.runtime.id) {
+    return;
+  }
+
+  sendResponse({
+    platform: platformManager.getPlatform(),
+    title: document.title,
+    counts: SelectorProfiles.count(request.selectors || {})
+  });
+});
+
 // Initialize when DOM is ready with a small delay for extension context
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,420 @@
+// Feedback dashboard: filter, search, chart and delete the feedback_ entries
+
+let feedbackEntries = [];
+let analysisData = null;
+const selectedIds = new Set();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+// Load every feedback entry and the stored analysis
+async function loadFeedback() {
+  const allData = await chrome.storage.local.get(null);
+
+  feedbackEntries = Object.entries(allData)
+    .filter(([key]) => key.startsWith('feedback_'))
+    .map(([key, value]) => value)
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  analysisData = allData.feedbackAnalysis || null;
+
+  // Forget selections of entries that no longer exist
+  const ids = new Set(feedbackEntries.map(entry => entry.id));
+  [...selectedIds].forEach(id => {
+    if (!ids.has(id)) selectedIds.delete(id);
+  });
+
+  populateFilterOptions();
+  render();
+}
+
+// Fill the platform and model pickers with the values found in the data
+function populateFilterOptions() {
+  const fill = (selectId, values) => {
+    const select = document.getElementById(selectId);
+    const current = select.value;
+    select.innerHTML = '<option value="">All</option>' + [...new Set(values.filter(Boolean))]
+      .sort()
+      .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+      .join('');
+    select.value = current;
+  };
+
+  fill('filterPlatform', feedbackEntries.map(entry => entry.platform));
+  fill('filterModel', feedbackEntries.map(entry => entry.model));
+}
+
+// All the text of an entry, for full-text search
+function entryText(entry) {
+  return [
+    entry.generatedResponse,
+    entry.notes,
+    entry.url,
+    ...(entry.conversationContext || []).map(message => message.content),
+    ...(entry.variants || []).map(variant => variant.content)
+  ].filter(Boolean).join('\n').toLowerCase();
+}
+
+function getFilteredEntries() {
+  const search = document.getElementById('filterSearch').value.trim().toLowerCase();
+  const from = document.getElementById('filterFrom').value;
+  const to = document.getElementById('filterTo').value;
+  const rating = document.getElementById('filterRating').value;
+  const platform = document.getElementById('filterPlatform').value;
+  const model = document.getElementById('filterModel').value;
+  const customer = document.getElementById('filterCustomer').value.trim().toLowerCase();
+
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+  const toTime = to ? new Date(`${to}T00:00:00`).getTime() + DAY_MS : null;
+
+  return feedbackEntries.filter(entry => {
+    if (fromTime && entry.timestamp < fromTime) return false;
+    if (toTime && entry.timestamp >= toTime) return false;
+    if (rating === 'unrated' ? entry.rating : rating && entry.rating !== rating) return false;
+    if (platform && entry.platform !== platform) return false;
+    if (model && entry.model !== model) return false;
+
+    if (customer) {
+      const info = entry.customerInfo || {};
+      const fields = [info.name, info.email, info.company].filter(Boolean).join(' ').toLowerCase();
+      if (!fields.includes(customer)) return false;
+    }
+
+    return !search || entryText(entry).includes(search);
+  });
+}
+
+function render() {
+  const entries = getFilteredEntries();
+
+  renderStats(entries);
+  renderChart(entries);
+  renderSuggestions();
+  renderEntries(entries);
+}
+
+function renderStats(entries) {
+  const positive = entries.filter(entry => entry.rating === 'positive').length;
+  const negative = entries.filter(entry => entry.rating === 'negative').length;
+  const rated = positive + negative;
+  const sent = entries.filter(entry => entry.editMetrics);
+  const kept = sent.length > 0
+    ? Math.round(sent.reduce((sum, entry) => sum + entry.editMetrics.keptPercent, 0) / sent.length)
+    : null;
+
+  const card = (label, value) => `
+    <div class="stat-card">
+      <div>${label}</div>
+      <div class="stat-value">${value}</div>
+    </div>`;
+
+  document.getElementById('stats').innerHTML =
+    card('Success Rate', rated > 0 ? `${Math.round((positive / rated) * 100)}%` : '–') +
+    card('&#x1F44D; Positive', positive) +
+    card('&#x1F44E; Negative', negative) +
+    card('Avg. % of Draft Kept', kept !== null ? `${kept}% (${sent.length} sent)` : '–') +
+    card('Entries', entries.length);
+}
+
+// Bar chart of the success rate per day (or per week for longer ranges)
+function renderChart(entries) {
+  const chart = document.getElementById('chart');
+  const rated = entries.filter(entry => entry.rating);
+
+  if (rated.length === 0) {
+    chart.innerHTML = '<p style="color: #6c757d; font-size: 14px;">No rated feedback in this selection.</p>';
+    return;
+  }
+
+  const oldest = Math.min(...rated.map(entry => entry.timestamp));
+  const newest = Math.max(...rated.map(entry => entry.timestamp));
+  const bucketMs = (newest - oldest) > 31 * DAY_MS ? 7 * DAY_MS : DAY_MS;
+
+  const start = new Date(oldest);
+  start.setHours(0, 0, 0, 0);
+
+  const buckets = new Map();
+  rated.forEach(entry => {
+    const index = Math.floor((entry.timestamp - start.getTime()) / bucketMs);
+    const bucket = buckets.get(index) || { positive: 0, total: 0 };
+    bucket.total++;
+    if (entry.rating === 'positive') bucket.positive++;
+    buckets.set(index, bucket);
+  });
+
+  const count = Math.max(...buckets.keys()) + 1;
+  const width = 1000;
+  const height = 180;
+  const barWidth = width / count;
+
+  const bars = Array.from({ length: count }, (_, index) => {
+    const bucket = buckets.get(index);
+    if (!bucket) return '';
+
+    const rate = bucket.positive / bucket.total;
+    const barHeight = Math.max(rate * (height - 20), 2);
+    const label = new Date(start.getTime() + index * bucketMs).toLocaleDateString();
+    const color = rate >= 0.7 ? '#28a745' : rate >= 0.4 ? '#ffc107' : '#dc3545';
+
+    return `<rect x="${index * barWidth + 1}" y="${height - barHeight}" width="${Math.max(barWidth - 2, 1)}" height="${barHeight}" fill="${color}">
+      <title>${label}${bucketMs > DAY_MS ? ' (week)' : ''}: ${Math.round(rate * 100)}% of ${bucket.total}</title>
+    </rect>`;
+  }).join('');
+
+  chart.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+      <line x1="0" y1="20" x2="${width}" y2="20" stroke="#dee2e6" stroke-dasharray="4" />
+      ${bars}
+    </svg>
+    <div style="display: flex; justify-content: space-between; font-size: 12px; color: #6c757d;">
+      <span>${new Date(oldest).toLocaleDateString()}</span>
+      <span>${bucketMs > DAY_MS ? 'Weekly' : 'Daily'} success rate (hover a bar for details)</span>
+      <span>${new Date(newest).toLocaleDateString()}</span>
+    </div>`;
+}
+
+function renderSuggestions() {
+  const container = document.getElementById('suggestions');
+
+  if (!analysisData || (!analysisData.suggestions?.length && !analysisData.commonIssues?.length)) {
+    container.style.display = 'none';
+    return;
+  }
+
+  container.style.display = 'block';
+  container.innerHTML = `
+    ${analysisData.suggestions?.length ? `
+      <strong>&#x1F50D; Improvement Suggestions</strong>
+      <ul>${analysisData.suggestions.map(suggestion => `<li>${escapeHtml(suggestion)}</li>`).join('')}</ul>
+    ` : ''}
+    ${analysisData.commonIssues?.length ? `
+      <strong>&#x1F4CA; Common Issues:</strong>
+      ${analysisData.commonIssues.map(({ issue, count }) => `${escapeHtml(issue.replace(/_/g, ' '))} (${count})`).join(', ')}
+    ` : ''}`;
+}
+
+function renderEntries(entries) {
+  const container = document.getElementById('entries');
+  document.getElementById('resultCount').textContent = `${entries.length} of ${feedbackEntries.length} entries`;
+
+  if (entries.length === 0) {
+    container.innerHTML = '<p>No feedback entries match these filters.</p>';
+    updateSelection(entries);
+    return;
+  }
+
+  container.innerHTML = entries.map(entry => {
+    const rating = entry.rating === 'positive' ? '&#x1F44D; Positive'
+      : entry.rating === 'negative' ? '&#x1F44E; Negative' : 'Not rated';
+    const info = entry.customerInfo;
+    const rejected = (entry.variants || []).filter(variant => !variant.chosen);
+    const metrics = entry.editMetrics;
+    const edits = metrics ? [
+      ...metrics.removedSentences.map(sentence => `<div class="context-message edit-removed">− ${escapeHtml(sentence)}</div>`),
+      ...metrics.addedSentences.map(sentence => `<div class="context-message edit-added">+ ${escapeHtml(sentence)}</div>`)
+    ] : [];
+
+    return `
+      <div class="feedback-entry" data-entry-id="${escapeHtml(entry.id)}">
+        <div class="feedback-header">
+          <div>
+            <input type="checkbox" class="entry-select" ${selectedIds.has(entry.id) ? 'checked' : ''} />
+            <span class="rating-${entry.rating || 'unrated'}">${rating}</span>
+            <span class="entry-meta">${formatDate(entry.timestamp)}</span>
+            ${entry.platform ? `<span class="entry-meta">${escapeHtml(entry.platform)}</span>` : ''}
+            ${entry.model ? `<span class="entry-meta">${escapeHtml(entry.model)}</span>` : ''}
+            ${entry.promptVersionName ? `<span class="entry-meta">Prompt ${escapeHtml(entry.promptVersionName)}${entry.experimentArm ? ` (${escapeHtml(entry.experimentArm)})` : ''}</span>` : ''}
+            ${entry.chosenStyle ? `<span class="entry-meta">Picked ${escapeHtml(entry.chosenStyle)}</span>` : ''}
+            ${metrics ? `<span class="entry-meta">Sent with ${metrics.keptPercent}% kept (${escapeHtml(entry.implicitRating)})</span>` : ''}
+          </div>
+          <div>
+            ${entry.url ? `<a href="${escapeHtml(entry.url)}" target="_blank" rel="noopener" class="btn">Open conversation</a>` : ''}
+            <button type="button" class="btn btn-danger entry-delete">Delete</button>
+          </div>
+        </div>
+
+        <div class="response-text"><strong>Generated Response:</strong>
+${escapeHtml(entry.generatedResponse || '')}</div>
+
+        ${entry.notes ? `<div class="notes"><strong>Feedback Notes:</strong>
+${escapeHtml(entry.notes)}</div>` : ''}
+
+        ${entry.conversationContext?.length ? `
+        <details>
+          <summary>Conversation context (${entry.conversationContext.length} messages)</summary>
+          ${entry.conversationContext.map(message => `<div class="context-message">${escapeHtml(message.content)}</div>`).join('')}
+        </details>` : ''}
+
+        ${edits.length ? `
+        <details>
+          <summary>Edits before sending (${metrics.editDistance} words changed, ${metrics.draftWords} → ${metrics.sentWords} words)</summary>
+          ${edits.join('')}
+        </details>` : ''}
+
+        ${rejected.length ? `
+        <details>
+          <summary>Rejected variants (${rejected.length})</summary>
+          ${rejected.map(variant => `<div class="context-message"><strong>${escapeHtml(variant.style)}:</strong>
+${escapeHtml(variant.content)}</div>`).join('')}
+        </details>` : ''}
+
+        ${info ? `
+        <div class="customer-info">
+          <strong>Customer:</strong>
+          ${escapeHtml(info.name || 'Unknown')}${info.email ? ` &lt;${escapeHtml(info.email)}&gt;` : ''}${info.company ? ` | ${escapeHtml(info.company)}` : ''} |
+          Version: ${escapeHtml(info.version || 'Unknown')} |
+          Status: ${escapeHtml(info.versionStatus || 'Unknown')}
+        </div>` : ''}
+      </div>`;
+  }).join('');
+
+  container.querySelectorAll('.feedback-entry').forEach(element => {
+    const id = element.dataset.entryId;
+
+    element.querySelector('.entry-select').addEventListener('change', (e) => {
+      if (e.target.checked) {
+        selectedIds.add(id);
+      } else {
+        selectedIds.delete(id);
+      }
+      updateSelection(entries);
+    });
+
+    element.querySelector('.entry-delete').addEventListener('click', async () => {
+      if (confirm('Delete this feedback entry?')) {
+        await deleteEntries([id]);
+      }
+    });
+  });
+
+  updateSelection(entries);
+}
+
+// Sync the bulk controls with the selected entries
+function updateSelection(entries) {
+  const shownSelected = entries.filter(entry => selectedIds.has(entry.id)).length;
+  const selectAll = document.getElementById('selectAll');
+  const deleteButton = document.getElementById('deleteSelected');
+
+  selectAll.checked = entries.length > 0 && shownSelected === entries.length;
+  selectAll.indeterminate = shownSelected > 0 && shownSelected < entries.length;
+  deleteButton.disabled = selectedIds.size === 0;
+  deleteButton.textContent = selectedIds.size > 0 ? `Delete selected (${selectedIds.size})` : 'Delete selected';
+}
+
+// Delete entries one by one through the background worker, which also reanalyzes patterns
+async function deleteEntries(ids) {
+  const deleteButton = document.getElementById('deleteSelected');
+  deleteButton.disabled = true;
+
+  let failed = 0;
+  for (const id of ids) {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteFeedbackEntry', entryId: id });
+    if (response && response.success) {
+      selectedIds.delete(id);
+    } else {
+      failed++;
+      console.error('Error deleting feedback entry:', id, response?.error);
+    }
+  }
+
+  if (failed > 0) {
+    alert(`${failed} feedback entries could not be deleted.`);
+  }
+
+  await loadFeedback();
+}
+
+// Save text as a file through a temporary download link
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFilename(extension) {
+  return `gpt-assistant-feedback-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+document.getElementById('exportJson').addEventListener('click', () => {
+  downloadFile(FeedbackExport.toJSON(getFilteredEntries(), analysisData), exportFilename('json'), 'application/json');
+});
+
+document.getElementById('exportCsv').addEventListener('click', () => {
+  // BOM so spreadsheet apps read the file as UTF-8
+  downloadFile('\ufeff' + FeedbackExport.toCSV(getFilteredEntries()), exportFilename('csv'), 'text/csv');
+});
+
+document.getElementById('importJson').addEventListener('click', () => {
+  document.getElementById('importFile').click();
+});
+
+document.getElementById('importFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    const entries = FeedbackExport.parseJSON(await file.text());
+    if (entries.length === 0) {
+      alert('The file contains no valid feedback entries.');
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'importFeedbackEntries', entries });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from the extension');
+    }
+
+    alert(`Imported ${response.added} new and merged ${response.merged} existing entries` +
+      (response.skipped ? ` (${response.skipped} duplicates or unchanged skipped).` : '.'));
+    await loadFeedback();
+  } catch (error) {
+    console.error('Error importing feedback:', error);
+    alert(`Error importing feedback: ${error.message}`);
+  }
+});
+
+document.getElementById('selectAll').addEventListener('change', (e) => {
+  getFilteredEntries().forEach(entry => {
+    if (e.target.checked) {
+      selectedIds.add(entry.id);
+    } else {
+      selectedIds.delete(entry.id);
+    }
+  });
+  render();
+});
+
+document.getElementById('deleteSelected').addEventListener('click', async () => {
+  if (confirm(`Delete ${selectedIds.size} feedback entries? This cannot be undone.`)) {
+    await deleteEntries([...selectedIds]);
+  }
+});
+
+['filterSearch', 'filterFrom', 'filterTo', 'filterRating', 'filterPlatform', 'filterModel', 'filterCustomer'].forEach(id => {
+  document.getElementById(id).addEventListener('input', render);
+});
+
+// Refresh when feedback is added or deleted elsewhere (popup, other tabs)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && Object.keys(changes).some(key => key.startsWith('feedback_') || key === 'feedbackAnalysis')) {
+    loadFeedback();
+  }
+});
+
+loadFeedback();
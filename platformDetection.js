@@ -1,6 +1,6 @@
 /**
  * Platform Detection Module
- * Detects whether the current page is FreeScout or Help Scout
+ * Detects whether the current page is FreeScout, Help Scout, Zendesk, Intercom, Freshdesk or Gmail
  * Includes caching and multiple fallback strategies
  */
 
@@ -24,6 +24,23 @@
     helpscout: {
       patterns: ['/conversations/*', '/inboxes/*/views', '/conversation/*/'],
       urlIncludes: ['helpscout.net', 'secure.helpscout.net', 'helpscout.com']
+    },
+    zendesk: {
+      patterns: ['/agent/tickets/*'],
+      urlIncludes: ['zendesk.com/agent']
+    },
+    intercom: {
+      patterns: ['/a/inbox/*', '/a/apps/*/inbox/*'],
+      urlIncludes: ['app.intercom.com/a/', 'app.eu.intercom.com/a/', 'app.au.intercom.com/a/']
+    },
+    freshdesk: {
+      // Ticket paths also match on custom helpdesk domains
+      patterns: ['/a/tickets/[0-9]+', '/helpdesk/tickets/[0-9]+'],
+      urlIncludes: ['.freshdesk.com/']
+    },
+    gmail: {
+      patterns: ['^https://mail\\.google\\.com/mail/'],
+      urlIncludes: ['mail.google.com/mail/']
     }
   };
 
@@ -51,12 +68,56 @@
       dataAttributes: ['data-cy', 'data-bypass'],
       // Unique Help Scout identifiers
       uniqueMarkers: ['#AccountDropdown', '.c-nav-secondary']
+    },
+    zendesk: {
+      selectors: [
+        '[data-test-id="omni-log-container"]',
+        '[data-test-id="omnicomposer-rich-text-ckeditor"]',
+        '.ck-editor__editable',
+        '[data-test-id="ticket-workspace"]'
+      ],
+      dataAttributes: ['data-garden-id'],
+      // Unique Zendesk identifiers
+      uniqueMarkers: ['[data-test-id="omni-log-container"]', '[data-test-id="ticket-system-field-requester-select"]']
+    },
+    intercom: {
+      selectors: [
+        '.conversation__stream',
+        '.conversation__part',
+        '.inbox__conversation-composer',
+        '.ProseMirror'
+      ],
+      dataAttributes: ['data-part-type', 'data-test-composer'],
+      // Unique Intercom identifiers
+      uniqueMarkers: ['[data-conversation-stream]', '[data-test-conversation-sidebar]']
+    },
+    freshdesk: {
+      selectors: [
+        '.fr-element',
+        '.fr-wrapper',
+        '[data-test-id="ticket-description"]',
+        '[data-test-id="conversation-item"]'
+      ],
+      dataAttributes: ['data-ticket-id'],
+      // Unique Freshdesk identifiers
+      uniqueMarkers: ['[data-test-id="ticket-properties"]', '#ticket_original_request']
+    },
+    gmail: {
+      selectors: [
+        '[role="main"] .adn',
+        '.a3s',
+        '.gD[email]',
+        'div[g_editable]'
+      ],
+      dataAttributes: ['data-legacy-thread-id'],
+      // Unique Gmail identifiers
+      uniqueMarkers: ['[gh="tm"]', '[data-legacy-thread-id]']
     }
   };
 
   /**
    * Main detection method with caching
-   * @returns {string|null} 'freescout', 'helpscout', or null
+   * @returns {string|null} 'freescout', 'helpscout', 'zendesk', 'intercom', 'freshdesk', 'gmail', or null
    */
   static detectPlatform() {
     // Check cache first
@@ -128,6 +189,24 @@
    * Detect platform by URL patterns
    */
   static detectByURL(url) {
+    // Zendesk agent URLs are the most specific
+    if (this.matchesPattern(url, this.PLATFORM_PATTERNS.zendesk)) {
+      return 'zendesk';
+    }
+
+    // Intercom inbox URLs also contain /conversation/, so check them before FreeScout
+    if (this.matchesPattern(url, this.PLATFORM_PATTERNS.intercom)) {
+      return 'intercom';
+    }
+
+    if (this.matchesPattern(url, this.PLATFORM_PATTERNS.freshdesk)) {
+      return 'freshdesk';
+    }
+
+    if (this.matchesPattern(url, this.PLATFORM_PATTERNS.gmail)) {
+      return 'gmail';
+    }
+
     // Check for Help Scout first (more specific patterns)
     if (this.matchesPattern(url, this.PLATFORM_PATTERNS.helpscout)) {
       // Ensure it's not excluded
@@ -154,6 +233,26 @@
   static detectByDOM(doc) {
     // Check unique markers first for more accurate detection
     
+    // Check Zendesk unique markers
+    if (this.hasUniqueMarkers(doc, this.DOM_MARKERS.zendesk.uniqueMarkers)) {
+      return 'zendesk';
+    }
+    
+    // Check Intercom unique markers
+    if (this.hasUniqueMarkers(doc, this.DOM_MARKERS.intercom.uniqueMarkers)) {
+      return 'intercom';
+    }
+    
+    // Check Freshdesk unique markers
+    if (this.hasUniqueMarkers(doc, this.DOM_MARKERS.freshdesk.uniqueMarkers)) {
+      return 'freshdesk';
+    }
+    
+    // Check Gmail unique markers
+    if (this.hasUniqueMarkers(doc, this.DOM_MARKERS.gmail.uniqueMarkers)) {
+      return 'gmail';
+    }
+    
     // Check Help Scout unique markers
     if (this.hasUniqueMarkers(doc, this.DOM_MARKERS.helpscout.uniqueMarkers)) {
       return 'helpscout';
@@ -164,16 +263,13 @@
       return 'freescout';
     }
     
-    // Fall back to general markers with scoring
-    const helpScoutScore = this.calculateDOMScore(doc, this.DOM_MARKERS.helpscout);
-    const freeScoutScore = this.calculateDOMScore(doc, this.DOM_MARKERS.freescout);
+    // Fall back to general markers with scoring: the best score wins if it's over half and not tied
+    const scores = Object.keys(this.DOM_MARKERS)
+      .map(platform => ({ platform, score: this.calculateDOMScore(doc, this.DOM_MARKERS[platform]) }))
+      .sort((a, b) => b.score - a.score);
     
-    if (helpScoutScore > freeScoutScore && helpScoutScore > 0.5) {
-      return 'helpscout';
-    }
-    
-    if (freeScoutScore > helpScoutScore && freeScoutScore > 0.5) {
-      return 'freescout';
+    if (scores[0].score > 0.5 && scores[0].score > scores[1].score) {
+      return scores[0].platform;
     }
     
     return null;
@@ -233,7 +329,11 @@
     // Count votes for each platform
     const votes = {
       freescout: 0,
-      helpscout: 0
+      helpscout: 0,
+      zendesk: 0,
+      intercom: 0,
+      freshdesk: 0,
+      gmail: 0
     };
     
     if (urlDetection) votes[urlDetection]++;
@@ -246,16 +346,14 @@
     console.log('GPT Assistant: Detection votes:', votes);
     
     // Return platform with most votes
-    if (votes.helpscout > votes.freescout) {
-      return 'helpscout';
-    }
+    const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
     
-    if (votes.freescout > votes.helpscout) {
-      return 'freescout';
+    // If tied or no votes, return null
+    if (ranked[0][1] === 0 || ranked[0][1] === ranked[1][1]) {
+      return null;
     }
     
-    // If tied or no votes, return null
-    return null;
+    return ranked[0][0];
   }
 
   /**
@@ -11,6 +11,7 @@
   constructor() {
     this.adapter = null;
     this.platform = null;
+    this.selectorProfile = null;
     this.initialized = false;
     this.initPromise = null;
     this.errorCount = 0;
@@ -119,20 +120,61 @@
       // Get adapter classes from global scope
       const FreeScoutAdapter = global.FreeScoutAdapter || window.FreeScoutAdapter;
       const HelpScoutAdapter = global.HelpScoutAdapter || window.HelpScoutAdapter;
+      const ZendeskAdapter = global.ZendeskAdapter || window.ZendeskAdapter;
+      const IntercomAdapter = global.IntercomAdapter || window.IntercomAdapter;
+      const FreshdeskAdapter = global.FreshdeskAdapter || window.FreshdeskAdapter;
+      const GmailAdapter = global.GmailAdapter || window.GmailAdapter;
+      const SelectorProfiles = global.SelectorProfiles || window.SelectorProfiles;
+      
+      if (!SelectorProfiles) {
+        throw new Error('SelectorProfiles not loaded');
+      }
+      
+      // The platform's selector profile, with the agent's overrides applied
+      this.selectorProfile = await SelectorProfiles.load(this.platform);
+      const selectors = this.selectorProfile.selectors;
       
       switch (this.platform) {
         case 'freescout':
           if (!FreeScoutAdapter) {
             throw new Error('FreeScoutAdapter not loaded');
           }
-          this.adapter = new FreeScoutAdapter();
+          this.adapter = new FreeScoutAdapter(selectors);
           break;
           
         case 'helpscout':
           if (!HelpScoutAdapter) {
             throw new Error('HelpScoutAdapter not loaded');
           }
-          this.adapter = new HelpScoutAdapter();
+          this.adapter = new HelpScoutAdapter(selectors);
+          break;
+          
+        case 'zendesk':
+          if (!ZendeskAdapter) {
+            throw new Error('ZendeskAdapter not loaded');
+          }
+          this.adapter = new ZendeskAdapter(selectors);
+          break;
+          
+        case 'intercom':
+          if (!IntercomAdapter) {
+            throw new Error('IntercomAdapter not loaded');
+          }
+          this.adapter = new IntercomAdapter(selectors);
+          break;
+          
+        case 'freshdesk':
+          if (!FreshdeskAdapter) {
+            throw new Error('FreshdeskAdapter not loaded');
+          }
+          this.adapter = new FreshdeskAdapter(selectors);
+          break;
+          
+        case 'gmail':
+          if (!GmailAdapter) {
+            throw new Error('GmailAdapter not loaded');
+          }
+          this.adapter = new GmailAdapter(selectors);
           break;
           
         default:
@@ -207,6 +249,13 @@
     return this.platform;
   }
   
+  /**
+   * Get the selector profile the adapter was created with
+   */
+  getSelectorProfile() {
+    return this.selectorProfile;
+  }
+  
   /**
    * Check if manager is initialized
    */
@@ -224,8 +273,8 @@
   /**
    * Inject reply into editor
    */
-  async injectReply(reply) {
-    return this.executeAdapterMethod('injectReply', [reply]);
+  async injectReply(reply, options = {}) {
+    return this.executeAdapterMethod('injectReply', [reply, options]);
   }
   
   /**
@@ -252,8 +301,8 @@
   /**
    * Show generating status
    */
-  async showGeneratingStatus() {
-    return this.executeAdapterMethod('showGeneratingStatus', []);
+  async showGeneratingStatus(statusMessage) {
+    return this.executeAdapterMethod('showGeneratingStatus', statusMessage ? [statusMessage] : []);
   }
   
   /**
@@ -263,6 +312,34 @@
     return this.executeAdapterMethod('clearGeneratingStatus', []);
   }
   
+  /**
+   * Prepare the editor for a streamed reply
+   */
+  async beginStreamingReply() {
+    return this.executeAdapterMethod('beginStreamingReply', []);
+  }
+  
+  /**
+   * Append a streamed chunk to the editor
+   */
+  async appendStreamingReply(delta) {
+    return this.executeAdapterMethod('appendStreamingReply', [delta]);
+  }
+  
+  /**
+   * Finalize a streamed reply
+   */
+  async finishStreamingReply() {
+    return this.executeAdapterMethod('finishStreamingReply', []);
+  }
+  
+  /**
+   * Get conversation metadata for documentation routing
+   */
+  async getConversationMeta() {
+    return this.executeAdapterMethod('getConversationMeta', []);
+  }
+  
   /**
    * Get keyboard shortcuts
    */
@@ -330,7 +407,10 @@
         case 'injectReply':
         case 'showGeneratingStatus':
         case 'clearGeneratingStatus':
+        case 'beginStreamingReply':
           return false;
+        case 'finishStreamingReply':
+          return '';
         default:
           return null;
       }
@@ -437,6 +517,7 @@
     // Reset state
     this.adapter = null;
     this.platform = null;
+    this.selectorProfile = null;
     this.initialized = false;
     this.initPromise = null;
     this.errorCount = 0;
@@ -13,22 +13,649 @@ Guidelines:
 
 When referencing documentation, format links as: [Link Text](URL)`;
 
+const PROVIDERS = ProviderRegistry.list();
+
+// Populate the provider picker
+const providerSelect = document.getElementById('llmProvider');
+PROVIDERS.forEach(provider => {
+  const option = document.createElement('option');
+  option.value = provider.id;
+  option.textContent = provider.label;
+  providerSelect.appendChild(option);
+});
+
+// Show the fields and suggested models for the selected provider
+function updateProviderFields(providerId) {
+  const provider = PROVIDERS.find(p => p.id === providerId) || PROVIDERS[0];
+  const modelInput = document.getElementById('openaiModel');
+
+  document.getElementById('modelOptions').innerHTML = provider.models
+    .map(model => `<option value="${model}"></option>`)
+    .join('');
+
+  document.getElementById('azureSettings').style.display = provider.id === 'azure' ? 'block' : 'none';
+  document.getElementById('customSettings').style.display = provider.id === 'openai-compatible' ? 'block' : 'none';
+  document.getElementById('relaySettings').style.display = provider.id === 'relay' ? 'block' : 'none';
+
+  document.getElementById('openaiKeyLabel').textContent =
+    provider.id === 'openai-compatible' ? 'API Key (optional)'
+      : provider.id === 'relay' ? 'Relay Agent Token' : `${provider.label} API Key`;
+  document.getElementById('openaiModelLabel').textContent =
+    provider.id === 'azure' ? 'Deployment Name' : 'Model';
+
+  // Switch to a suggested model when the current one belongs to another provider
+  const otherModels = PROVIDERS.filter(p => p.id !== provider.id).flatMap(p => p.models);
+  if ((!modelInput.value || otherModels.includes(modelInput.value)) && !provider.models.includes(modelInput.value)) {
+    modelInput.value = provider.models[0] || '';
+  }
+}
+
+providerSelect.addEventListener('change', function() {
+  updateProviderFields(this.value);
+  updateContextBudget();
+});
+
+// Stored encryptedKey record, when the key is encrypted with a passphrase
+let encryptedKey = null;
+
+// Show the passphrase, unlock and lock controls for the selected key storage
+async function updateKeyStorage() {
+  const mode = document.getElementById('keyStorage').value;
+  const isProtected = KeyVault.isProtected(mode);
+  const unlocked = isProtected && !!(await KeyVault.getSessionKey());
+  let status = '';
+
+  if (mode === 'encrypted') {
+    status = !encryptedKey
+      ? 'Enter your API key and a passphrase, then save.'
+      : unlocked ? 'Unlocked until the browser closes. Enter a new passphrase and save to change it.' : 'Locked. Enter your passphrase to unlock the key.';
+  } else if (mode === 'session') {
+    status = unlocked ? 'Kept until the browser closes.' : 'Locked. Enter your API key and save to use it until the browser closes.';
+  }
+
+  document.getElementById('keyLockStatus').textContent = status;
+  document.getElementById('keyPassphraseFields').style.display = mode === 'encrypted' ? 'block' : 'none';
+  document.getElementById('keyUnlockFields').style.display = mode === 'encrypted' && encryptedKey && !unlocked ? 'block' : 'none';
+  document.getElementById('lockKey').style.display = unlocked ? 'inline-block' : 'none';
+  document.getElementById('openaiKey').placeholder = isProtected && (unlocked || encryptedKey) ? 'Leave empty to keep the current key' : '';
+}
+
+/**
+ * Work out the key settings to save for the selected storage mode
+ * @returns {Promise<Object>} { values, remove } - settings to set and keys to remove
+ * @throws {Error} When the key can't be stored as requested
+ */
+async function readKeySettings() {
+  const keyStorage = document.getElementById('keyStorage').value;
+  const typed = document.getElementById('openaiKey').value.trim();
+  const apiKey = typed || await KeyVault.getSessionKey();
+
+  // Leaving encrypted storage drops the encrypted key, so a locked key would be lost
+  if (keyStorage !== 'encrypted' && !apiKey && encryptedKey) {
+    throw new Error('Unlock or re-enter your API key before changing how it is stored.');
+  }
+
+  if (keyStorage === 'session') {
+    if (apiKey) {
+      await KeyVault.setSessionKey(apiKey);
+    }
+    return { values: { keyStorage }, remove: ['openaiKey', 'encryptedKey'] };
+  }
+
+  if (keyStorage === 'encrypted') {
+    const passphrase = document.getElementById('keyPassphrase').value;
+
+    if (passphrase) {
+      if (!apiKey) {
+        throw new Error('Enter your API key, or unlock the current one, to encrypt it.');
+      }
+      if (passphrase.length < 8) {
+        throw new Error('Choose a passphrase of at least 8 characters.');
+      }
+
+      const record = await KeyVault.encrypt(apiKey, passphrase);
+      await KeyVault.setSessionKey(apiKey);
+      return { values: { keyStorage, encryptedKey: record }, remove: ['openaiKey'] };
+    }
+
+    if (typed || !encryptedKey) {
+      throw new Error('Enter a passphrase to encrypt your API key.');
+    }
+    return { values: { keyStorage, encryptedKey }, remove: ['openaiKey'] };
+  }
+
+  // Stored as before; a protected key that is still unlocked is carried over
+  await KeyVault.lock();
+  return { values: { keyStorage, openaiKey: apiKey }, remove: ['encryptedKey'] };
+}
+
+document.getElementById('keyStorage').addEventListener('change', updateKeyStorage);
+
+document.getElementById('unlockKey').addEventListener('click', async function() {
+  const input = document.getElementById('unlockPassphrase');
+
+  try {
+    await KeyVault.setSessionKey(await KeyVault.decrypt(encryptedKey, input.value));
+    input.value = '';
+    updateKeyStorage();
+  } catch (error) {
+    alert(error.message);
+  }
+});
+
+document.getElementById('lockKey').addEventListener('click', async function() {
+  await KeyVault.lock();
+  updateKeyStorage();
+});
+
+// Per-model context budget overrides ({ [model]: tokens })
+let tokenBudgets = {};
+
+// Show the budget of the current model; the input holds its override, if any
+function updateContextBudget() {
+  const model = document.getElementById('openaiModel').value.trim();
+  const maxTokens = document.getElementById('maxTokens').value;
+  const defaults = TokenBudget.getBudget(model, maxTokens);
+  const current = TokenBudget.getBudget(model, maxTokens, tokenBudgets);
+  const input = document.getElementById('contextBudget');
+
+  input.value = tokenBudgets[model] || '';
+  input.placeholder = String(defaults.budget);
+
+  document.getElementById('contextBudgetInfo').textContent =
+    `${model || 'This model'}: ${current.contextWindow.toLocaleString()}-token context window, ` +
+    `${current.reserved.toLocaleString()} reserved for the reply. ` +
+    `Prompts are fitted to ${current.budget.toLocaleString()} tokens${current.overridden ? ' (custom)' : ''}.`;
+}
+
+document.getElementById('openaiModel').addEventListener('change', updateContextBudget);
+document.getElementById('maxTokens').addEventListener('change', updateContextBudget);
+document.getElementById('contextBudget').addEventListener('change', function() {
+  const model = document.getElementById('openaiModel').value.trim();
+  const value = parseInt(this.value);
+
+  if (value > 0) {
+    tokenBudgets[model] = value;
+  } else {
+    delete tokenBudgets[model];
+  }
+  updateContextBudget();
+});
+
+// Stored prompt versions, oldest first
+let promptVersions = [];
+
+function formatVersionDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleDateString() : 'before versioning';
+}
+
+// Fill the version pickers and the history; selects activeId in the main picker
+function renderPromptVersions(activeId, experiment = {}) {
+  const fill = (select, selectedId) => {
+    select.innerHTML = '';
+    [...promptVersions].reverse().forEach(version => {
+      const option = document.createElement('option');
+      option.value = version.id;
+      option.textContent = `${version.name} (${formatVersionDate(version.createdAt)})`;
+      select.appendChild(option);
+    });
+    if (selectedId) select.value = selectedId;
+  };
+
+  fill(document.getElementById('promptVersion'), activeId);
+  fill(document.getElementById('experimentVersionA'), experiment.versionA || activeId);
+  fill(document.getElementById('experimentVersionB'), experiment.versionB || promptVersions[promptVersions.length - 2]?.id);
+
+  const history = document.getElementById('promptHistory');
+  history.innerHTML = '';
+  [...promptVersions].reverse().forEach(version => {
+    const row = document.createElement('div');
+    row.style.margin = '0.25em 0';
+    row.textContent = `${version.name} · ${formatVersionDate(version.createdAt)}${version.note ? ` — ${version.note}` : ''}`;
+    history.appendChild(row);
+  });
+
+  document.getElementById('promptVersionFields').style.display = 'none';
+  document.getElementById('promptVersionName').value = '';
+  document.getElementById('promptVersionNote').value = '';
+}
+
+function getSelectedPromptVersion() {
+  return promptVersions.find(version => version.id === document.getElementById('promptVersion').value) || null;
+}
+
+document.getElementById('promptVersion').addEventListener('change', () => {
+  document.getElementById('systemPrompt').value = getSelectedPromptVersion()?.prompt || DEFAULT_SYSTEM_PROMPT;
+  document.getElementById('promptVersionFields').style.display = 'none';
+});
+
+// Ask for a name and changelog note once the prompt differs from the selected version
+document.getElementById('systemPrompt').addEventListener('input', function() {
+  const changed = this.value.trim() !== (getSelectedPromptVersion()?.prompt || '').trim();
+  const nameInput = document.getElementById('promptVersionName');
+
+  document.getElementById('promptVersionFields').style.display = changed ? 'block' : 'none';
+  if (changed && !nameInput.value) {
+    nameInput.value = PromptVersions.nextName(promptVersions);
+  }
+});
+
+document.getElementById('promptExperiment').addEventListener('change', function() {
+  document.getElementById('promptExperimentFields').style.display = this.checked ? 'block' : 'none';
+});
+
+// Save the prompt as a new version when it was edited; returns the active version
+function commitPromptVersion(prompt) {
+  const selected = getSelectedPromptVersion();
+  if (selected && selected.prompt.trim() === prompt) {
+    return selected;
+  }
+
+  const version = PromptVersions.normalize({
+    name: document.getElementById('promptVersionName').value.trim() || PromptVersions.nextName(promptVersions),
+    prompt: prompt,
+    note: document.getElementById('promptVersionNote').value.trim() || (promptVersions.length === 0 ? 'Initial prompt' : '')
+  });
+  promptVersions.push(version);
+  return version;
+}
+
+// Render one checkbox per redaction type
+function renderPiiTypes(selected) {
+  const container = document.getElementById('piiTypes');
+  container.innerHTML = '';
+
+  Object.entries(PIIRedactor.TYPES).forEach(([type, { label }]) => {
+    const row = document.createElement('label');
+    row.style.display = 'block';
+    row.innerHTML = '<input type="checkbox" style="width: auto; margin: 0 0.4em 0 0" />';
+    row.querySelector('input').value = type;
+    row.querySelector('input').checked = selected.includes(type);
+    row.appendChild(document.createTextNode(label));
+    container.appendChild(row);
+  });
+}
+
+document.getElementById('piiRedaction').addEventListener('change', function() {
+  document.getElementById('piiTypes').style.display = this.checked ? 'block' : 'none';
+});
+
+// Render the model price rows
+function renderModelPrices(prices) {
+  const list = document.getElementById('modelPricesList');
+  list.innerHTML = '';
+
+  Object.entries(prices).forEach(([model, price]) => {
+    const row = document.createElement('div');
+    row.className = 'price-row';
+    row.innerHTML = `
+      <input type="text" class="price-model" placeholder="Model" />
+      <input type="number" class="price-input" min="0" step="0.01" title="Input" />
+      <input type="number" class="price-cached" min="0" step="0.001" title="Cached input" />
+      <input type="number" class="price-output" min="0" step="0.01" title="Output" />
+      <button type="button" class="btn-small price-remove">✕</button>`;
+
+    row.querySelector('.price-model').value = model;
+    row.querySelector('.price-input').value = price.input ?? '';
+    row.querySelector('.price-cached').value = price.cachedInput ?? '';
+    row.querySelector('.price-output').value = price.output ?? '';
+    row.querySelector('.price-remove').onclick = () => row.remove();
+
+    list.appendChild(row);
+  });
+}
+
+// Read the model prices from the form
+function readModelPrices() {
+  const prices = {};
+
+  document.querySelectorAll('.price-row').forEach(row => {
+    const model = row.querySelector('.price-model').value.trim();
+    if (!model) return;
+
+    const input = parseFloat(row.querySelector('.price-input').value) || 0;
+    const cachedInput = parseFloat(row.querySelector('.price-cached').value);
+    prices[model] = {
+      input: input,
+      cachedInput: isNaN(cachedInput) ? input : cachedInput,
+      output: parseFloat(row.querySelector('.price-output').value) || 0
+    };
+  });
+
+  return prices;
+}
+
+document.getElementById('addModelPrice').onclick = () => {
+  const prices = readModelPrices();
+  const model = document.getElementById('openaiModel').value.trim();
+
+  // Start from the current model and its built-in price when it isn't listed yet
+  const key = model && !prices[model] ? model : '';
+  renderModelPrices({ ...prices, [key]: key ? (UsageLedger.getPrice(key) || {}) : {} });
+};
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+// Show spend for today, this week and this month from the usage ledger
+function loadUsageSummary() {
+  const container = document.getElementById('usageStats');
+
+  chrome.runtime.sendMessage({ action: 'getUsageSummary' }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      container.innerHTML = '<div class="feedback-stat"><span>Usage data unavailable</span></div>';
+      return;
+    }
+
+    const { summary, budget } = response;
+    const row = (label, totals) => `
+      <div class="feedback-stat">
+        <span>${label}:</span>
+        <span>${UsageLedger.formatCost(totals.cost)} (${totals.requests} requests, ${(totals.promptTokens + totals.completionTokens).toLocaleString()} tokens)</span>
+      </div>`;
+
+    const models = Object.entries(summary.byModel)
+      .sort((a, b) => b[1].cost - a[1].cost)
+      // Model names come from provider responses and settings
+      .map(([model, totals]) => `${escapeHtml(model)} ${UsageLedger.formatCost(totals.cost)}`)
+      .join(' · ');
+
+    container.innerHTML = row('Today', summary.today) + row('This week', summary.week) + row('This month', summary.month) +
+      (models ? `<div class="feedback-stat"><span>By model:</span><span>${models}</span></div>` : '') +
+      (budget.status !== 'ok' ? `<div class="feedback-stat" style="color: ${budget.status === 'hard' ? '#dc3545' : '#856404'}"><span>${escapeHtml(budget.message)}</span></div>` : '');
+  });
+}
+
+// Render the documentation source rows
+function renderDocSources(sources) {
+  const list = document.getElementById('docSourcesList');
+  list.innerHTML = '';
+
+  sources.forEach(source => {
+    const row = document.createElement('div');
+    row.className = 'doc-row doc-source-row';
+    row.dataset.id = source.id;
+    row.innerHTML = `
+      <input type="text" class="source-name" placeholder="Name (e.g. Product A)" />
+      <input type="url" class="source-url" placeholder="https://example.com/llms-full.txt" />
+      <div class="doc-row-footer">
+        <span>Refresh every <input type="number" class="source-refresh" min="1" step="1" style="width: 4em" /> h</span>
+        <label><input type="checkbox" class="source-enabled" />Enabled</label>
+        <button type="button" class="btn-small source-remove">✕</button>
+      </div>`;
+
+    row.querySelector('.source-name').value = source.name;
+    row.querySelector('.source-url').value = source.url;
+    row.querySelector('.source-refresh').value = source.refreshHours;
+    row.querySelector('.source-enabled').checked = source.enabled;
+
+    row.querySelector('.source-remove').onclick = () => {
+      const routes = readDocRoutes();
+      renderDocSources(readDocSources().filter(s => s.id !== source.id));
+      renderDocRoutes(routes);
+      checkCacheStatus(readDocSources());
+    };
+
+    // Keep rule checkboxes and cache rows in sync with source edits
+    row.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', () => {
+        renderDocRoutes(readDocRoutes());
+        checkCacheStatus(readDocSources());
+      });
+    });
+
+    list.appendChild(row);
+  });
+}
+
+// Read the documentation sources from the form
+function readDocSources() {
+  return Array.from(document.querySelectorAll('.doc-source-row')).map(row => DocSources.normalize({
+    id: row.dataset.id,
+    name: row.querySelector('.source-name').value,
+    url: row.querySelector('.source-url').value,
+    refreshHours: row.querySelector('.source-refresh').value,
+    enabled: row.querySelector('.source-enabled').checked
+  }));
+}
+
+// Render the routing rule rows
+function renderDocRoutes(routes) {
+  const list = document.getElementById('docRoutesList');
+  const sources = readDocSources();
+  list.innerHTML = '';
+
+  routes.forEach(route => {
+    const row = document.createElement('div');
+    row.className = 'doc-row doc-route-row';
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'route-type';
+    Object.entries(DocSources.ROUTE_TYPES).forEach(([type, label]) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = label;
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = route.type || 'mailbox';
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'route-pattern';
+    patternInput.placeholder = 'e.g. 3, Sales*, */mailbox/3/*, billing';
+    patternInput.value = route.pattern || '';
+
+    const sourceChecks = document.createElement('div');
+    sourceChecks.className = 'doc-route-sources';
+    sources.forEach(source => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = source.id;
+      checkbox.checked = (route.sourceIds || []).includes(source.id);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(source.name));
+      sourceChecks.appendChild(label);
+    });
+
+    const footer = document.createElement('div');
+    footer.className = 'doc-row-footer';
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn-small';
+    removeButton.textContent = 'Remove rule';
+    removeButton.onclick = () => {
+      row.remove();
+    };
+    footer.appendChild(removeButton);
+
+    row.append(typeSelect, patternInput, sourceChecks, footer);
+    list.appendChild(row);
+  });
+}
+
+// Read the routing rules from the form
+function readDocRoutes() {
+  return Array.from(document.querySelectorAll('.doc-route-row')).map(row => ({
+    type: row.querySelector('.route-type').value,
+    pattern: row.querySelector('.route-pattern').value.trim(),
+    sourceIds: Array.from(row.querySelectorAll('.doc-route-sources input:checked')).map(input => input.value)
+  }));
+}
+
+document.getElementById('addDocSource').onclick = () => {
+  const routes = readDocRoutes();
+  renderDocSources([...readDocSources(), DocSources.normalize({ name: 'New source' })]);
+  renderDocRoutes(routes);
+};
+
+document.getElementById('addDocRoute').onclick = () => {
+  renderDocRoutes([...readDocRoutes(), { type: 'mailbox', pattern: '', sourceIds: [] }]);
+};
+
+// The team config in effect (kept up to date by the background worker) and the team settings the agent changed
+let teamConfig = null;
+let personalOverrides = [];
+let savedTeamConfigUrl = '';
+
+// Controls that edit a team setting, where they aren't a single element with the setting's name
+const TEAM_SETTING_CONTROLS = {
+  systemPrompt: ['systemPrompt', 'promptVersion', 'promptVersionName', 'promptVersionNote', 'promptExperiment', 'experimentVersionA', 'experimentVersionB'],
+  docSources: ['docSourcesList', 'addDocSource'],
+  docRoutes: ['docRoutesList', 'addDocRoute'],
+  usageBudgets: ['dailySoftBudget', 'dailyHardBudget', 'monthlySoftBudget', 'monthlyHardBudget'],
+  modelPrices: ['modelPricesList', 'addModelPrice'],
+  tokenBudgets: ['contextBudget']
+};
+
+// Make the settings locked by the team config read-only
+function applyTeamLocks() {
+  (teamConfig?.locked || []).forEach(key => {
+    (TEAM_SETTING_CONTROLS[key] || [key]).forEach(id => {
+      const element = document.getElementById(id);
+      if (!element) return;
+
+      const controls = element.matches('input, select, textarea, button')
+        ? [element]
+        : element.querySelectorAll('input, select, textarea, button');
+      controls.forEach(control => {
+        control.disabled = true;
+        control.title = `Locked by ${teamConfig.name}`;
+      });
+    });
+  });
+}
+
+function renderTeamConfigStatus() {
+  const status = document.getElementById('teamConfigStatus');
+  const urlInput = document.getElementById('teamConfigUrl');
+  const managed = teamConfig?.source === 'managed';
+
+  urlInput.disabled = managed;
+  document.getElementById('refreshTeamConfig').textContent = managed ? 'Refresh now' : 'Save URL and refresh';
+  if (managed) {
+    urlInput.value = teamConfig.url || '';
+    urlInput.placeholder = 'Set by your administrator';
+  }
+
+  if (!teamConfig) {
+    status.textContent = 'Load shared prompts, doc sources and models from your team.';
+    return;
+  }
+
+  const parts = [];
+  if (teamConfig.fetchedAt) {
+    const count = Object.keys(teamConfig.settings).length;
+    parts.push(`${teamConfig.name}${teamConfig.version != null ? ` (${teamConfig.version})` : ''}: ` +
+      `${count} setting${count === 1 ? '' : 's'}, ${teamConfig.locked.length} locked. ` +
+      `Updated ${new Date(teamConfig.fetchedAt).toLocaleString()}.`);
+  }
+  if (managed) {
+    parts.push('Managed by your administrator.');
+  }
+  if (personalOverrides.length > 0) {
+    parts.push(`Your own values: ${personalOverrides.join(', ')}.`);
+  }
+  if (teamConfig.error) {
+    parts.push(`Last refresh failed: ${teamConfig.error}`);
+  }
+  status.textContent = parts.join(' ');
+}
+
+/**
+ * Team settings the agent has changed, keeping earlier overrides of settings that aren't being saved
+ * @param {Object} values - Settings about to be saved
+ * @returns {Array<string>}
+ */
+function getPersonalOverrides(values) {
+  return personalOverrides
+    .filter(key => !(key in values))
+    .concat(TeamConfig.overrides(teamConfig, values));
+}
+
+document.getElementById('refreshTeamConfig').addEventListener('click', async function() {
+  const button = this;
+
+  if (teamConfig?.source !== 'managed') {
+    await chrome.storage.local.set({ teamConfigUrl: document.getElementById('teamConfigUrl').value.trim() });
+  }
+
+  button.disabled = true;
+  chrome.runtime.sendMessage({ action: 'refreshTeamConfig' }, (response) => {
+    if (response?.error) {
+      alert(`Could not apply the team configuration: ${response.error}`);
+    }
+
+    // Reload so every field shows the team values and locks
+    location.reload();
+  });
+});
+
 // Load saved settings when popup opens
-chrome.storage.local.get(['systemPrompt', 'docsUrl', 'openaiKey', 'openaiModel', 'temperature', 'maxTokens', 'keyboardShortcut', 'enableFeedback'], (result) => {
-  document.getElementById('systemPrompt').value = result.systemPrompt || DEFAULT_SYSTEM_PROMPT;
-  document.getElementById('docsUrl').value = result.docsUrl || '';
-  document.getElementById('openaiKey').value = result.openaiKey || '';
-  document.getElementById('openaiModel').value = result.openaiModel || 'gpt-5';
-  document.getElementById('temperature').value = result.temperature || 1;
-  document.getElementById('maxTokens').value = result.maxTokens || 1000;
-  document.getElementById('keyboardShortcut').value = result.keyboardShortcut || 'Ctrl+Shift+G';
-  document.getElementById('enableFeedback').checked = result.enableFeedback !== false; // Default to true
+chrome.storage.local.get([...Settings.READ_KEYS, 'teamConfig'], (stored) => {
+  const result = Settings.normalize(stored);
+  promptVersions = PromptVersions.fromSettings(result);
+  const activePrompt = PromptVersions.getActive(promptVersions, result.activePromptVersion);
+  renderPromptVersions(activePrompt?.id, result.promptExperiment);
+  document.getElementById('systemPrompt').value = activePrompt?.prompt || DEFAULT_SYSTEM_PROMPT;
+  document.getElementById('promptExperiment').checked = result.promptExperiment?.enabled === true;
+  document.getElementById('promptExperimentFields').style.display = result.promptExperiment?.enabled ? 'block' : 'none';
+  renderDocSources(DocSources.fromSettings(result));
+  renderDocRoutes(result.docRoutes);
+  document.getElementById('docsRetrieval').checked = result.docsRetrieval;
+  document.getElementById('docsMaxChunks').value = result.docsMaxChunks;
+  document.getElementById('docsTokenBudget').value = result.docsTokenBudget;
+  encryptedKey = result.encryptedKey;
+  document.getElementById('keyStorage').value = result.keyStorage;
+  document.getElementById('openaiKey').value = KeyVault.isProtected(result.keyStorage) ? '' : result.openaiKey;
+  updateKeyStorage();
+  document.getElementById('openaiModel').value = result.openaiModel;
+  document.getElementById('llmProvider').value = result.llmProvider;
+  document.getElementById('customBaseUrl').value = result.customBaseUrl;
+  document.getElementById('relayUrl').value = result.relayUrl;
+  document.getElementById('azureEndpoint').value = result.azureEndpoint;
+  document.getElementById('azureApiVersion').value = result.azureApiVersion;
+  updateProviderFields(document.getElementById('llmProvider').value);
+  document.getElementById('fallbackModel').value = result.fallbackModel;
+  document.getElementById('maxRetries').value = result.maxRetries;
+  document.getElementById('fallbackAfter').value = result.fallbackAfter;
+  document.getElementById('temperature').value = result.temperature;
+  document.getElementById('maxTokens').value = result.maxTokens;
+  tokenBudgets = result.tokenBudgets;
+  updateContextBudget();
+  document.getElementById('threadSummary').value = result.threadSummary;
+  const usageBudgets = result.usageBudgets;
+  document.getElementById('dailySoftBudget').value = usageBudgets.dailySoft || '';
+  document.getElementById('dailyHardBudget').value = usageBudgets.dailyHard || '';
+  document.getElementById('monthlySoftBudget').value = usageBudgets.monthlySoft || '';
+  document.getElementById('monthlyHardBudget').value = usageBudgets.monthlyHard || '';
+  renderModelPrices(result.modelPrices);
+  loadUsageSummary();
+  document.getElementById('keyboardShortcut').value = result.keyboardShortcut;
+  document.getElementById('refineShortcut').value = result.refineShortcut;
+  document.getElementById('enableFeedback').checked = result.enableFeedback;
+  document.getElementById('streamResponses').checked = result.streamResponses;
+  document.getElementById('reviewDrafts').checked = result.reviewDrafts;
+  document.getElementById('variantCount').value = String(result.variantCount);
+  document.getElementById('variantTones').checked = result.variantTones;
+  document.getElementById('piiRedaction').checked = result.piiRedaction;
+  document.getElementById('piiTypes').style.display = result.piiRedaction ? 'block' : 'none';
+  renderPiiTypes(result.piiTypes || PIIRedactor.defaultTypes());
+  teamConfig = stored.teamConfig || null;
+  personalOverrides = result.personalOverrides;
+  savedTeamConfigUrl = result.teamConfigUrl;
+  document.getElementById('teamConfigUrl').value = savedTeamConfigUrl;
+  renderTeamConfigStatus();
+  applyTeamLocks();
 
   // Check cache status after loading settings
-  checkCacheStatus(result.docsUrl);
+  checkCacheStatus(readDocSources());
 
   // Load feedback analytics (only if feedback is enabled)
-  if (result.enableFeedback !== false) {
+  if (result.enableFeedback) {
     loadFeedbackAnalytics();
   } else {
     // Hide feedback section if disabled
@@ -56,34 +683,53 @@ document.getElementById('enableFeedback').addEventListener('change', function()
   }
 });
 
-// Check cache status for the docs URL
-function checkCacheStatus(docsUrl) {
+// Show one cache status row per documentation source
+function checkCacheStatus(sources) {
   const statusElement = document.getElementById('cacheStatus');
+  const configured = sources.filter(source => source.url);
+
+  const setRow = (row, text, state) => {
+    row.textContent = text;
+    row.className = `cache-status ${state}`;
+  };
 
-  if (!docsUrl) {
-    statusElement.textContent = 'No docs URL configured';
-    statusElement.className = 'cache-status cache-not-cached';
+  statusElement.innerHTML = '';
+
+  if (configured.length === 0) {
+    const row = document.createElement('div');
+    setRow(row, 'No docs URL configured', 'cache-not-cached');
+    statusElement.appendChild(row);
     return;
   }
 
-  const cacheKey = `docs_cache_${docsUrl}`;
-  const timestampKey = `docs_timestamp_${docsUrl}`;
+  configured.forEach(source => {
+    const row = document.createElement('div');
+    row.dataset.id = source.id;
+    statusElement.appendChild(row);
 
-  chrome.storage.local.get([cacheKey, timestampKey], (result) => {
-    const cachedDocs = result[cacheKey];
-    const cachedTimestamp = result[timestampKey];
+    if (!source.enabled) {
+      setRow(row, `${source.name}: disabled`, 'cache-not-cached');
+      return;
+    }
 
-    if (cachedDocs && cachedTimestamp) {
-      const now = Date.now();
-      const ageHours = Math.floor((now - cachedTimestamp) / (1000 * 60 * 60));
-      const ageText = ageHours < 1 ? 'less than 1 hour' : `${ageHours} hour${ageHours > 1 ? 's' : ''}`;
+    const cacheKey = `docs_cache_${source.url}`;
+    const timestampKey = `docs_timestamp_${source.url}`;
 
-      statusElement.textContent = `Documentation cached (${ageText} ago)`;
-      statusElement.className = 'cache-status cache-cached';
-    } else {
-      statusElement.textContent = 'Documentation not cached';
-      statusElement.className = 'cache-status cache-not-cached';
-    }
+    chrome.storage.local.get([cacheKey, timestampKey], (result) => {
+      const cachedDocs = result[cacheKey];
+      const cachedTimestamp = result[timestampKey];
+
+      if (cachedDocs && cachedTimestamp) {
+        const ageMs = Date.now() - cachedTimestamp;
+        const ageHours = Math.floor(ageMs / (1000 * 60 * 60));
+        const ageText = ageHours < 1 ? 'less than 1 hour' : `${ageHours} hour${ageHours > 1 ? 's' : ''}`;
+        const stale = ageMs >= source.refreshHours * 60 * 60 * 1000;
+
+        setRow(row, `${source.name}: ${cachedDocs.length} docs cached (${ageText} ago${stale ? ', refreshes on next use' : ''})`, 'cache-cached');
+      } else {
+        setRow(row, `${source.name}: not cached`, 'cache-not-cached');
+      }
+    });
   });
 }
 
@@ -123,6 +769,11 @@ async function loadFeedbackAnalytics() {
     const negativeCount = recentFeedback.filter(f => f.rating === 'negative').length;
     const total = positiveCount + negativeCount;
     const successRate = total > 0 ? Math.round((positiveCount / total) * 100) : 0;
+    const variantWins = summarizeVariantWins(recentFeedback);
+    const sentDrafts = recentFeedback.filter(f => f.editMetrics);
+    const draftKept = sentDrafts.length > 0
+      ? Math.round(sentDrafts.reduce((sum, f) => sum + f.editMetrics.keptPercent, 0) / sentDrafts.length)
+      : null;
 
     // Display stats
     statsElement.innerHTML = `
@@ -138,8 +789,22 @@ async function loadFeedbackAnalytics() {
         <span>Total feedback:</span>
         <span>${feedbackEntries.length} entries</span>
       </div>
+      ${draftKept !== null ? `
+      <div class="feedback-stat">
+        <span>Average % of draft kept:</span>
+        <span>${draftKept}% (${sentDrafts.length} sent)</span>
+      </div>
+      ` : ''}
+      ${variantWins ? `
+      <div class="feedback-stat">
+        <span>Variant picks:</span>
+        <span>${variantWins}</span>
+      </div>
+      ` : ''}
     `;
 
+    renderPromptStats(recentFeedback, allData);
+
     // Show suggestions if available
     const analysisData = allData.feedbackAnalysis;
     if (analysisData && analysisData.suggestions && analysisData.suggestions.length > 0) {
@@ -158,173 +823,256 @@ async function loadFeedbackAnalytics() {
   }
 }
 
-// View feedback data in a new tab
-document.getElementById('viewFeedback').addEventListener('click', async () => {
+// Compare prompt versions while an A/B test runs, or once several versions have feedback
+function renderPromptStats(recentFeedback, allData) {
+  const element = document.getElementById('promptStats');
+  const experiment = allData.promptExperiment?.enabled ? allData.promptExperiment : null;
+  const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+  const usage = (allData[UsageLedger.STORAGE_KEY] || []).filter(entry => entry.timestamp > thirtyDaysAgo);
+
+  const versions = PromptVersions.fromSettings(allData);
+  let rows = PromptVersions.summarize(recentFeedback, usage, versions);
+  if (experiment) {
+    const empty = id => ({
+      id, name: versions.find(version => version.id === id)?.name || id,
+      responses: 0, rated: 0, successRate: null, keptPercent: null, editDistance: null, avgCost: null
+    });
+    rows = [experiment.versionA, experiment.versionB]
+      .map((id, index) => ({ ...(rows.find(row => row.id === id) || empty(id)), arm: index === 0 ? 'A' : 'B' }));
+  }
+
+  if (!experiment && rows.length < 2) {
+    element.style.display = 'none';
+    return;
+  }
+
+  const addRow = (label, value, muted = false) => {
+    const row = document.createElement('div');
+    row.className = 'feedback-stat';
+    if (muted) row.style.color = '#6c757d';
+    row.innerHTML = '<span></span><span></span>';
+    row.children[0].textContent = label;
+    row.children[1].textContent = value;
+    element.appendChild(row);
+  };
+
+  element.innerHTML = '';
+  addRow(experiment ? 'A/B test (30 days):' : 'Prompt versions (30 days):', '');
+
+  rows.forEach(row => {
+    const success = row.successRate !== null ? `${row.successRate}% 👍 of ${row.rated}` : `${row.responses} responses`;
+    addRow(`${row.arm ? `${row.arm}: ` : ''}${row.name}`, success);
+    addRow('', [
+      row.keptPercent !== null ? `${row.keptPercent}% kept` : null,
+      row.editDistance !== null ? `${row.editDistance} word edits` : null,
+      row.avgCost !== null ? `${UsageLedger.formatCost(row.avgCost)}/reply` : null
+    ].filter(Boolean).join(' · ') || 'No sent drafts or usage yet', true);
+  });
+
+  element.style.display = 'block';
+}
+
+// With redaction on, the stored drafts and notes are redacted too: they hold the real customer values
+function createFeedbackRedactor(settings, entries) {
+  if (!settings.piiRedaction) {
+    return null;
+  }
+
+  const types = Array.isArray(settings.piiTypes) ? settings.piiTypes : PIIRedactor.defaultTypes();
+  const redactor = new PIIRedactor(types);
+
+  entries.forEach(entry => {
+    const name = (entry.customerInfo?.name || '').trim();
+    if (name) {
+      redactor.addKnownValue('name', name);
+      redactor.addKnownValue('name', name.split(/\s+/)[0]);
+    }
+  });
+
+  return redactor;
+}
+
+// Ask the model for a revised prompt based on negative feedback
+document.getElementById('analyzeWithAI').addEventListener('click', async function() {
+  const button = this;
+  button.disabled = true;
+  button.textContent = 'Analyzing...';
+
   try {
     const allData = await new Promise(resolve => {
       chrome.storage.local.get(null, resolve);
     });
 
-    const feedbackEntries = Object.entries(allData)
+    const entries = PromptAdvisor.selectEntries(Object.entries(allData)
       .filter(([key]) => key.startsWith('feedback_'))
-      .map(([key, value]) => value)
-      .sort((a, b) => b.timestamp - a.timestamp);
+      .map(([key, value]) => value));
 
-    const analysisData = allData.feedbackAnalysis;
+    if (entries.length === 0) {
+      alert('There is no negative feedback to analyze yet.');
+      return;
+    }
 
-    // Create HTML page with feedback data
-    const html = generateFeedbackReportHTML(feedbackEntries, analysisData);
+    const apiKey = await KeyVault.resolveKey(allData);
+    if (KeyVault.isProtected(allData.keyStorage) && !apiKey) {
+      alert('Unlock required: unlock your API key in the settings first.');
+      return;
+    }
 
-    // Create blob and open in new tab
-    const blob = new Blob([html], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    chrome.tabs.create({ url: url });
+    const provider = ProviderRegistry.create({ ...allData, openaiKey: apiKey });
+    const configError = provider.validateConfig();
+    if (configError) {
+      alert(configError);
+      return;
+    }
 
+    const usage = await new Promise(resolve => {
+      chrome.runtime.sendMessage({ action: 'getUsageSummary' }, resolve);
+    });
+    if (usage?.budget?.status === 'hard') {
+      alert(usage.budget.message);
+      return;
+    }
+
+    const active = PromptVersions.getActive(PromptVersions.fromSettings(allData), allData.activePromptVersion);
+    const systemPrompt = active?.prompt || allData.systemPrompt || DEFAULT_SYSTEM_PROMPT;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 90000);
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      result = await provider.complete(PromptAdvisor.buildMessages(systemPrompt, entries, createFeedbackRedactor(allData, entries)), {
+        maxTokens: 4000,
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'recordUsage',
+      record: {
+        provider: provider.getProviderName(),
+        model: result.model || provider.model,
+        usage: result.usage,
+        kind: 'analysis',
+        latencyMs: Date.now() - startedAt
+      }
+    });
+
+    renderPromptProposal(systemPrompt, PromptAdvisor.parseResponse(result.content, entries), entries);
   } catch (error) {
-    console.error('Error viewing feedback:', error);
-    alert('Error loading feedback data');
+    console.error('Error analyzing feedback:', error);
+    alert(error.name === 'AbortError' ? 'The analysis timed out. Please try again.' : `Analysis failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Analyze with AI';
   }
 });
 
-// Generate HTML report for feedback data
-function generateFeedbackReportHTML(feedbackEntries, analysisData) {
-  const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
-
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>FreeScout GPT Assistant - Feedback Report</title>
-    <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 20px; }
-        .header { border-bottom: 2px solid #dee2e6; padding-bottom: 20px; margin-bottom: 20px; }
-        .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 30px; }
-        .stat-card { background: #f8f9fa; padding: 15px; border-radius: 8px; border: 1px solid #dee2e6; }
-        .stat-value { font-size: 24px; font-weight: bold; color: #007bff; }
-        .feedback-entry { background: white; border: 1px solid #dee2e6; border-radius: 8px; padding: 15px; margin-bottom: 15px; position: relative; }
-        .feedback-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; }
-        .rating-positive { color: #28a745; font-weight: bold; }
-        .rating-negative { color: #dc3545; font-weight: bold; }
-        .response-text { background: #f8f9fa; padding: 10px; border-radius: 4px; margin: 10px 0; font-size: 14px; }
-        .notes { background: #fff3cd; padding: 10px; border-radius: 4px; margin: 10px 0; }
-        .suggestions { background: #d1ecf1; padding: 15px; border-radius: 8px; margin: 20px 0; }
-        .customer-info { font-size: 12px; color: #6c757d; margin-top: 10px; }
-        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-        th, td { padding: 8px; text-align: left; border-bottom: 1px solid #ddd; }
-        th { background-color: #f8f9fa; }
-        .delete-btn {
-          background: #dc3545;
-          color: white;
-          border: none;
-          border-radius: 4px;
-          padding: 4px 8px;
-          cursor: pointer;
-          font-size: 11px;
-          transition: background 0.2s;
-        }
-        .delete-btn:hover { background: #c82333; }
-        .entry-actions { display: flex; gap: 8px; align-items: center; }
-        .entry-deleted { opacity: 0.5; background: #f8f9fa !important; }
-        .bulk-actions { margin: 20px 0; padding: 15px; background: #f8f9fa; border-radius: 8px; }
-        .bulk-actions button { margin-right: 10px; }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>FreeScout GPT Assistant - Feedback Report</h1>
-        <p>Generated on ${formatDate(Date.now())}</p>
-    </div>
-
-    ${analysisData ? `
-    <div class="stats">
-        <div class="stat-card">
-            <div>Success Rate</div>
-            <div class="stat-value">${Math.round(analysisData.successRate * 100)}%</div>
-        </div>
-        <div class="stat-card">
-            <div>Total Feedback</div>
-            <div class="stat-value">${analysisData.totalFeedback}</div>
-        </div>
-        <div class="stat-card">
-            <div>Analysis Date</div>
-            <div style="font-size: 14px;">${formatDate(analysisData.timestamp)}</div>
-        </div>
-    </div>
-
-         ${analysisData.suggestions && analysisData.suggestions.length > 0 ? `
-     <div class="suggestions">
-         <h3>&#x1F50D; Improvement Suggestions</h3>
-        <ul>
-            ${analysisData.suggestions.map(suggestion => `<li>${suggestion}</li>`).join('')}
-        </ul>
-    </div>
-    ` : ''}
-
-    ${analysisData.commonIssues && analysisData.commonIssues.length > 0 ? `
-         <div style="margin: 20px 0;">
-         <h3>&#x1F4CA; Common Issues</h3>
-        <table>
-            <tr><th>Issue</th><th>Frequency</th></tr>
-            ${analysisData.commonIssues.map(({issue, count}) =>
-              `<tr><td>${issue.replace('_', ' ')}</td><td>${count}</td></tr>`
-            ).join('')}
-        </table>
-    </div>
-    ` : ''}
-    ` : ''}
-
-         <h2>&#x1F4DD; Individual Feedback Entries</h2>
-
-
-
-    ${feedbackEntries.length === 0 ? '<p>No feedback entries found.</p>' :
-      feedbackEntries.map(entry => `
-                <div class="feedback-entry" data-entry-id="${entry.id}">
-            <div class="feedback-header">
-                <div>
-                    <span class="rating-${entry.rating}">${entry.rating === 'positive' ? '&#x1F44D; Positive' : '&#x1F44E; Negative'}</span>
-                    <span style="margin-left: 15px; color: #6c757d;">${formatDate(entry.timestamp)}</span>
-                </div>
-            </div>
-
-            <div class="response-text">
-                <strong>Generated Response:</strong><br>
-                ${entry.generatedResponse.substring(0, 300)}${entry.generatedResponse.length > 300 ? '...' : ''}
-            </div>
-
-            ${entry.notes ? `
-            <div class="notes">
-                <strong>Feedback Notes:</strong><br>
-                ${entry.notes}
-            </div>
-            ` : ''}
-
-            ${entry.customerInfo ? `
-            <div class="customer-info">
-                <strong>Customer Context:</strong>
-                ${entry.customerInfo.name || 'Unknown'} |
-                Version: ${entry.customerInfo.version || 'Unknown'} |
-                Status: ${entry.customerInfo.versionStatus || 'Unknown'}
-            </div>
-            ` : ''}
-        </div>
-      `).join('')
-    }
+// Show the proposed prompt as a diff, with the rationale and the feedback it cites
+function renderPromptProposal(currentPrompt, proposal, entries) {
+  const container = document.getElementById('promptProposal');
+  container.innerHTML = '';
 
-    <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #dee2e6; color: #6c757d; font-size: 12px;">
-        <p>This report contains ${feedbackEntries.length} feedback entries. Data is stored locally in your browser.</p>
-    </div>
+  const add = (tag, text, className) => {
+    const element = document.createElement(tag);
+    if (text) element.textContent = text;
+    if (className) element.className = className;
+    return element;
+  };
 
-    <div style="margin-top: 20px; padding: 15px; background: #e9ecef; border-radius: 8px;">
-        <p><strong>Note:</strong> Delete functionality is not available in this static report view due to browser security restrictions. To delete feedback entries, please use the "Clear Feedback" button in the extension settings.</p>
-    </div>
-</body>
-</html>
-  `;
+  container.appendChild(add('strong', `Proposed prompt (from ${entries.length} feedback entries)`));
+
+  const diff = add('div', '', 'prompt-diff');
+  TextDiff.diffLines(currentPrompt, proposal.revisedPrompt).forEach(line => {
+    const prefix = line.type === 'added' ? '+ ' : line.type === 'removed' ? '− ' : '  ';
+    diff.appendChild(add('div', prefix + line.text, `diff-${line.type}`));
+  });
+  container.appendChild(diff);
+
+  if (proposal.rationale.length > 0) {
+    const list = add('ul');
+    proposal.rationale.forEach(item => {
+      const cited = item.entries.map(entry => {
+        const note = entry.notes ? `: "${entry.notes.substring(0, 80)}"` : '';
+        return `#${entries.indexOf(entry) + 1} (${new Date(entry.timestamp).toLocaleDateString()}${note})`;
+      });
+      list.appendChild(add('li', item.change + (cited.length ? ` — ${cited.join(', ')}` : '')));
+    });
+    container.appendChild(list);
+  }
+
+  const accept = add('button', 'Accept as new version', 'btn-small');
+  accept.type = 'button';
+  if (TeamConfig.isLocked(teamConfig, 'systemPrompt')) {
+    accept.disabled = true;
+    accept.title = `The prompt is locked by ${teamConfig.name}`;
+  }
+  accept.onclick = () => {
+    const version = PromptVersions.normalize({
+      name: PromptVersions.nextName(promptVersions),
+      prompt: proposal.revisedPrompt,
+      note: `Analyze with AI: ${proposal.rationale.map(item => item.change).join('; ')}`.substring(0, 300)
+    });
+    promptVersions.push(version);
+
+    personalOverrides = getPersonalOverrides({ systemPrompt: version.prompt });
+    chrome.storage.local.set({ promptVersions, activePromptVersion: version.id, systemPrompt: version.prompt, personalOverrides }, () => {
+      renderPromptVersions(version.id, {
+        versionA: document.getElementById('experimentVersionA').value,
+        versionB: document.getElementById('experimentVersionB').value
+      });
+      document.getElementById('systemPrompt').value = version.prompt;
+      container.style.display = 'none';
+      alert(`Saved as prompt version ${version.name} and made it the active prompt.`);
+    });
+  };
+
+  const dismiss = add('button', 'Dismiss', 'btn-small');
+  dismiss.type = 'button';
+  dismiss.onclick = () => {
+    container.style.display = 'none';
+  };
+
+  container.appendChild(accept);
+  container.appendChild(dismiss);
+  container.style.display = 'block';
 }
 
+// Summarize which variant style agents pick, e.g. "concise 5 (3&#x1F44D;) · detailed 2"
+function summarizeVariantWins(entries) {
+  const wins = {};
+
+  entries
+    .filter(entry => entry.chosenStyle && entry.chosenStyle !== 'default')
+    .forEach(entry => {
+      wins[entry.chosenStyle] = wins[entry.chosenStyle] || { picks: 0, positive: 0 };
+      wins[entry.chosenStyle].picks++;
+      if (entry.rating === 'positive') {
+        wins[entry.chosenStyle].positive++;
+      }
+    });
+
+  return Object.entries(wins)
+    .sort((a, b) => b[1].picks - a[1].picks)
+    .map(([style, { picks, positive }]) => `${style} ${picks}${positive ? ` (${positive}&#x1F44D;)` : ''}`)
+    .join(' · ');
+}
+
+// Open the feedback dashboard in a new tab
+document.getElementById('viewFeedback').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('feedback.html') });
+});
+
+// Open the selector profiles page, testing on the tab the popup was opened from
+document.getElementById('openSelectors').addEventListener('click', async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const query = tab?.id ? `?tabId=${tab.id}` : '';
+  chrome.tabs.create({ url: chrome.runtime.getURL(`selectors.html${query}`) });
+});
+
 // Clear old feedback (30 days)
 document.getElementById('clearOld30').addEventListener('click', async () => {
   if (confirm('Are you sure you want to clear feedback entries older than 30 days?')) {
@@ -431,88 +1179,205 @@ document.getElementById('clearFeedback').addEventListener('click', async () => {
 // Clear cache button handler
 document.getElementById('clearCache').onclick = () => {
   chrome.runtime.sendMessage({ action: 'clearDocsCache' }, (response) => {
+    const statusElement = document.getElementById('cacheStatus');
+
     if (response && response.success) {
-      const statusElement = document.getElementById('cacheStatus');
-      statusElement.textContent = 'Cache cleared successfully';
-      statusElement.className = 'cache-status cache-not-cached';
+      statusElement.innerHTML = '<div class="cache-status cache-not-cached">Cache cleared successfully</div>';
 
       // Refresh cache status after a brief delay
       setTimeout(() => {
-        const docsUrl = document.getElementById('docsUrl').value;
-        checkCacheStatus(docsUrl);
+        checkCacheStatus(readDocSources());
       }, 500);
     } else {
-      const statusElement = document.getElementById('cacheStatus');
-      statusElement.textContent = 'Error clearing cache';
-      statusElement.className = 'cache-status cache-error';
+      statusElement.innerHTML = '<div class="cache-status cache-error">Error clearing cache</div>';
     }
   });
 };
 
-// Test fetch button handler
-document.getElementById('testFetch').onclick = () => {
-  const docsUrl = document.getElementById('docsUrl').value;
-  const statusElement = document.getElementById('cacheStatus');
-
-  if (!docsUrl) {
-    statusElement.textContent = 'Please enter a documentation URL first';
-    statusElement.className = 'cache-status cache-not-cached';
-    return;
-  }
-
-  statusElement.textContent = 'Testing documentation fetch...';
-  statusElement.className = 'cache-status';
+// Fetch one source and report the result in its status row
+function testFetchSource(source, row) {
+  return new Promise(resolve => {
+    row.textContent = `${source.name}: testing documentation fetch...`;
+    row.className = 'cache-status';
 
-  // First clear the cache to force a fresh fetch
-  chrome.runtime.sendMessage({ action: 'clearDocsCache' }, (clearResponse) => {
-    // Then fetch the docs
-    chrome.runtime.sendMessage({ action: 'fetchDocs', url: docsUrl }, (response) => {
-      console.log('Test fetch response:', response);
+    // Clear this source's cache first so the test is a fresh fetch
+    chrome.runtime.sendMessage({ action: 'clearDocsCache', url: source.url }, () => {
+      chrome.runtime.sendMessage({ action: 'fetchDocs', url: source.url, refreshHours: source.refreshHours }, (response) => {
+        console.log('Test fetch response:', source.name, response);
+        const docsCount = response?.success ? (response.docs?.length || 0) : 0;
 
-      if (response && response.success) {
-        const docsCount = response.docs?.length || 0;
-        const totalChars = response.docs?.reduce((sum, doc) => sum + (doc.content?.length || 0), 0) || 0;
+        if (response && response.success) {
+          const totalChars = response.docs?.reduce((sum, doc) => sum + (doc.content?.length || 0), 0) || 0;
 
-        if (docsCount > 0) {
-          statusElement.textContent = `Success! Loaded ${docsCount} documents (${totalChars.toLocaleString()} characters)`;
-          statusElement.className = 'cache-status cache-cached';
+          if (docsCount > 0) {
+            row.textContent = `${source.name}: loaded ${docsCount} documents (${totalChars.toLocaleString()} characters)`;
+            row.className = 'cache-status cache-cached';
 
-          // Log first document as sample
-          if (response.docs[0]) {
+            // Log first document as sample
             console.log('Sample document:', {
               title: response.docs[0].title,
               contentLength: response.docs[0].content?.length || 0,
               firstChars: response.docs[0].content?.substring(0, 200)
             });
+          } else {
+            row.textContent = `${source.name}: fetch succeeded but no documents were parsed. Check the Service Worker console for details.`;
+            row.className = 'cache-status cache-not-cached';
           }
         } else {
-          statusElement.textContent = 'Fetch succeeded but no documents were parsed. Check the Service Worker console for details.';
-          statusElement.className = 'cache-status cache-not-cached';
+          row.textContent = `${source.name}: fetch failed: ${response?.error || 'Unknown error'}. Check Service Worker console.`;
+          row.className = 'cache-status cache-not-cached';
         }
-      } else {
-        statusElement.textContent = `Fetch failed: ${response?.error || 'Unknown error'}. Check Service Worker console.`;
-        statusElement.className = 'cache-status cache-not-cached';
-      }
+
+        resolve(docsCount);
+      });
     });
   });
+}
+
+// Test fetch button handler
+document.getElementById('testFetch').onclick = async () => {
+  const sources = readDocSources().filter(source => source.enabled && source.url);
+  const statusElement = document.getElementById('cacheStatus');
+
+  document.getElementById('retrievalPreview').style.display = 'none';
+
+  if (sources.length === 0) {
+    statusElement.innerHTML = '<div class="cache-status cache-not-cached">Please add an enabled documentation source first</div>';
+    return;
+  }
+
+  statusElement.innerHTML = '';
+  const rows = sources.map(() => {
+    const row = document.createElement('div');
+    statusElement.appendChild(row);
+    return row;
+  });
+
+  // Fetch each source in turn
+  let totalDocs = 0;
+  for (let i = 0; i < sources.length; i++) {
+    totalDocs += await testFetchSource(sources[i], rows[i]);
+  }
+
+  if (totalDocs > 0) {
+    previewRetrieval(sources);
+  }
 };
 
-// Update cache status when docs URL changes
-document.getElementById('docsUrl').addEventListener('blur', function() {
-  checkCacheStatus(this.value);
-});
+// Show which chunks would be picked for the sample query
+function previewRetrieval(sources) {
+  const query = document.getElementById('docsTestQuery').value.trim();
+  const previewElement = document.getElementById('retrievalPreview');
 
-document.getElementById('save').onclick = () => {
+  if (!query) {
+    previewElement.style.display = 'none';
+    return;
+  }
+
+  chrome.runtime.sendMessage({
+    action: 'retrieveDocs',
+    sources: sources.map(({ name, url, refreshHours }) => ({ name, url, refreshHours })),
+    query: query,
+    maxChunks: parseInt(document.getElementById('docsMaxChunks').value) || 8,
+    tokenBudget: parseInt(document.getElementById('docsTokenBudget').value) || 4000
+  }, (response) => {
+    const addItem = (text) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      previewElement.appendChild(item);
+    };
+
+    previewElement.innerHTML = '';
+    previewElement.style.display = 'block';
+
+    if (!response || !response.success) {
+      addItem(`Retrieval failed: ${response?.error || 'Unknown error'}`);
+      return;
+    }
+
+    if (response.chunks.length === 0) {
+      addItem(`No matching chunks out of ${response.totalChunks}`);
+      return;
+    }
+
+    response.chunks.forEach(chunk => {
+      const source = sources.length > 1 ? `[${chunk.source}] ` : '';
+      addItem(`${source}${chunk.title} (score ${chunk.score}, ~${chunk.tokens} tokens): ${chunk.content.substring(0, 80)}…`);
+    });
+  });
+}
+
+document.getElementById('save').onclick = async () => {
   const systemPrompt = document.getElementById('systemPrompt').value.trim() || DEFAULT_SYSTEM_PROMPT;
-  const docsUrl = document.getElementById('docsUrl').value;
-  const openaiKey = document.getElementById('openaiKey').value;
-  const openaiModel = document.getElementById('openaiModel').value;
-  const temperature = parseFloat(document.getElementById('temperature').value) || 0.7;
-  const maxTokens = parseInt(document.getElementById('maxTokens').value) || 1000;
-  const keyboardShortcut = document.getElementById('keyboardShortcut').value || 'Ctrl+Shift+G';
+  const promptExperiment = {
+    enabled: document.getElementById('promptExperiment').checked,
+    versionA: document.getElementById('experimentVersionA').value,
+    versionB: document.getElementById('experimentVersionB').value
+  };
+  if (promptExperiment.enabled && (!promptExperiment.versionA || promptExperiment.versionA === promptExperiment.versionB)) {
+    alert('Pick two different prompt versions for the A/B test.');
+    return;
+  }
+  let keySettings;
+  try {
+    keySettings = await readKeySettings();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  const activePromptVersion = commitPromptVersion(systemPrompt).id;
+  const docSources = readDocSources();
+  const docRoutes = readDocRoutes().filter(route => route.pattern);
+  const openaiModel = document.getElementById('openaiModel').value.trim();
+  const llmProvider = document.getElementById('llmProvider').value;
+  const fallbackModel = document.getElementById('fallbackModel').value.trim();
+  const maxRetries = parseInt(document.getElementById('maxRetries').value);
+  const fallbackAfter = parseInt(document.getElementById('fallbackAfter').value);
+  const customBaseUrl = document.getElementById('customBaseUrl').value.trim();
+  const relayUrl = document.getElementById('relayUrl').value.trim();
+  const azureEndpoint = document.getElementById('azureEndpoint').value.trim();
+  const azureApiVersion = document.getElementById('azureApiVersion').value.trim();
+  const temperature = parseFloat(document.getElementById('temperature').value);
+  const maxTokens = parseInt(document.getElementById('maxTokens').value);
+  const threadSummary = document.getElementById('threadSummary').value;
+  const usageBudgets = {
+    dailySoft: parseFloat(document.getElementById('dailySoftBudget').value) || 0,
+    dailyHard: parseFloat(document.getElementById('dailyHardBudget').value) || 0,
+    monthlySoft: parseFloat(document.getElementById('monthlySoftBudget').value) || 0,
+    monthlyHard: parseFloat(document.getElementById('monthlyHardBudget').value) || 0
+  };
+  const modelPrices = readModelPrices();
+  const keyboardShortcut = document.getElementById('keyboardShortcut').value || Settings.SCHEMA.keyboardShortcut.default;
+  const refineShortcut = document.getElementById('refineShortcut').value || Settings.SCHEMA.refineShortcut.default;
   const enableFeedback = document.getElementById('enableFeedback').checked;
+  const streamResponses = document.getElementById('streamResponses').checked;
+  const reviewDrafts = document.getElementById('reviewDrafts').checked;
+  const variantCount = parseInt(document.getElementById('variantCount').value);
+  const variantTones = document.getElementById('variantTones').checked;
+  const piiRedaction = document.getElementById('piiRedaction').checked;
+  const piiTypes = Array.from(document.querySelectorAll('#piiTypes input:checked')).map(input => input.value);
+  const docsRetrieval = document.getElementById('docsRetrieval').checked;
+  const docsMaxChunks = parseInt(document.getElementById('docsMaxChunks').value);
+  const docsTokenBudget = parseInt(document.getElementById('docsTokenBudget').value);
+
+  const teamConfigUrl = teamConfig?.source === 'managed' ? savedTeamConfigUrl : document.getElementById('teamConfigUrl').value.trim();
+  const teamConfigUrlChanged = teamConfigUrl !== savedTeamConfigUrl;
+
+  // Out-of-range or empty values fall back to the schema defaults
+  const settings = Settings.clean({ ...keySettings.values, systemPrompt, promptVersions, activePromptVersion, promptExperiment, docSources, docRoutes, openaiModel, llmProvider, fallbackModel, maxRetries, fallbackAfter, customBaseUrl, relayUrl, azureEndpoint, azureApiVersion, temperature, maxTokens, tokenBudgets, threadSummary, usageBudgets, modelPrices, keyboardShortcut, refineShortcut, enableFeedback, streamResponses, reviewDrafts, variantCount, variantTones, piiRedaction, piiTypes, docsRetrieval, docsMaxChunks, docsTokenBudget });
+  personalOverrides = getPersonalOverrides(settings);
+
+  chrome.storage.local.set({ ...settings, personalOverrides, teamConfigUrl, [Settings.VERSION_KEY]: Settings.VERSION }, () => {
+    // The single docs URL has been migrated into docSources; protected keys leave no plain copy behind
+    chrome.storage.local.remove(['docsUrl', ...keySettings.remove]);
+
+    encryptedKey = keySettings.values.encryptedKey || null;
+    document.getElementById('keyPassphrase').value = '';
+    if (KeyVault.isProtected(keySettings.values.keyStorage)) {
+      document.getElementById('openaiKey').value = '';
+    }
+    updateKeyStorage();
 
-  chrome.storage.local.set({ systemPrompt, docsUrl, openaiKey, openaiModel, temperature, maxTokens, keyboardShortcut, enableFeedback }, () => {
     // Clear docs cache when settings are saved
     chrome.runtime.sendMessage({ action: 'clearDocsCache' }, (response) => {
       if (response && response.success) {
@@ -520,8 +1385,81 @@ document.getElementById('save').onclick = () => {
       }
       alert('Settings saved!');
 
-      // Update cache status after saving
-      checkCacheStatus(docsUrl);
+      // A new team config URL is loaded right away
+      if (teamConfigUrlChanged) {
+        savedTeamConfigUrl = teamConfigUrl;
+        chrome.runtime.sendMessage({ action: 'refreshTeamConfig' }, () => location.reload());
+        return;
+      }
+      renderTeamConfigStatus();
+
+      // Update cache status, prompt versions and budget state after saving
+      renderPromptVersions(activePromptVersion, promptExperiment);
+      checkCacheStatus(docSources);
+      loadUsageSummary();
     });
   });
-};
\ No newline at end of file
+};
+
+// Save text as a file through a temporary download link
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.getElementById('exportSettings').addEventListener('click', async () => {
+  const includeSecrets = document.getElementById('exportSecrets').checked;
+  if (includeSecrets && !confirm('The export will contain your API key in plain text. Continue?')) {
+    return;
+  }
+
+  const stored = await chrome.storage.local.get(Settings.READ_KEYS);
+  downloadFile(Settings.toJSON(stored, { includeSecrets }), `gpt-assistant-settings-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+});
+
+document.getElementById('importSettings').addEventListener('click', () => {
+  document.getElementById('importSettingsFile').click();
+});
+
+document.getElementById('importSettingsFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    const imported = Settings.parseJSON(await file.text());
+    const skipped = Object.keys(imported).filter(key => TeamConfig.isLocked(teamConfig, key));
+    skipped.forEach(key => delete imported[key]);
+
+    if (Object.keys(imported).length === 0) {
+      alert('The file contains no settings that can be imported.');
+      return;
+    }
+    if (!confirm(`Replace ${Object.keys(imported).length} settings with the imported values?`)) {
+      return;
+    }
+
+    // An imported key is stored as given, so it only stays protected when its storage mode comes with it
+    if (imported.openaiKey && !imported.keyStorage) {
+      imported.keyStorage = 'plain';
+    }
+
+    await chrome.storage.local.set({ ...imported, personalOverrides: getPersonalOverrides(imported), [Settings.VERSION_KEY]: Settings.VERSION });
+    if (skipped.length > 0) {
+      alert(`Skipped settings locked by ${teamConfig.name}: ${skipped.join(', ')}`);
+    }
+    if ('teamConfigUrl' in imported && imported.teamConfigUrl !== savedTeamConfigUrl) {
+      await chrome.runtime.sendMessage({ action: 'refreshTeamConfig' });
+    }
+    location.reload();
+  } catch (error) {
+    console.error('Error importing settings:', error);
+    alert(`Error importing settings: ${error.message}`);
+  }
+});
@@ -0,0 +1,161 @@
+/**
+ * Anthropic Provider
+ * Messages API at api.anthropic.com
+ * Maps chat messages to a separate system prompt and alternating user/assistant turns
+ */
+
+(function(global) {
+  'use strict';
+
+  const LLMProvider = global.LLMProvider || window.LLMProvider;
+
+  class AnthropicProvider extends LLMProvider {
+  static LABEL = 'Anthropic';
+  static MODELS = ['claude-sonnet-4-5', 'claude-opus-4-1', 'claude-3-5-haiku-latest'];
+  static ENDPOINT = 'https://api.anthropic.com/v1/messages';
+  static API_VERSION = '2023-06-01';
+
+  getProviderName() {
+    return 'anthropic';
+  }
+
+  getEndpoint() {
+    return AnthropicProvider.ENDPOINT;
+  }
+
+  getHeaders() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': AnthropicProvider.API_VERSION,
+      // Required for requests made directly from a browser context
+      'anthropic-dangerous-direct-browser-access': 'true',
+      'Content-Type': 'application/json'
+    };
+  }
+
+  validateConfig() {
+    if (!this.apiKey) {
+      return 'Error: No Anthropic API key configured. Please set your API key in the extension settings.';
+    }
+    return super.validateConfig();
+  }
+
+  buildRequestBody(messages, options) {
+    const systemParts = [];
+    const turns = [];
+
+    messages.forEach(message => {
+      // System messages (prompt and internal notes) go into the system prompt
+      if (message.role === 'system') {
+        systemParts.push(message.content);
+        return;
+      }
+
+      // The Messages API requires alternating roles, so merge consecutive turns
+      const last = turns[turns.length - 1];
+      if (last && last.role === message.role) {
+        last.content += `\n\n${message.content}`;
+      } else {
+        turns.push({ role: message.role, content: message.content });
+      }
+    });
+
+    // The first turn must come from the user
+    if (turns.length === 0 || turns[0].role !== 'user') {
+      turns.unshift({ role: 'user', content: 'Here is the conversation so far.' });
+    }
+
+    const body = {
+      model: this.model,
+      max_tokens: options.maxTokens,
+      // Anthropic accepts temperatures between 0 and 1
+      temperature: Math.min(Math.max(options.temperature ?? 1, 0), 1),
+      messages: turns
+    };
+
+    if (systemParts.length > 0) {
+      // Mark the system prompt cacheable, the equivalent of OpenAI prompt caching
+      body.system = [{
+        type: 'text',
+        text: systemParts.join('\n\n'),
+        cache_control: { type: 'ephemeral' }
+      }];
+    }
+
+    if (options.stream) {
+      body.stream = true;
+    }
+
+    return body;
+  }
+
+  parseResponse(data) {
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content: content,
+      model: data.model || this.model,
+      finishReason: data.stop_reason || null,
+      usage: this.normalizeUsage(data.usage)
+    };
+  }
+
+  async handleStreamEvent(eventName, payload, result, onDelta) {
+    const event = JSON.parse(payload);
+
+    switch (event.type) {
+      case 'message_start':
+        result.model = event.message?.model || result.model;
+        result.rawUsage = { ...(event.message?.usage || {}) };
+        result.usage = this.normalizeUsage(result.rawUsage);
+        break;
+
+      case 'content_block_delta':
+        if (event.delta?.type === 'text_delta' && event.delta.text) {
+          await onDelta(event.delta.text);
+        }
+        break;
+
+      case 'message_delta':
+        if (event.delta?.stop_reason) {
+          result.finishReason = event.delta.stop_reason;
+        }
+        if (event.usage) {
+          result.rawUsage = { ...(result.rawUsage || {}), ...event.usage };
+          result.usage = this.normalizeUsage(result.rawUsage);
+        }
+        break;
+
+      case 'error':
+        throw new Error(`API Error (stream): ${this.extractErrorMessage(event)}`);
+    }
+  }
+
+  /**
+   * Anthropic reports cache reads and writes separately from input tokens
+   */
+  normalizeUsage(usage) {
+    if (!usage) return null;
+
+    const cacheRead = usage.cache_read_input_tokens || 0;
+    const cacheWrite = usage.cache_creation_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cacheRead + cacheWrite;
+    const completionTokens = usage.output_tokens || 0;
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      prompt_tokens_details: {
+        cached_tokens: cacheRead
+      }
+    };
+  }
+}
+
+  // Export to global scope
+  global.AnthropicProvider = AnthropicProvider;
+})(window);
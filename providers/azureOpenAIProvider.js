@@ -0,0 +1,58 @@
+/**
+ * Azure OpenAI Provider
+ * Chat Completions against an Azure OpenAI resource deployment
+ * The configured model is the deployment name
+ */
+
+(function(global) {
+  'use strict';
+
+  const OpenAIProvider = global.OpenAIProvider || window.OpenAIProvider;
+
+  class AzureOpenAIProvider extends OpenAIProvider {
+  static LABEL = 'Azure OpenAI';
+  static MODELS = [];
+  static DEFAULT_API_VERSION = '2024-10-21';
+
+  constructor(config = {}) {
+    super(config);
+    this.endpoint = (config.endpoint || '').trim().replace(/\/+$/, '');
+    this.apiVersion = (config.apiVersion || '').trim() || AzureOpenAIProvider.DEFAULT_API_VERSION;
+  }
+
+  getProviderName() {
+    return 'azure';
+  }
+
+  getEndpoint() {
+    return `${this.endpoint}/openai/deployments/${encodeURIComponent(this.model)}/chat/completions?api-version=${encodeURIComponent(this.apiVersion)}`;
+  }
+
+  getHeaders() {
+    return {
+      'api-key': this.apiKey,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  validateConfig() {
+    if (!this.endpoint) {
+      return 'Error: No Azure OpenAI endpoint configured. Please set it in the extension settings.';
+    }
+    if (!this.apiKey) {
+      return 'Error: No Azure OpenAI API key configured. Please set your API key in the extension settings.';
+    }
+    if (!this.model) {
+      return 'Error: No Azure OpenAI deployment configured. Please enter the deployment name as the model.';
+    }
+    return null;
+  }
+
+  supportsPromptCacheKey() {
+    return false;
+  }
+}
+
+  // Export to global scope
+  global.AzureOpenAIProvider = AzureOpenAIProvider;
+})(window);
@@ -0,0 +1,517 @@
+/**
+ * Base LLM Provider Class
+ * Abstract base class that defines the interface for model providers
+ * Handles the shared request, streaming and error normalisation plumbing
+ */
+
+(function(global) {
+  'use strict';
+
+  class LLMProvider {
+  // Display name and suggested models, used by the settings popup
+  static LABEL = 'LLM Provider';
+  static MODELS = [];
+
+  // Statuses worth retrying: rate limits, server errors and Anthropic's "overloaded"
+  static RETRYABLE_STATUSES = [429, 500, 502, 503, 529];
+
+  // Backoff: 1s, 2s, 4s... with jitter; longer server-requested waits are not retried
+  static RETRY_BASE_DELAY = 1000;
+  static MAX_RETRY_DELAY = 60000;
+
+  constructor(config = {}) {
+    this.config = config;
+    this.apiKey = (config.apiKey || '').trim();
+    this.model = (config.model || '').trim();
+    this.maxRetries = Number.isInteger(config.maxRetries) ? config.maxRetries : 3;
+    this.fallbackModel = (config.fallbackModel || '').trim();
+    this.fallbackAfter = config.fallbackAfter || 2;
+    this.identity = {};
+  }
+
+  // ============= Abstract Methods (must be implemented by subclasses) =============
+
+  /**
+   * Get the provider identifier
+   * @returns {string} Provider identifier ('openai', 'anthropic', ...)
+   */
+  getProviderName() {
+    throw new Error('getProviderName() must be implemented by subclass');
+  }
+
+  /**
+   * Get the URL requests are sent to
+   * @returns {string}
+   */
+  getEndpoint() {
+    throw new Error('getEndpoint() must be implemented by subclass');
+  }
+
+  /**
+   * Get request headers including authentication
+   * @returns {Object}
+   */
+  getHeaders() {
+    throw new Error('getHeaders() must be implemented by subclass');
+  }
+
+  /**
+   * Map chat messages and options to the provider's request body
+   * @param {Array} messages - Chat messages with role and content
+   * @param {Object} options - temperature, maxTokens, cacheKey, stream
+   * @returns {Object} Request body
+   */
+  buildRequestBody(messages, options) {
+    throw new Error('buildRequestBody() must be implemented by subclass');
+  }
+
+  /**
+   * Parse a complete (non-streamed) response body
+   * @param {Object} data - Response JSON
+   * @returns {Object} { content, model, finishReason, usage }
+   */
+  parseResponse(data) {
+    throw new Error('parseResponse() must be implemented by subclass');
+  }
+
+  /**
+   * Handle a single server-sent event from a streamed response
+   * @param {string} eventName - SSE event name ('message' when none is given)
+   * @param {string} payload - SSE data payload
+   * @param {Object} result - Accumulated result to update in place
+   * @param {Function} onDelta - Called with each new piece of text
+   */
+  async handleStreamEvent(eventName, payload, result, onDelta) {
+    throw new Error('handleStreamEvent() must be implemented by subclass');
+  }
+
+  // ============= Common Methods (shared functionality) =============
+
+  /**
+   * Set who the requests are made for, for providers that pass it on (the team relay)
+   * @param {Object} identity - { agent, platform }
+   */
+  setIdentity(identity) {
+    this.identity = { ...identity };
+  }
+
+  /**
+   * Check that the provider has everything it needs to make a request
+   * @returns {string|null} User-facing error message, or null when valid
+   */
+  validateConfig() {
+    if (!this.model) {
+      return 'Error: No model configured. Please choose a model in the extension settings.';
+    }
+    return null;
+  }
+
+  /**
+   * Request a complete response
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - temperature, maxTokens, cacheKey, signal
+   * @returns {Promise<Object>} { status, content, model, finishReason, usage }
+   */
+  async complete(messages, options = {}) {
+    const res = await this.sendRequest(messages, { ...options, stream: false });
+    const data = await this.readJSON(res);
+
+    if (!res.ok) {
+      console.error('GPT Assistant: API Error Response:', data);
+      throw this.normalizeError(res, data);
+    }
+
+    return {
+      status: res.status,
+      ...this.parseResponse(data)
+    };
+  }
+
+  /**
+   * Request a streamed response
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - As for complete(), plus onStart() and onDelta(text)
+   * @returns {Promise<Object>} { status, content, model, finishReason, usage }
+   */
+  async stream(messages, options = {}) {
+    const res = await this.sendRequest(messages, { ...options, stream: true });
+
+    if (!res.ok) {
+      const data = await this.readJSON(res);
+      console.error('GPT Assistant: API Error Response:', data);
+      throw this.normalizeError(res, data);
+    }
+
+    if (options.onStart) {
+      await options.onStart();
+    }
+
+    const result = {
+      status: res.status,
+      content: '',
+      model: null,
+      finishReason: null,
+      usage: null
+    };
+
+    const onDelta = async (text) => {
+      result.content += text;
+      if (options.onDelta) {
+        await options.onDelta(text);
+      }
+    };
+
+    await this.readEventStream(res, (eventName, payload) =>
+      this.handleStreamEvent(eventName, payload, result, onDelta)
+    );
+
+    return result;
+  }
+
+  /**
+   * Whether one request can return several choices (OpenAI's `n` parameter)
+   */
+  supportsMultipleChoices() {
+    return false;
+  }
+
+  /**
+   * Parse every choice of a complete response
+   * @returns {Array} [{ content, finishReason }]
+   */
+  parseChoices(data) {
+    const { content, finishReason } = this.parseResponse(data);
+    return [{ content, finishReason }];
+  }
+
+  /**
+   * Request several candidate responses
+   * Identical message arrays are sent as one request with `n` where supported,
+   * otherwise one request per candidate is made in parallel
+   * @param {Array<Array>} messageSets - One messages array per candidate
+   * @param {Object} options - As for complete()
+   * @returns {Promise<Object>} { status, model, usage, candidates: [{ content, finishReason }] }
+   */
+  async completeVariants(messageSets, options = {}) {
+    const identical = messageSets.every(messages => messages === messageSets[0]);
+
+    if (identical && messageSets.length > 1 && this.supportsMultipleChoices()) {
+      const res = await this.sendRequest(messageSets[0], { ...options, n: messageSets.length, stream: false });
+      const data = await this.readJSON(res);
+
+      if (!res.ok) {
+        console.error('GPT Assistant: API Error Response:', data);
+        throw this.normalizeError(res, data);
+      }
+
+      const { model, usage } = this.parseResponse(data);
+      return { status: res.status, model, usage, candidates: this.parseChoices(data) };
+    }
+
+    const settled = await Promise.allSettled(messageSets.map(messages => this.complete(messages, options)));
+    const results = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+
+    // Only fail when every candidate failed
+    if (results.length === 0) {
+      throw settled[0].reason;
+    }
+
+    return {
+      status: results[0].status,
+      model: results[0].model,
+      usage: this.sumUsage(results.map(result => result.usage)),
+      candidates: settled.map(outcome => outcome.status === 'fulfilled'
+        ? { content: outcome.value.content, finishReason: outcome.value.finishReason }
+        : { content: '', finishReason: 'error' })
+    };
+  }
+
+  /**
+   * Add up normalised usage from several requests
+   */
+  sumUsage(usages) {
+    const present = usages.filter(Boolean);
+    if (present.length === 0) return null;
+
+    return present.reduce((total, usage) => ({
+      prompt_tokens: total.prompt_tokens + usage.prompt_tokens,
+      completion_tokens: total.completion_tokens + usage.completion_tokens,
+      total_tokens: total.total_tokens + usage.total_tokens,
+      prompt_tokens_details: {
+        cached_tokens: total.prompt_tokens_details.cached_tokens + (usage.prompt_tokens_details?.cached_tokens || 0)
+      }
+    }), {
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      prompt_tokens_details: { cached_tokens: 0 }
+    });
+  }
+
+  /**
+   * Send the HTTP request, retrying rate limits, server errors and network failures
+   * Switches to the fallback model after `fallbackAfter` failures; the last failed
+   * response is returned (or the network error thrown) once retries run out
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Request options, plus onRetry({ attempt, maxRetries, delayMs, status, model })
+   * @returns {Promise<Response>}
+   */
+  async sendRequest(messages, options) {
+    let failures = 0;
+
+    while (true) {
+      let res = null;
+      let networkError = null;
+
+      try {
+        res = await this.fetchOnce(messages, options);
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        networkError = error;
+      }
+
+      if (res && !LLMProvider.RETRYABLE_STATUSES.includes(res.status)) {
+        return res;
+      }
+
+      failures++;
+      let delayMs = this.getRetryDelay(res, failures - 1);
+
+      if (failures > this.maxRetries || delayMs > LLMProvider.MAX_RETRY_DELAY) {
+        if (networkError) throw networkError;
+        return res;
+      }
+
+      // A different model has its own rate limits, so don't wait long before trying it
+      const switchModel = !!this.fallbackModel && this.model !== this.fallbackModel && failures >= this.fallbackAfter;
+      if (switchModel) {
+        console.warn(`GPT Assistant: Switching from ${this.model} to fallback model ${this.fallbackModel}`);
+        this.model = this.fallbackModel;
+        delayMs = Math.min(delayMs, LLMProvider.RETRY_BASE_DELAY);
+      }
+
+      console.warn(`GPT Assistant: Request failed (${res ? res.status : networkError.message}), retry ${failures}/${this.maxRetries} in ${delayMs}ms`);
+
+      if (options.onRetry) {
+        options.onRetry({
+          attempt: failures,
+          maxRetries: this.maxRetries,
+          delayMs: delayMs,
+          status: res ? res.status : null,
+          model: switchModel ? this.model : null
+        });
+      }
+
+      await this.wait(delayMs, options.signal);
+    }
+  }
+
+  /**
+   * Send a single HTTP request
+   */
+  async fetchOnce(messages, options) {
+    return fetch(this.getEndpoint(), {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildRequestBody(messages, options)),
+      signal: options.signal
+    });
+  }
+
+  /**
+   * How long to wait before the next attempt
+   * Server hints (Retry-After, rate limit reset headers) win over jittered exponential backoff
+   * @param {Response|null} res - Failed response, or null after a network error
+   * @param {number} attempt - Zero-based retry number
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(res, attempt) {
+    const serverDelay = res ? this.parseRetryHeaders(res.headers) : null;
+    if (serverDelay !== null) {
+      return Math.ceil(serverDelay + Math.random() * 250);
+    }
+
+    const backoff = Math.min(LLMProvider.RETRY_BASE_DELAY * Math.pow(2, attempt), LLMProvider.MAX_RETRY_DELAY);
+    return Math.ceil(backoff * (0.5 + Math.random() / 2));
+  }
+
+  /**
+   * Read the wait time a server asks for
+   * @param {Headers} headers
+   * @returns {number|null} Milliseconds, or null when the server gave no hint
+   */
+  parseRetryHeaders(headers) {
+    if (!headers) return null;
+
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+      const delay = this.parseResetValue(retryAfter);
+      if (delay !== null) return delay;
+    }
+
+    // x-ratelimit-reset-requests / -tokens (OpenAI) and anthropic-ratelimit-*-reset
+    const resets = [];
+    headers.forEach((value, name) => {
+      if (/^x-ratelimit-reset-|^anthropic-ratelimit-.*-reset$/i.test(name)) {
+        const delay = this.parseResetValue(value);
+        if (delay !== null) resets.push(delay);
+      }
+    });
+
+    return resets.length > 0 ? Math.max(...resets) : null;
+  }
+
+  /**
+   * Convert a reset header value to milliseconds
+   * Accepts seconds ("2"), durations ("1m30s", "250ms") and dates (HTTP or ISO 8601)
+   */
+  parseResetValue(value) {
+    const text = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      return parseFloat(text) * 1000;
+    }
+
+    const duration = text.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+    if (duration && text) {
+      const [, hours, minutes, seconds, milliseconds] = duration.map(part => parseFloat(part) || 0);
+      return ((hours * 60 + minutes) * 60 + seconds) * 1000 + milliseconds;
+    }
+
+    const date = Date.parse(text);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  /**
+   * Wait, rejecting with an AbortError if the request is cancelled meanwhile
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Read a server-sent event stream, calling onEvent for every complete event
+   */
+  async readEventStream(res, onEvent) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let eventName = '';
+    let dataLines = [];
+
+    const dispatch = async () => {
+      if (dataLines.length > 0) {
+        await onEvent(eventName || 'message', dataLines.join('\n'));
+      }
+      eventName = '';
+      dataLines = [];
+    };
+
+    const processLine = async (line) => {
+      if (line === '') {
+        await dispatch();
+      } else if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+      // Comments (":") and other fields are ignored
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Keep any incomplete line for the next read
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        await processLine(line.replace(/\r$/, ''));
+      }
+    }
+
+    if (buffer) {
+      await processLine(buffer.replace(/\r$/, ''));
+    }
+    await dispatch();
+  }
+
+  /**
+   * Parse a JSON response body without throwing on empty or invalid bodies
+   */
+  async readJSON(res) {
+    try {
+      return await res.json();
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Convert an error response into an Error with a consistent message
+   * Messages follow the "API Error (status): detail" format the content script reports
+   */
+  normalizeError(res, data) {
+    const detail = this.extractErrorMessage(data) || res.statusText || 'Request failed';
+    const error = new Error(`API Error (${res.status}): ${detail}`);
+    error.status = res.status;
+    error.provider = this.getProviderName();
+    return error;
+  }
+
+  /**
+   * Pull a human-readable message out of an error body
+   */
+  extractErrorMessage(data) {
+    if (!data) return null;
+
+    if (typeof data.error === 'string') {
+      return data.error;
+    }
+
+    return data.error?.message || data.error?.type || data.message || null;
+  }
+
+  /**
+   * Normalise token usage to the OpenAI shape used for logging
+   * { prompt_tokens, completion_tokens, total_tokens, prompt_tokens_details: { cached_tokens } }
+   */
+  normalizeUsage(usage) {
+    if (!usage) return null;
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: usage.total_tokens || (promptTokens + completionTokens),
+      prompt_tokens_details: {
+        cached_tokens: usage.prompt_tokens_details?.cached_tokens || 0
+      }
+    };
+  }
+}
+
+  // Export to global scope
+  global.LLMProvider = LLMProvider;
+})(window);
@@ -0,0 +1,69 @@
+/**
+ * OpenAI-Compatible Provider
+ * Any server exposing /chat/completions (Ollama, vLLM, LM Studio, ...)
+ * The API key is optional since local servers usually don't need one
+ */
+
+(function(global) {
+  'use strict';
+
+  const OpenAIProvider = global.OpenAIProvider || window.OpenAIProvider;
+
+  class OpenAICompatibleProvider extends OpenAIProvider {
+  static LABEL = 'OpenAI-compatible (Ollama, vLLM, LM Studio)';
+  static MODELS = ['llama3.1', 'qwen2.5', 'mistral'];
+
+  constructor(config = {}) {
+    super(config);
+    this.baseUrl = (config.baseUrl || '').trim().replace(/\/+$/, '');
+  }
+
+  getProviderName() {
+    return 'openai-compatible';
+  }
+
+  getBaseUrl() {
+    return this.baseUrl;
+  }
+
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  validateConfig() {
+    if (!this.baseUrl) {
+      return 'Error: No base URL configured for the OpenAI-compatible server (e.g. http://localhost:11434/v1).';
+    }
+    if (!this.model) {
+      return 'Error: No model configured. Please enter the model name served by your server.';
+    }
+    return null;
+  }
+
+  usesMaxCompletionTokens() {
+    return false;
+  }
+
+  supportsPromptCacheKey() {
+    return false;
+  }
+
+  /**
+   * Many local servers ignore `n`, so candidates are requested one by one
+   */
+  supportsMultipleChoices() {
+    return false;
+  }
+}
+
+  // Export to global scope
+  global.OpenAICompatibleProvider = OpenAICompatibleProvider;
+})(window);
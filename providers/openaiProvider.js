@@ -0,0 +1,137 @@
+/**
+ * OpenAI Provider
+ * Chat Completions API at api.openai.com
+ * Also the base for Azure OpenAI and OpenAI-compatible servers
+ */
+
+(function(global) {
+  'use strict';
+
+  const LLMProvider = global.LLMProvider || window.LLMProvider;
+
+  class OpenAIProvider extends LLMProvider {
+  static LABEL = 'OpenAI';
+  static MODELS = ['gpt-5', 'gpt-5-mini', 'gpt-4o', 'gpt-4-turbo', 'gpt-3.5-turbo'];
+  static BASE_URL = 'https://api.openai.com/v1';
+
+  getProviderName() {
+    return 'openai';
+  }
+
+  getBaseUrl() {
+    return OpenAIProvider.BASE_URL;
+  }
+
+  getEndpoint() {
+    return `${this.getBaseUrl()}/chat/completions`;
+  }
+
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  validateConfig() {
+    if (!this.apiKey) {
+      return 'Error: No OpenAI API key configured. Please set your API key in the extension settings.';
+    }
+    return super.validateConfig();
+  }
+
+  /**
+   * GPT-5 and o-series reasoning models (any size or dated snapshot) take max_completion_tokens instead of max_tokens
+   */
+  usesMaxCompletionTokens() {
+    return /^(gpt-5|o\d)/.test(this.model || '');
+  }
+
+  /**
+   * Whether the endpoint accepts prompt_cache_key for cache routing
+   */
+  supportsPromptCacheKey() {
+    return true;
+  }
+
+  supportsMultipleChoices() {
+    return true;
+  }
+
+  buildRequestBody(messages, options) {
+    const body = {
+      model: this.model,
+      messages: messages,
+      temperature: options.temperature
+    };
+
+    // Add prompt_cache_key for optimal cache routing
+    if (options.cacheKey && this.supportsPromptCacheKey()) {
+      body.prompt_cache_key = options.cacheKey;
+    }
+
+    if (this.usesMaxCompletionTokens()) {
+      body.max_completion_tokens = options.maxTokens;
+    } else {
+      body.max_tokens = options.maxTokens;
+    }
+
+    if (options.n > 1) {
+      body.n = options.n;
+    }
+
+    if (options.stream) {
+      body.stream = true;
+      // Ask for a final usage chunk so token metrics can still be logged
+      body.stream_options = { include_usage: true };
+    }
+
+    return body;
+  }
+
+  parseResponse(data) {
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      model: data.model || this.model,
+      finishReason: data.choices?.[0]?.finish_reason || null,
+      usage: this.normalizeUsage(data.usage)
+    };
+  }
+
+  parseChoices(data) {
+    return (data.choices || []).map(choice => ({
+      content: choice.message?.content || '',
+      finishReason: choice.finish_reason || null
+    }));
+  }
+
+  async handleStreamEvent(eventName, payload, result, onDelta) {
+    if (payload === '[DONE]') return;
+
+    const chunk = JSON.parse(payload);
+
+    if (chunk.error) {
+      throw new Error(`API Error (stream): ${this.extractErrorMessage(chunk)}`);
+    }
+
+    if (chunk.model) result.model = chunk.model;
+
+    // The final chunk carries usage and an empty choices array
+    if (chunk.usage) result.usage = this.normalizeUsage(chunk.usage);
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return;
+
+    if (choice.finish_reason) {
+      result.finishReason = choice.finish_reason;
+    }
+
+    if (choice.delta?.content) {
+      await onDelta(choice.delta.content);
+    }
+  }
+}
+
+  // Export to global scope
+  global.OpenAIProvider = OpenAIProvider;
+})(window);
@@ -0,0 +1,82 @@
+/**
+ * Provider Registry
+ * Maps the configured provider to its class and builds instances from settings
+ */
+
+(function(global) {
+  'use strict';
+
+  class ProviderRegistry {
+  static DEFAULT_PROVIDER = 'openai';
+
+  // Provider identifier -> global class name
+  static PROVIDERS = {
+    'openai': 'OpenAIProvider',
+    'azure': 'AzureOpenAIProvider',
+    'anthropic': 'AnthropicProvider',
+    'openai-compatible': 'OpenAICompatibleProvider',
+    'relay': 'RelayProvider'
+  };
+
+  /**
+   * Get the provider class for an identifier
+   * @param {string} providerId - Provider identifier
+   * @returns {Function} Provider class
+   */
+  static getProviderClass(providerId) {
+    const className = this.PROVIDERS[providerId];
+
+    if (!className) {
+      throw new Error(`Unknown provider: ${providerId}`);
+    }
+
+    const ProviderClass = global[className] || window[className];
+
+    if (!ProviderClass) {
+      throw new Error(`${className} not loaded`);
+    }
+
+    return ProviderClass;
+  }
+
+  /**
+   * List available providers for the settings UI
+   * @returns {Array} [{ id, label, models }]
+   */
+  static list() {
+    return Object.keys(this.PROVIDERS).map(id => {
+      const ProviderClass = this.getProviderClass(id);
+      return {
+        id: id,
+        label: ProviderClass.LABEL,
+        models: ProviderClass.MODELS
+      };
+    });
+  }
+
+  /**
+   * Create a provider instance from extension settings
+   * @param {Object} settings - Settings as returned by loadSettings()
+   * @returns {LLMProvider}
+   */
+  static create(settings) {
+    const providerId = settings.llmProvider || this.DEFAULT_PROVIDER;
+    const ProviderClass = this.getProviderClass(providerId);
+
+    return new ProviderClass({
+      apiKey: settings.openaiKey,
+      model: settings.openaiModel,
+      baseUrl: settings.customBaseUrl,
+      relayUrl: settings.relayUrl,
+      endpoint: settings.azureEndpoint,
+      apiVersion: settings.azureApiVersion,
+      maxRetries: settings.maxRetries,
+      fallbackModel: settings.fallbackModel,
+      fallbackAfter: settings.fallbackAfter
+    });
+  }
+}
+
+  // Export to global scope
+  global.ProviderRegistry = ProviderRegistry;
+})(window);
@@ -0,0 +1,66 @@
+/**
+ * Team Relay Provider
+ * Sends chat completions to a team relay that holds the organisation's API key
+ * Agents authenticate with a personal token, so access can be revoked centrally
+ */
+
+(function(global) {
+  'use strict';
+
+  const OpenAIProvider = global.OpenAIProvider || window.OpenAIProvider;
+
+  class RelayProvider extends OpenAIProvider {
+  static LABEL = 'Team relay';
+  static MODELS = ['gpt-5', 'gpt-5-mini', 'gpt-4o'];
+
+  constructor(config = {}) {
+    super(config);
+    this.baseUrl = (config.relayUrl || '').trim().replace(/\/+$/, '');
+  }
+
+  getProviderName() {
+    return 'relay';
+  }
+
+  getBaseUrl() {
+    return this.baseUrl;
+  }
+
+  /**
+   * The agent token, plus who is asking and from which help desk so the relay can log and limit per agent
+   * Header values must be Latin-1, so the agent name is URI-encoded
+   */
+  getHeaders() {
+    const headers = {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+      'X-Client-Version': chrome.runtime.getManifest().version
+    };
+
+    if (this.identity.agent) {
+      headers['X-Agent-Name'] = encodeURIComponent(this.identity.agent);
+    }
+    if (this.identity.platform) {
+      headers['X-Agent-Platform'] = this.identity.platform;
+    }
+
+    return headers;
+  }
+
+  validateConfig() {
+    if (!this.baseUrl) {
+      return 'Error: No relay URL configured. Please enter your team relay URL in the extension settings.';
+    }
+    if (!this.apiKey) {
+      return 'Error: No relay agent token configured. Ask your administrator for a token and enter it in the extension settings.';
+    }
+    if (!this.model) {
+      return 'Error: No model configured. Please choose a model in the extension settings.';
+    }
+    return null;
+  }
+}
+
+  // Export to global scope
+  global.RelayProvider = RelayProvider;
+})(window);
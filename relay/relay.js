@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Reference Team Relay
+ * A small stand-in for a team relay: checks the agent token, logs who is asking and
+ * forwards the chat completion (streamed or not) to OpenAI with the organisation's key
+ *
+ * Usage:
+ *   OPENAI_API_KEY=sk-... node relay/relay.js
+ *
+ * Environment:
+ *   OPENAI_API_KEY      Organisation key used for every request (required)
+ *   RELAY_TOKENS_FILE   JSON file mapping agent tokens to agents (default: relay-tokens.json)
+ *                       { "token-for-jane": { "agent": "Jane Doe" }, "old-token": { "agent": "Sam", "revoked": true } }
+ *   RELAY_MODELS        Comma-separated models agents may use (default: any)
+ *   UPSTREAM_URL        Chat completions base URL (default: https://api.openai.com/v1)
+ *   PORT                Port to listen on (default: 8787)
+ *
+ * The tokens file is read on every request, so removing or revoking a token takes effect immediately.
+ * Requires Node.js 18 or later. Put it behind HTTPS before agents use it outside localhost.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const API_KEY = process.env.OPENAI_API_KEY;
+const TOKENS_FILE = path.resolve(process.env.RELAY_TOKENS_FILE || 'relay-tokens.json');
+const MODELS = (process.env.RELAY_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+const UPSTREAM_URL = (process.env.UPSTREAM_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const PORT = parseInt(process.env.PORT) || 8787;
+
+// Upstream headers passed back so the extension can honour rate limits
+const FORWARDED_HEADERS = ['content-type', 'retry-after', 'x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens'];
+
+if (!API_KEY) {
+  console.error('Relay: OPENAI_API_KEY is not set');
+  process.exit(1);
+}
+
+function loadTokens() {
+  try {
+    return JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+  } catch (error) {
+    console.error(`Relay: Could not read ${TOKENS_FILE}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Find the agent for the request's bearer token
+ * @returns {Object|null} { agent } or null when the token is unknown or revoked
+ */
+function authenticate(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '').trim();
+  const tokens = loadTokens();
+
+  // Only the file's own keys: inherited ones such as "constructor" are not tokens
+  const entry = token && tokens && Object.hasOwn(tokens, token) ? tokens[token] : null;
+
+  if (typeof entry === 'string') {
+    return entry ? { agent: entry } : null;
+  }
+
+  const isAgent = !!entry && Object.getPrototypeOf(entry) === Object.prototype && typeof entry.agent === 'string';
+  if (!isAgent || entry.revoked) {
+    return null;
+  }
+
+  return entry;
+}
+
+function setCorsHeaders(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Agent-Name, X-Agent-Platform, X-Client-Version');
+  res.setHeader('Access-Control-Expose-Headers', FORWARDED_HEADERS.join(', '));
+  res.setHeader('Vary', 'Origin');
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { message } }));
+}
+
+// X-Agent-Name is URI-encoded by the extension; a malformed value is logged as sent
+function decodeHeader(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function handleCompletion(req, res) {
+  const identity = authenticate(req);
+  if (!identity) {
+    sendError(res, 401, 'Unknown or revoked agent token');
+    return;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (error) {
+    sendError(res, 400, 'Request body is not valid JSON');
+    return;
+  }
+
+  if (MODELS.length > 0 && !MODELS.includes(body.model)) {
+    sendError(res, 400, `Model ${body.model} is not allowed by the relay. Allowed: ${MODELS.join(', ')}`);
+    return;
+  }
+
+  const started = Date.now();
+  const upstream = await fetch(`${UPSTREAM_URL}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+
+  const headers = {};
+  FORWARDED_HEADERS.forEach(name => {
+    if (upstream.headers.has(name)) {
+      headers[name] = upstream.headers.get(name);
+    }
+  });
+  res.writeHead(upstream.status, headers);
+
+  // Streamed responses are passed through chunk by chunk
+  if (upstream.body) {
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+    }
+  }
+  res.end();
+
+  const agentName = req.headers['x-agent-name'] ? decodeHeader(req.headers['x-agent-name']) : '-';
+  console.log([
+    new Date().toISOString(),
+    `agent=${JSON.stringify(identity.agent)}`,
+    `name=${JSON.stringify(agentName)}`,
+    `platform=${req.headers['x-agent-platform'] || '-'}`,
+    `model=${body.model}`,
+    `stream=${!!body.stream}`,
+    `status=${upstream.status}`,
+    `ms=${Date.now() - started}`
+  ].join(' '));
+}
+
+const server = http.createServer(async (req, res) => {
+  setCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (req.method !== 'POST' || !/^(\/v1)?\/chat\/completions$/.test(pathname)) {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+
+  try {
+    await handleCompletion(req, res);
+  } catch (error) {
+    console.error('Relay: Request failed:', error);
+    if (!res.headersSent) {
+      sendError(res, 502, 'The relay could not reach the upstream API');
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Relay: Listening on http://localhost:${PORT}/v1 (tokens from ${TOKENS_FILE})`);
+});
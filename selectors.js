@@ -0,0 +1,231 @@
+// Selector profiles page: override the bundled selectors per platform and test them on the help desk tab
+
+const PLATFORM_NAMES = {
+  freescout: 'FreeScout',
+  helpscout: 'Help Scout',
+  zendesk: 'Zendesk',
+  intercom: 'Intercom',
+  freshdesk: 'Freshdesk',
+  gmail: 'Gmail'
+};
+
+// The tab the popup was opened on, passed as ?tabId=
+const tabId = parseInt(new URLSearchParams(location.search).get('tabId')) || null;
+
+let bundled = null;
+let overrides = {};
+let teamConfig = null;
+let personalOverrides = [];
+let testTimer = null;
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+function setStatus(message) {
+  document.getElementById('status').textContent = message;
+}
+
+function isLocked() {
+  return TeamConfig.isLocked(teamConfig, SelectorProfiles.STORAGE_KEY);
+}
+
+// Overrides as entered, by key
+function enteredOverrides() {
+  return Object.fromEntries(Array.from(document.querySelectorAll('#selectors input'))
+    .map(input => [input.dataset.key, input.value.trim()]));
+}
+
+// The selectors the adapter would use: the override where one is entered, else the bundled one
+function effectiveSelectors() {
+  const entered = enteredOverrides();
+  return Object.fromEntries(Object.entries(bundled.selectors)
+    .map(([key, selector]) => [key, entered[key] || selector]));
+}
+
+// Ask the content script on the help desk tab; null when it isn't there
+async function queryTab(selectors) {
+  if (!tabId) return null;
+
+  try {
+    return await chrome.tabs.sendMessage(tabId, { action: 'testSelectors', selectors });
+  } catch (error) {
+    return null;
+  }
+}
+
+function showNotice() {
+  const notice = document.getElementById('notice');
+  const entry = overrides[bundled.platform];
+  const messages = [];
+
+  if (isLocked()) {
+    messages.push('Your team configuration locks the selector overrides, so they can\'t be changed here.');
+  }
+  if (entry && entry.version !== bundled.version) {
+    messages.push(`These overrides were made for version ${escapeHtml(entry.version ?? '?')} of the ${PLATFORM_NAMES[bundled.platform]} profile; ` +
+      `the extension now ships version ${bundled.version}. Test them, and clear any the new profile has fixed.`);
+  }
+
+  notice.innerHTML = messages.join('<br />');
+  notice.style.display = messages.length > 0 ? 'block' : 'none';
+}
+
+function render() {
+  const saved = overrides[bundled.platform]?.selectors || {};
+  const disabled = isLocked() ? 'disabled' : '';
+
+  document.getElementById('selectors').innerHTML = Object.entries(bundled.selectors).map(([key, selector]) => `
+    <tr>
+      <td class="key">${escapeHtml(key)}</td>
+      <td class="bundled"><code>${escapeHtml(selector)}</code></td>
+      <td class="override"><input type="text" data-key="${escapeHtml(key)}" value="${escapeHtml(saved[key] || '')}" placeholder="Bundled selector" ${disabled} /></td>
+      <td class="count" data-key="${escapeHtml(key)}">–</td>
+      <td><button type="button" class="btn reset" data-key="${escapeHtml(key)}" title="Use the bundled selector" ${disabled}>Reset</button></td>
+    </tr>
+  `).join('');
+
+  document.getElementById('save').disabled = isLocked();
+  document.getElementById('clearAll').disabled = isLocked();
+  showNotice();
+  validateInputs();
+}
+
+// Mark overrides that don't parse
+function validateInputs() {
+  document.querySelectorAll('#selectors input').forEach(input => {
+    const value = input.value.trim();
+    input.classList.toggle('invalid', !!value && !SelectorProfiles.isValid(value));
+  });
+}
+
+async function runTest() {
+  if (!tabId) return;
+
+  const response = await queryTab(effectiveSelectors());
+  const counts = response?.counts || {};
+
+  if (!response) {
+    document.getElementById('tabInfo').textContent = 'The help desk tab isn\'t reachable. Reload it, then test again.';
+  }
+
+  document.querySelectorAll('#selectors td.count').forEach(cell => {
+    const count = counts[cell.dataset.key];
+
+    if (count === undefined) {
+      cell.textContent = '–';
+      cell.className = 'count';
+    } else if (count === null) {
+      cell.textContent = 'Invalid';
+      cell.className = 'count count-invalid';
+    } else {
+      cell.textContent = count;
+      cell.className = `count ${count > 0 ? 'count-ok' : 'count-none'}`;
+    }
+  });
+}
+
+// Re-test shortly after typing stops
+function scheduleTest() {
+  clearTimeout(testTimer);
+  testTimer = setTimeout(runTest, 300);
+}
+
+async function showPlatform(platform) {
+  try {
+    bundled = await SelectorProfiles.fetchBundled(platform);
+  } catch (error) {
+    setStatus(error.message);
+    return;
+  }
+
+  setStatus(`Profile version ${bundled.version}`);
+  render();
+  runTest();
+}
+
+document.getElementById('platform').addEventListener('change', (e) => {
+  showPlatform(e.target.value);
+});
+
+document.getElementById('selectors').addEventListener('input', () => {
+  validateInputs();
+  scheduleTest();
+});
+
+document.getElementById('selectors').addEventListener('click', (e) => {
+  if (!e.target.classList.contains('reset')) return;
+
+  document.querySelector(`#selectors input[data-key="${CSS.escape(e.target.dataset.key)}"]`).value = '';
+  validateInputs();
+  runTest();
+});
+
+document.getElementById('test').addEventListener('click', runTest);
+
+document.getElementById('clearAll').addEventListener('click', () => {
+  document.querySelectorAll('#selectors input').forEach(input => {
+    input.value = '';
+  });
+  validateInputs();
+  runTest();
+  setStatus('Overrides cleared; save to apply.');
+});
+
+document.getElementById('save').addEventListener('click', async () => {
+  const entered = enteredOverrides();
+  const invalid = Object.keys(entered).filter(key => entered[key] && !SelectorProfiles.isValid(entered[key]));
+
+  if (invalid.length > 0) {
+    alert(`These selectors are not valid CSS: ${invalid.join(', ')}`);
+    return;
+  }
+
+  const next = SelectorProfiles.withOverrides(overrides, bundled, entered);
+
+  // Differing from the team's overrides makes them the agent's own, so a team refresh keeps them
+  personalOverrides = personalOverrides
+    .filter(key => key !== SelectorProfiles.STORAGE_KEY)
+    .concat(TeamConfig.overrides(teamConfig, { [SelectorProfiles.STORAGE_KEY]: next }));
+
+  await chrome.storage.local.set({ [SelectorProfiles.STORAGE_KEY]: next, personalOverrides });
+  overrides = next;
+
+  render();
+  runTest();
+  setStatus('Saved. Open help desk tabs use the new selectors from the next reply.');
+});
+
+async function initialize() {
+  const stored = await chrome.storage.local.get([SelectorProfiles.STORAGE_KEY, TeamConfig.STORAGE_KEY, 'personalOverrides']);
+  overrides = stored[SelectorProfiles.STORAGE_KEY] || {};
+  teamConfig = stored[TeamConfig.STORAGE_KEY] || null;
+  personalOverrides = stored.personalOverrides || [];
+
+  const picker = document.getElementById('platform');
+  picker.innerHTML = SelectorProfiles.PLATFORMS
+    .map(platform => `<option value="${platform}">${PLATFORM_NAMES[platform]}</option>`)
+    .join('');
+
+  // Start with the platform detected on the help desk tab
+  const response = await queryTab({});
+  const tabInfo = document.getElementById('tabInfo');
+
+  if (response) {
+    tabInfo.textContent = `Testing on: ${response.title}${response.platform ? '' : ' (no supported help desk detected)'}`;
+  } else if (tabId) {
+    tabInfo.textContent = 'The help desk tab isn\'t reachable. Reload it, then test again.';
+  } else {
+    tabInfo.textContent = 'Open this page from the extension popup on a help desk tab to test selectors there.';
+  }
+
+  if (response?.platform && SelectorProfiles.PLATFORMS.includes(response.platform)) {
+    picker.value = response.platform;
+  }
+
+  showPlatform(picker.value);
+}
+
+initialize();
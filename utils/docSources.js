@@ -0,0 +1,125 @@
+/**
+ * Documentation Sources
+ * Normalizes the configured doc sources and routes conversations to the sources they need
+ * Also loaded by the background service worker (via importScripts) to apply team doc sources
+ */
+
+(function(global) {
+  'use strict';
+
+  class DocSources {
+  static DEFAULT_REFRESH_HOURS = 24;
+
+  // Route types: what a rule pattern is matched against
+  static ROUTE_TYPES = {
+    'mailbox': 'Mailbox / Inbox',
+    'url': 'URL pattern',
+    'tag': 'Tag'
+  };
+
+  /**
+   * Get the configured sources, migrating the legacy single docsUrl setting
+   * @param {Object} settings - Stored settings
+   * @returns {Array} [{ id, name, url, refreshHours, enabled }]
+   */
+  static fromSettings(settings) {
+    if (Array.isArray(settings.docSources)) {
+      return settings.docSources.map(source => this.normalize(source));
+    }
+
+    if (settings.docsUrl) {
+      return [this.normalize({ id: 'default', name: 'Default', url: settings.docsUrl })];
+    }
+
+    return [];
+  }
+
+  /**
+   * Fill in defaults for a source
+   */
+  static normalize(source) {
+    return {
+      id: source.id || this.generateId(),
+      name: (source.name || '').trim() || source.url || 'Untitled',
+      url: (source.url || '').trim(),
+      refreshHours: parseFloat(source.refreshHours) || this.DEFAULT_REFRESH_HOURS,
+      enabled: source.enabled !== false
+    };
+  }
+
+  static generateId() {
+    return 'src_' + Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+  }
+
+  /**
+   * Pick the sources for a conversation
+   * Sources from every matching rule are used; when no rule matches, the sources
+   * that no rule targets act as the default set
+   * @param {Array} sources - From fromSettings()
+   * @param {Array} routes - [{ type, pattern, sourceIds }]
+   * @param {Object|null} meta - From getConversationMeta()
+   * @returns {Array} Enabled sources with a URL
+   */
+  static selectForConversation(sources, routes, meta) {
+    const usable = sources.filter(source => source.enabled && source.url);
+    const rules = (routes || []).filter(route => route.pattern && route.sourceIds?.length);
+
+    if (rules.length === 0) {
+      return usable;
+    }
+
+    const matchedIds = new Set();
+    rules.forEach(route => {
+      if (this.matchesRoute(route, meta)) {
+        route.sourceIds.forEach(id => matchedIds.add(id));
+      }
+    });
+
+    if (matchedIds.size > 0) {
+      return usable.filter(source => matchedIds.has(source.id));
+    }
+
+    const routedIds = new Set(rules.flatMap(route => route.sourceIds));
+    return usable.filter(source => !routedIds.has(source.id));
+  }
+
+  /**
+   * Check a routing rule against conversation metadata
+   */
+  static matchesRoute(route, meta) {
+    if (!meta) return false;
+
+    const pattern = this.patternToRegExp(route.pattern, route.type === 'url');
+
+    switch (route.type) {
+      case 'mailbox':
+        return [meta.mailboxId, meta.mailboxName]
+          .filter(value => value !== null && value !== undefined && value !== '')
+          .some(value => pattern.test(String(value)));
+      case 'url':
+        return !!meta.url && pattern.test(meta.url);
+      case 'tag':
+        return (meta.tags || []).some(tag => pattern.test(tag));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Convert a case-insensitive pattern with * wildcards to a RegExp
+   * @param {string} pattern
+   * @param {boolean} partial - Match anywhere instead of the whole value
+   */
+  static patternToRegExp(pattern, partial = false) {
+    const escaped = pattern.trim()
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(partial ? escaped : `^${escaped}$`, 'i');
+  }
+}
+
+  // Export to global scope (window in pages, self in the service worker)
+  global.DocSources = DocSources;
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,213 @@
+/**
+ * Documentation Retriever
+ * Splits parsed documentation into chunks and ranks them against a query with BM25
+ * Runs in the background service worker (loaded via importScripts)
+ */
+
+(function(global) {
+  'use strict';
+
+  class DocsRetriever {
+  // Bump when the index format changes so stale cached indexes are rebuilt
+  static INDEX_VERSION = 1;
+
+  // Target chunk size in characters (~300 tokens)
+  static CHUNK_SIZE = 1200;
+
+  // BM25 tuning parameters
+  static K1 = 1.2;
+  static B = 0.75;
+
+  static STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does',
+    'for', 'from', 'has', 'have', 'hi', 'hello', 'how', 'i', 'if', 'in', 'is', 'it',
+    'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'please', 'so', 'that',
+    'the', 'their', 'them', 'then', 'there', 'these', 'this', 'to', 'thanks', 'was',
+    'we', 'were', 'what', 'when', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+  ]);
+
+  /**
+   * Rough token estimate (~4 characters per token)
+   * @param {string} text
+   * @returns {number}
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Split text into lowercase search terms
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  static tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(term => term.length > 1 && !this.STOP_WORDS.has(term));
+  }
+
+  /**
+   * Split documents into paragraph-aligned chunks
+   * @param {Array} docs - Parsed docs ({title, content, url})
+   * @returns {Array} Chunks ({title, content, url})
+   */
+  static chunkDocs(docs) {
+    const chunks = [];
+
+    (docs || []).forEach(doc => {
+      const paragraphs = (doc.content || '').split(/\n\s*\n|\n(?=[-*#] )/);
+      let current = '';
+
+      const pushChunk = () => {
+        if (current.trim()) {
+          chunks.push({ title: doc.title, url: doc.url || '', content: current.trim() });
+        }
+        current = '';
+      };
+
+      paragraphs.forEach(paragraph => {
+        if (current && (current.length + paragraph.length) > this.CHUNK_SIZE) {
+          pushChunk();
+        }
+
+        // Hard-split paragraphs that are larger than a chunk on their own
+        if (paragraph.length > this.CHUNK_SIZE) {
+          for (let i = 0; i < paragraph.length; i += this.CHUNK_SIZE) {
+            current = paragraph.slice(i, i + this.CHUNK_SIZE);
+            pushChunk();
+          }
+          return;
+        }
+
+        current += (current ? '\n\n' : '') + paragraph;
+      });
+
+      pushChunk();
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Build a BM25 index that can be persisted to chrome.storage
+   * @param {Array} docs - Parsed docs ({title, content, url})
+   * @returns {Object} Index
+   */
+  static buildIndex(docs) {
+    const chunks = this.chunkDocs(docs);
+    // No prototype, so terms such as "constructor" are counted like any other word
+    const documentFrequency = Object.create(null);
+    let totalLength = 0;
+
+    const indexedChunks = chunks.map(chunk => {
+      // Titles are repeated so matches there weigh more
+      const terms = this.tokenize(`${chunk.title} ${chunk.title} ${chunk.content}`);
+      const termFrequency = Object.create(null);
+
+      terms.forEach(term => {
+        termFrequency[term] = (termFrequency[term] || 0) + 1;
+      });
+
+      Object.keys(termFrequency).forEach(term => {
+        documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+      });
+
+      totalLength += terms.length;
+
+      return { ...chunk, length: terms.length, tf: termFrequency };
+    });
+
+    return {
+      version: this.INDEX_VERSION,
+      builtAt: Date.now(),
+      chunks: indexedChunks,
+      df: documentFrequency,
+      avgLength: indexedChunks.length > 0 ? totalLength / indexedChunks.length : 0
+    };
+  }
+
+  /**
+   * Check that a persisted index can be used
+   */
+  static isValidIndex(index) {
+    return !!(index && index.version === this.INDEX_VERSION && Array.isArray(index.chunks));
+  }
+
+  /**
+   * Score every chunk of an index against query terms with BM25
+   * @returns {Array} [{ chunk, score, source }] for chunks with a positive score
+   */
+  static scoreChunks(index, queryTerms) {
+    if (!this.isValidIndex(index) || index.chunks.length === 0) {
+      return [];
+    }
+
+    const totalChunks = index.chunks.length;
+
+    return index.chunks.map(chunk => {
+      let score = 0;
+
+      queryTerms.forEach(term => {
+        // Persisted indexes come back as plain objects, so only their own keys are terms
+        const tf = Object.hasOwn(chunk.tf, term) ? chunk.tf[term] : 0;
+        if (!tf) return;
+
+        const df = Object.hasOwn(index.df, term) ? index.df[term] : 0;
+        const idf = Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5));
+        const norm = tf + this.K1 * (1 - this.B + this.B * (chunk.length / (index.avgLength || 1)));
+
+        score += idf * (tf * (this.K1 + 1)) / norm;
+      });
+
+      return { chunk, score, source: index.source || '' };
+    }).filter(result => result.score > 0);
+  }
+
+  /**
+   * Rank chunks against a query and pick the best ones within a token budget
+   * @param {Object|Array} indexes - One or more indexes from buildIndex()
+   * @param {string} query - Search text (e.g. the customer's latest messages)
+   * @param {Object} options - { maxChunks, tokenBudget }
+   * @returns {Array} Chunks ({title, content, url, source, score, tokens}) in rank order
+   */
+  static search(indexes, query, options = {}) {
+    const maxChunks = options.maxChunks || 8;
+    const tokenBudget = options.tokenBudget || 4000;
+
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    const scored = [].concat(indexes)
+      .flatMap(index => this.scoreChunks(index, queryTerms))
+      .sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let usedTokens = 0;
+
+    for (const { chunk, score, source } of scored) {
+      if (selected.length >= maxChunks) break;
+
+      const tokens = this.estimateTokens(chunk.content);
+      if (usedTokens + tokens > tokenBudget) continue;
+
+      usedTokens += tokens;
+      selected.push({
+        title: chunk.title,
+        content: chunk.content,
+        url: chunk.url,
+        source: source,
+        score: Math.round(score * 100) / 100,
+        tokens: tokens
+      });
+    }
+
+    return selected;
+  }
+}
+
+  // Export to global scope (window in pages, self in the service worker)
+  global.DocsRetriever = DocsRetriever;
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,143 @@
+/**
+ * Feedback Export
+ * Serializes feedback entries to JSON and CSV, and validates and merges imported entries
+ * Loaded by the feedback dashboard and the background service worker (via importScripts)
+ */
+
+(function(global) {
+  'use strict';
+
+  class FeedbackExport {
+  static FORMAT = 'gpt-assistant-feedback';
+  static VERSION = 1;
+
+  static CSV_COLUMNS = [
+    'id', 'date', 'rating', 'platform', 'provider', 'model', 'promptVersion', 'experimentArm',
+    'customerName', 'customerEmail', 'customerCompany', 'chosenStyle', 'draftKeptPercent', 'editDistance',
+    'implicitRating', 'notes', 'generatedResponse', 'conversationContext', 'url'
+  ];
+
+  /**
+   * Build a JSON backup
+   * @param {Array} entries - Feedback entries
+   * @param {Object|null} analysis - The stored feedbackAnalysis
+   * @returns {string}
+   */
+  static toJSON(entries, analysis = null) {
+    return JSON.stringify({
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      entries: entries || [],
+      feedbackAnalysis: analysis || null
+    }, null, 2);
+  }
+
+  /**
+   * Build a CSV with one row per entry, for spreadsheets
+   * @param {Array} entries - Feedback entries
+   * @returns {string}
+   */
+  static toCSV(entries) {
+    const rows = (entries || []).map(entry => {
+      const info = entry.customerInfo || {};
+
+      return [
+        entry.id,
+        entry.timestamp ? new Date(entry.timestamp).toISOString() : '',
+        entry.rating || '',
+        entry.platform,
+        entry.provider,
+        entry.model,
+        entry.promptVersionName,
+        entry.experimentArm,
+        info.name,
+        info.email,
+        info.company,
+        entry.chosenStyle,
+        entry.editMetrics?.keptPercent,
+        entry.editMetrics?.editDistance,
+        entry.implicitRating,
+        entry.notes,
+        entry.generatedResponse,
+        (entry.conversationContext || []).map(message => message.content).join('\n---\n'),
+        entry.url
+      ].map(value => this.escapeCSV(value)).join(',');
+    });
+
+    return [this.CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  }
+
+  static escapeCSV(value) {
+    let text = value == null ? '' : String(value);
+
+    // Keep spreadsheets from evaluating customer text as a formula
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Read the entries from a JSON backup (or a bare array of entries)
+   * @param {string} text - File contents
+   * @returns {Array} Valid entries
+   * @throws {Error} When the file is not a feedback export
+   */
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+
+    const entries = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(entries)) {
+      throw new Error('The file does not contain feedback entries.');
+    }
+
+    return entries.filter(entry => this.isValidEntry(entry));
+  }
+
+  static isValidEntry(entry) {
+    return !!entry && typeof entry === 'object' &&
+      typeof entry.id === 'string' && entry.id.length > 0 &&
+      typeof entry.timestamp === 'number' &&
+      [null, undefined, 'positive', 'negative'].includes(entry.rating);
+  }
+
+  /**
+   * Merge an imported entry into the stored one with the same id
+   * The stored entry wins; the imported one only fills in what it is missing
+   * (e.g. a rating or notes added on another machine)
+   * @param {Object|undefined} existing
+   * @param {Object} imported
+   * @returns {Object|null} The entry to store, or null when nothing changes
+   */
+  static mergeEntry(existing, imported) {
+    if (!existing) {
+      return imported;
+    }
+
+    const merged = { ...existing };
+    let changed = false;
+
+    Object.entries(imported).forEach(([key, value]) => {
+      const current = merged[key];
+      const missing = current == null || current === '' || (Array.isArray(current) && current.length === 0);
+
+      if (missing && value != null && value !== '') {
+        merged[key] = value;
+        changed = true;
+      }
+    });
+
+    return changed ? merged : null;
+  }
+}
+
+  // Export to global scope (window in pages, self in the service worker)
+  global.FeedbackExport = FeedbackExport;
+})(typeof window !== 'undefined' ? window : self);
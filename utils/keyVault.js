@@ -0,0 +1,114 @@
+/**
+ * Key Vault
+ * Keeps the provider API key encrypted with a passphrase (WebCrypto) or only for the browser session
+ * Loaded by the popup and the background service worker (via importScripts)
+ */
+
+(function(global) {
+  'use strict';
+
+  class KeyVault {
+  // keyStorage setting values
+  static MODES = ['plain', 'encrypted', 'session'];
+
+  // chrome.storage.session key holding the unlocked API key
+  static SESSION_KEY = 'unlockedApiKey';
+
+  static ITERATIONS = 250000;
+
+  /**
+   * Whether a mode needs the key to be unlocked for each browser session
+   * @param {string} mode - keyStorage setting
+   * @returns {boolean}
+   */
+  static isProtected(mode) {
+    return mode === 'encrypted' || mode === 'session';
+  }
+
+  /**
+   * Encrypt an API key with a passphrase
+   * @param {string} apiKey
+   * @param {string} passphrase
+   * @returns {Promise<Object>} { salt, iv, data, iterations } as base64, to store as encryptedKey
+   */
+  static async encrypt(apiKey, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+
+    return {
+      salt: this.toBase64(salt),
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(data)),
+      iterations: this.ITERATIONS
+    };
+  }
+
+  /**
+   * Decrypt a stored key
+   * @param {Object} record - From encrypt()
+   * @param {string} passphrase
+   * @returns {Promise<string>}
+   * @throws {Error} When the passphrase is wrong or the record is damaged
+   */
+  static async decrypt(record, passphrase) {
+    try {
+      const key = await this.deriveKey(passphrase, this.fromBase64(record.salt), record.iterations || this.ITERATIONS);
+      const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(record.iv) }, key, this.fromBase64(record.data));
+      return new TextDecoder().decode(data);
+    } catch (error) {
+      throw new Error('Wrong passphrase.');
+    }
+  }
+
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  static toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Get the unlocked key; chrome.storage.session is cleared when the browser closes
+   * @returns {Promise<string>} Empty when locked
+   */
+  static async getSessionKey() {
+    const result = await chrome.storage.session.get(this.SESSION_KEY);
+    return result[this.SESSION_KEY] || '';
+  }
+
+  static async setSessionKey(apiKey) {
+    await chrome.storage.session.set({ [this.SESSION_KEY]: apiKey });
+  }
+
+  static async lock() {
+    await chrome.storage.session.remove(this.SESSION_KEY);
+  }
+
+  /**
+   * Get the API key to use with the stored settings
+   * @param {Object} settings - Stored settings
+   * @returns {Promise<string>} Empty when a protected key is locked
+   */
+  static async resolveKey(settings) {
+    return this.isProtected(settings.keyStorage) ? this.getSessionKey() : (settings.openaiKey || '');
+  }
+}
+
+  // Export to global scope (window in pages, self in the service worker)
+  global.KeyVault = KeyVault;
+})(typeof window !== 'undefined' ? window : self);
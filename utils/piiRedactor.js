@@ -0,0 +1,222 @@
+/**
+ * PII Redactor
+ * Replaces personal data with stable placeholders before a prompt is sent to the model,
+ * and puts the original values back into the reply
+ */
+
+(function(global) {
+  'use strict';
+
+  class PIIRedactor {
+  // Detectors in the order they run; earlier ones win where matches overlap
+  static TYPES = {
+    email: {
+      label: 'Email addresses',
+      placeholder: 'EMAIL',
+      pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+    },
+    url: {
+      label: 'Website URLs',
+      placeholder: 'URL',
+      pattern: /\bhttps?:\/\/[^\s<>"')\]]+/gi,
+      optional: true
+    },
+    apiKey: {
+      label: 'API keys and tokens',
+      placeholder: 'API_KEY',
+      pattern: /\b(?:(?:sk|pk|rk)[-_][A-Za-z0-9_-]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{30,}|xox[abprs]-[A-Za-z0-9-]{10,}|(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,})\b/g
+    },
+    licenseKey: {
+      label: 'License keys',
+      placeholder: 'LICENSE_KEY',
+      pattern: /\b(?=[A-Z0-9-]*\d)(?=[A-Z0-9-]*[A-Z])[A-Z0-9]{4,8}(?:-[A-Z0-9]{4,8}){2,}\b/gi
+    },
+    card: {
+      label: 'Credit card numbers',
+      placeholder: 'CARD',
+      pattern: /\b\d(?:[ -]?\d){12,18}\b/g
+    },
+    ip: {
+      label: 'IP addresses',
+      placeholder: 'IP',
+      pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi
+    },
+    phone: {
+      label: 'Phone numbers',
+      placeholder: 'PHONE',
+      // Separated digit groups, or an unseparated run such as 0612345678
+      pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}\b|\+?\b\d{8,15}\b/g,
+      // 8-15 digits, and not a date such as 2024-09-08 or 20240908
+      validate: (match) => {
+        const text = match.trim();
+        const digits = text.replace(/\D/g, '').length;
+        return digits >= 8 && digits <= 15 &&
+               !/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$/.test(text) &&
+               !/^(?:19|20)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])$/.test(text);
+      }
+    },
+    address: {
+      label: 'Street addresses',
+      placeholder: 'ADDRESS',
+      pattern: /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][\w'.-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Square|Sq|Terrace|Parkway|Pkwy)\b\.?|\b\d{1,4}(?:bis|ter)?,?\s+(?:[Rr]ue|[Aa]venue|[Bb]oulevard|[Pp]lace|[Cc]hemin|[Aa]llée|[Ii]mpasse|[Qq]uai)\s+(?:[\w'’-]+\s){0,3}[\w'’-]+|\b[A-ZÄÖÜ][a-zäöüß]+(?:straße|strasse|weg|gasse|platz|allee|laan|straat|gade|vej)\s+\d{1,4}[a-z]?\b|\b(?:Rue|Avenue|Boulevard|Via|Viale|Calle|Avenida|Rua|Plaza|Piazza)\s+(?:[\w'’-]+\s+){0,4}\d{1,4}\b/g
+    },
+    name: {
+      label: 'Customer name',
+      placeholder: 'NAME',
+      optional: true
+    }
+  };
+
+  /**
+   * Types enabled when the user hasn't picked any
+   * @returns {Array<string>}
+   */
+  static defaultTypes() {
+    return Object.keys(this.TYPES).filter(type => !this.TYPES[type].optional);
+  }
+
+  /**
+   * @param {Array<string>} types - Enabled detector types
+   */
+  constructor(types = PIIRedactor.defaultTypes()) {
+    this.types = types.filter(type => PIIRedactor.TYPES[type]);
+    this.valueToPlaceholder = new Map();
+    this.placeholderToValue = new Map();
+    this.counts = {};
+    this.knownValues = [];
+  }
+
+  /**
+   * Redact a value found outside the detectors (e.g. the customer's name) wherever it appears
+   * @param {string} type - A TYPES key
+   * @param {string} value
+   */
+  addKnownValue(type, value) {
+    const text = (value || '').trim();
+    if (this.types.includes(type) && text.length >= 3) {
+      this.knownValues.push({ type, value: text });
+    }
+  }
+
+  getPlaceholder(type, value) {
+    const key = `${type}:${value.toLowerCase()}`;
+    if (!this.valueToPlaceholder.has(key)) {
+      this.counts[type] = (this.counts[type] || 0) + 1;
+      const placeholder = `[${PIIRedactor.TYPES[type].placeholder}_${this.counts[type]}]`;
+      this.valueToPlaceholder.set(key, placeholder);
+      this.placeholderToValue.set(placeholder, value);
+    }
+
+    return this.valueToPlaceholder.get(key);
+  }
+
+  /**
+   * Replace personal data in a text with placeholders
+   * @param {string} text
+   * @returns {string}
+   */
+  redact(text) {
+    if (!text || typeof text !== 'string') {
+      return text;
+    }
+
+    let result = text;
+
+    this.types.forEach(type => {
+      const { pattern, validate } = PIIRedactor.TYPES[type];
+      if (!pattern) return;
+
+      result = result.replace(pattern, match => (validate && !validate(match)) ? match : this.getPlaceholder(type, match));
+    });
+
+    // Known values last, so a name inside an email address goes with the address;
+    // longest first, so a full name wins over the first name
+    [...this.knownValues].sort((a, b) => b.value.length - a.value.length).forEach(({ type, value }) => {
+      const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      result = result.replace(new RegExp(`(?<![\\w.@-])${escaped}(?![\\w@-])`, 'gi'), match => this.getPlaceholder(type, match));
+    });
+
+    return result;
+  }
+
+  /**
+   * Redact every string in an object or array (a copy is returned)
+   * @param {*} value
+   * @returns {*}
+   */
+  redactObject(value) {
+    if (typeof value === 'string') {
+      return this.redact(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactObject(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactObject(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Redact the content of chat messages
+   * @param {Array} messages - [{ role, content }]
+   * @returns {Array}
+   */
+  redactMessages(messages) {
+    return (messages || []).map(message => ({ ...message, content: this.redact(message.content) }));
+  }
+
+  /**
+   * Put the original values back into a reply
+   * @param {string} text
+   * @returns {string}
+   */
+  restore(text) {
+    if (!text || this.placeholderToValue.size === 0) {
+      return text;
+    }
+
+    return text.replace(/\[[A-Z_]+_\d+\]/g, placeholder => this.placeholderToValue.get(placeholder) ?? placeholder);
+  }
+
+  /**
+   * Restore streamed text; a placeholder split across chunks is held back until it is complete
+   * @returns {Object} { push(delta) => text, flush() => text }
+   */
+  createStreamRestorer() {
+    let pending = '';
+
+    return {
+      push: (delta) => {
+        pending += delta;
+        const open = pending.lastIndexOf('[');
+        const complete = open === -1 || pending.indexOf(']', open) !== -1 || pending.length - open > 24;
+        const ready = complete ? pending : pending.substring(0, open);
+
+        pending = complete ? '' : pending.substring(open);
+        return this.restore(ready);
+      },
+      flush: () => {
+        const rest = pending;
+        pending = '';
+        return this.restore(rest);
+      }
+    };
+  }
+
+  /**
+   * Number of distinct values redacted per type, for logging (values are never logged)
+   * @returns {Object}
+   */
+  getStats() {
+    return { ...this.counts };
+  }
+
+  hasRedactions() {
+    return this.placeholderToValue.size > 0;
+  }
+}
+
+  // Export to global scope
+  global.PIIRedactor = PIIRedactor;
+})(window);
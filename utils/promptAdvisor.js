@@ -0,0 +1,116 @@
+/**
+ * Prompt Advisor
+ * Builds the "Analyze with AI" request from negative feedback and parses the proposed prompt
+ */
+
+(function(global) {
+  'use strict';
+
+  class PromptAdvisor {
+  // Most recent negative entries sent to the model
+  static MAX_ENTRIES = 20;
+
+  // Each generated response is cut to this many characters
+  static MAX_RESPONSE_CHARS = 1200;
+
+  static INSTRUCTIONS = `You review the system prompt of an AI assistant that drafts customer support replies.
+Support agents rated some drafts negatively or rewrote most of them before sending. Each feedback entry below has a number, the agent's notes and the draft.
+
+Propose a revised system prompt that fixes the recurring problems. Keep everything in the current prompt that still applies, keep its structure and placeholders, and change only what the feedback supports. Do not address one-off problems.
+
+Answer with JSON only, in this shape:
+{"revisedPrompt": "the full revised system prompt", "rationale": [{"change": "what you changed and why", "entries": [1, 4]}]}
+Every rationale item must cite the numbers of the feedback entries it is based on.`;
+
+  /**
+   * Pick the feedback to analyze: rated negative, or mostly rewritten before sending
+   * @param {Array} entries - feedback_ entries
+   * @returns {Array} Newest first
+   */
+  static selectEntries(entries) {
+    return (entries || [])
+      .filter(entry => entry.rating === 'negative' || (!entry.rating && entry.implicitRating === 'negative'))
+      .filter(entry => entry.generatedResponse)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, this.MAX_ENTRIES);
+  }
+
+  /**
+   * Build the chat messages for the analysis
+   * @param {string} systemPrompt - The current prompt
+   * @param {Array} entries - From selectEntries()
+   * @param {PIIRedactor|null} redactor - Redacts the stored notes and drafts, which hold real customer data
+   * @returns {Array} [{ role, content }]
+   */
+  static buildMessages(systemPrompt, entries, redactor = null) {
+    const redact = (text) => redactor ? redactor.redact(text) : text;
+
+    const feedback = entries.map((entry, index) => {
+      const parts = [`[${index + 1}] ${entry.rating === 'negative' ? 'Rated negative' : `Sent with only ${entry.editMetrics?.keptPercent}% of the draft kept`}`];
+
+      if (entry.notes) {
+        parts.push(`Agent notes: ${redact(entry.notes)}`);
+      }
+      if (entry.editMetrics?.removedSentences?.length) {
+        parts.push(`Sentences the agent removed: ${entry.editMetrics.removedSentences.map(redact).join(' | ')}`);
+      }
+      if (entry.editMetrics?.addedSentences?.length) {
+        parts.push(`Sentences the agent added: ${entry.editMetrics.addedSentences.map(redact).join(' | ')}`);
+      }
+
+      // Redacted before it is cut, so a value is never left half visible
+      const response = redact(entry.generatedResponse);
+      const draft = response.length > this.MAX_RESPONSE_CHARS
+        ? response.substring(0, this.MAX_RESPONSE_CHARS) + ' […]'
+        : response;
+      parts.push(`Draft:\n${draft}`);
+
+      return parts.join('\n');
+    });
+
+    return [
+      { role: 'system', content: this.INSTRUCTIONS },
+      { role: 'user', content: `--- CURRENT SYSTEM PROMPT ---\n${systemPrompt}\n\n--- FEEDBACK ---\n${feedback.join('\n\n')}` }
+    ];
+  }
+
+  /**
+   * Read the model's answer
+   * @param {string} content - Model output
+   * @param {Array} entries - The entries that were sent, to resolve cited numbers
+   * @returns {Object} { revisedPrompt, rationale: [{ change, entries: [entry] }] }
+   * @throws {Error} When the answer has no usable prompt
+   */
+  static parseResponse(content, entries) {
+    const text = (content || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    let data;
+    try {
+      data = JSON.parse(text.substring(start, end + 1));
+    } catch (error) {
+      throw new Error('The model did not return the expected JSON. Try again or use a more capable model.');
+    }
+
+    if (typeof data.revisedPrompt !== 'string' || !data.revisedPrompt.trim()) {
+      throw new Error('The model did not propose a revised prompt.');
+    }
+
+    return {
+      revisedPrompt: data.revisedPrompt.trim(),
+      rationale: (Array.isArray(data.rationale) ? data.rationale : [])
+        .filter(item => item && typeof item.change === 'string')
+        .map(item => ({
+          change: item.change,
+          entries: (Array.isArray(item.entries) ? item.entries : [])
+            .map(number => entries[parseInt(number) - 1])
+            .filter(Boolean)
+        }))
+    };
+  }
+}
+
+  // Export to global scope
+  global.PromptAdvisor = PromptAdvisor;
+})(window);
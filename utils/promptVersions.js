@@ -0,0 +1,148 @@
+/**
+ * Prompt Versions
+ * Named system prompt versions with a changelog, and A/B experiments between two versions
+ * Also loaded by the background service worker (via importScripts) to apply team prompts
+ */
+
+(function(global) {
+  'use strict';
+
+  class PromptVersions {
+  /**
+   * Get the stored versions, migrating the legacy single systemPrompt setting
+   * @param {Object} settings - Stored settings
+   * @returns {Array} [{ id, name, prompt, note, createdAt }] oldest first
+   */
+  static fromSettings(settings) {
+    if (Array.isArray(settings.promptVersions) && settings.promptVersions.length > 0) {
+      return settings.promptVersions.map(version => this.normalize(version));
+    }
+
+    if (settings.systemPrompt) {
+      return [this.normalize({ id: 'prompt_initial', name: 'v1', prompt: settings.systemPrompt, note: 'Initial prompt', createdAt: 0 })];
+    }
+
+    return [];
+  }
+
+  /**
+   * Fill in defaults for a version
+   */
+  static normalize(version) {
+    return {
+      id: version.id || this.generateId(),
+      name: (version.name || '').trim() || 'Untitled',
+      prompt: version.prompt || '',
+      note: (version.note || '').trim(),
+      createdAt: version.createdAt ?? Date.now()
+    };
+  }
+
+  static generateId() {
+    return 'prompt_' + Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+  }
+
+  /**
+   * Suggest a name for the next version (v1, v2, ...)
+   * @param {Array} versions
+   * @returns {string}
+   */
+  static nextName(versions) {
+    const numbers = versions
+      .map(version => parseInt((version.name.match(/^v(\d+)$/i) || [])[1]))
+      .filter(number => !isNaN(number));
+
+    return `v${Math.max(versions.length, ...numbers) + 1}`;
+  }
+
+  /**
+   * Get the active version
+   * @param {Array} versions - From fromSettings()
+   * @param {string} activeId - The activePromptVersion setting
+   * @returns {Object|null}
+   */
+  static getActive(versions, activeId) {
+    return versions.find(version => version.id === activeId) || versions[versions.length - 1] || null;
+  }
+
+  /**
+   * Pick the prompt for a generation
+   * With an experiment running, each generation is randomly assigned to version A or B
+   * @param {Object} settings - Stored settings
+   * @param {Function} random - Returns a number in [0, 1)
+   * @returns {Object} { version, arm: 'A'|'B'|null }
+   */
+  static pick(settings, random = Math.random) {
+    const versions = this.fromSettings(settings);
+    const experiment = settings.promptExperiment;
+
+    if (experiment?.enabled) {
+      const a = versions.find(version => version.id === experiment.versionA);
+      const b = versions.find(version => version.id === experiment.versionB);
+
+      if (a && b && a.id !== b.id) {
+        return random() < 0.5 ? { version: a, arm: 'A' } : { version: b, arm: 'B' };
+      }
+    }
+
+    return { version: this.getActive(versions, settings.activePromptVersion), arm: null };
+  }
+
+  /**
+   * Compare versions by their feedback and usage
+   * @param {Array} feedbackEntries - feedback_ entries tagged with promptVersion
+   * @param {Array} usageEntries - Usage ledger entries tagged with promptVersion
+   * @param {Array} versions - From fromSettings(), for names of versions still stored
+   * @returns {Array} [{ id, name, responses, rated, successRate, keptPercent, editDistance, avgCost }]
+   */
+  static summarize(feedbackEntries, usageEntries, versions = []) {
+    const stats = new Map();
+    const get = (id, name) => {
+      if (!stats.has(id)) {
+        const stored = versions.find(version => version.id === id);
+        stats.set(id, {
+          id: id,
+          name: stored?.name || name || id,
+          responses: 0, positive: 0, negative: 0, edited: 0, kept: 0, edits: 0, generations: 0, cost: 0
+        });
+      }
+      return stats.get(id);
+    };
+
+    (feedbackEntries || []).filter(entry => entry.promptVersion).forEach(entry => {
+      const row = get(entry.promptVersion, entry.promptVersionName);
+      row.responses++;
+      if (entry.rating === 'positive') row.positive++;
+      if (entry.rating === 'negative') row.negative++;
+      if (entry.editMetrics) {
+        row.edited++;
+        row.kept += entry.editMetrics.keptPercent;
+        row.edits += entry.editMetrics.editDistance;
+      }
+    });
+
+    (usageEntries || []).filter(entry => entry.promptVersion && entry.kind === 'reply').forEach(entry => {
+      const row = get(entry.promptVersion);
+      row.generations++;
+      row.cost += entry.cost || 0;
+    });
+
+    return [...stats.values()].map(row => {
+      const rated = row.positive + row.negative;
+      return {
+        id: row.id,
+        name: row.name,
+        responses: row.responses,
+        rated: rated,
+        successRate: rated > 0 ? Math.round((row.positive / rated) * 100) : null,
+        keptPercent: row.edited > 0 ? Math.round(row.kept / row.edited) : null,
+        editDistance: row.edited > 0 ? Math.round(row.edits / row.edited) : null,
+        avgCost: row.generations > 0 ? row.cost / row.generations : null
+      };
+    });
+  }
+}
+
+  // Export to global scope (window in pages, self in the service worker)
+  global.PromptVersions = PromptVersions;
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,171 @@
+/**
+ * Selector Profiles
+ * Loads the versioned selector profile bundled for each platform (selectors/{platform}.json)
+ * and applies the agent's overrides, so a changed help desk class name can be fixed without a release
+ * Loaded by the content script, before PlatformManager, and by the selector profiles page
+ */
+
+(function(global) {
+  'use strict';
+
+  class SelectorProfiles {
+  static PLATFORMS = ['freescout', 'helpscout', 'zendesk', 'intercom', 'freshdesk', 'gmail'];
+
+  // Overrides are stored as { [platform]: { version, selectors: { key: selector } } },
+  // where version is the bundled profile version they were written against
+  static STORAGE_KEY = 'selectorOverrides';
+
+  static _bundled = new Map();
+
+  /**
+   * The profile shipped with the extension
+   * @param {string} platform
+   * @returns {Promise<Object>} { platform, version, selectors }
+   * @throws {Error} When the platform has no profile or it can't be read
+   */
+  static async fetchBundled(platform) {
+    if (!this.PLATFORMS.includes(platform)) {
+      throw new Error(`No selector profile for ${platform}`);
+    }
+
+    if (!this._bundled.has(platform)) {
+      const response = await fetch(chrome.runtime.getURL(`selectors/${platform}.json`));
+      if (!response.ok) {
+        throw new Error(`Selector profile for ${platform} could not be loaded (${response.status})`);
+      }
+
+      const profile = await response.json();
+      this._bundled.set(platform, {
+        platform: platform,
+        version: profile.version || 1,
+        selectors: profile.selectors || {}
+      });
+    }
+
+    return this._bundled.get(platform);
+  }
+
+  /**
+   * The bundled profile with the agent's overrides applied
+   * Never rejects: when the overrides can't be read the bundled selectors are used as they are,
+   * and when the bundled profile can't be read either the adapter gets an empty selector map
+   * @param {string} platform
+   * @returns {Promise<Object>} See apply()
+   */
+  static async load(platform) {
+    let bundled;
+    try {
+      bundled = await this.fetchBundled(platform);
+    } catch (error) {
+      console.error('GPT Assistant: Selector profile could not be loaded, continuing without selectors:', error);
+      bundled = { platform: platform, version: null, selectors: {} };
+    }
+
+    let overrides = {};
+    try {
+      const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+      overrides = stored[this.STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('GPT Assistant: Selector overrides could not be read, using the bundled selectors:', error);
+    }
+
+    const profile = this.apply(bundled, overrides);
+
+    if (profile.stale) {
+      console.warn(`GPT Assistant: Selector overrides for ${platform} were made for profile v${profile.overrideVersion}, now v${profile.version}:`, profile.overridden);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Apply overrides to a bundled profile
+   * Overrides for keys the profile doesn't have, and selectors that don't parse, are skipped
+   * @param {Object} bundled - From fetchBundled()
+   * @param {Object} overrides - The stored selectorOverrides setting
+   * @returns {Object} { platform, version, selectors, overridden, invalid, overrideVersion, stale }
+   */
+  static apply(bundled, overrides) {
+    const entry = overrides?.[bundled.platform];
+    const selectors = { ...bundled.selectors };
+    const overridden = [];
+    const invalid = [];
+
+    Object.entries(entry?.selectors || {}).forEach(([key, selector]) => {
+      if (!(key in selectors) || typeof selector !== 'string' || !selector.trim()) return;
+
+      if (!this.isValid(selector)) {
+        console.warn('GPT Assistant: Ignoring invalid selector override', key, selector);
+        invalid.push(key);
+        return;
+      }
+
+      selectors[key] = selector.trim();
+      overridden.push(key);
+    });
+
+    const overrideVersion = overridden.length > 0 ? entry.version ?? null : null;
+
+    return {
+      platform: bundled.platform,
+      version: bundled.version,
+      selectors: selectors,
+      overridden: overridden,
+      invalid: invalid,
+      overrideVersion: overrideVersion,
+      stale: overridden.length > 0 && overrideVersion !== bundled.version
+    };
+  }
+
+  /**
+   * The selectorOverrides setting with one platform's overrides replaced
+   * Selectors left empty or equal to the bundled ones are dropped
+   * @param {Object} overrides - The stored selectorOverrides setting
+   * @param {Object} bundled - From fetchBundled()
+   * @param {Object} selectors - { key: selector } as entered
+   * @returns {Object}
+   */
+  static withOverrides(overrides, bundled, selectors) {
+    const changed = Object.fromEntries(Object.entries(selectors)
+      .map(([key, selector]) => [key, (selector || '').trim()])
+      .filter(([key, selector]) => selector && key in bundled.selectors && selector !== bundled.selectors[key]));
+
+    const result = { ...(overrides || {}) };
+    if (Object.keys(changed).length > 0) {
+      result[bundled.platform] = { version: bundled.version, selectors: changed };
+    } else {
+      delete result[bundled.platform];
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a selector parses
+   */
+  static isValid(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Number of elements each selector matches
+   * @param {Object} selectors - { key: selector }
+   * @param {Document|Element} root
+   * @returns {Object} { key: count }, with null for selectors that don't parse
+   */
+  static count(selectors, root = document) {
+    return Object.fromEntries(Object.entries(selectors).map(([key, selector]) => [
+      key,
+      this.isValid(selector) ? root.querySelectorAll(selector).length : null
+    ]));
+  }
+}
+
+  // Export to global scope
+  global.SelectorProfiles = SelectorProfiles;
+})(window);
@@ -0,0 +1,255 @@
+/**
+ * Settings
+ * The settings schema: defaults, validation, versioned migrations, and JSON export/import
+ * Loaded by the content script, the popup and the background service worker (via importScripts),
+ * after DocSources and PromptVersions
+ */
+
+(function(global) {
+  'use strict';
+
+  class Settings {
+  static FORMAT = 'gpt-assistant-settings';
+
+  // Bump with each migration below; stored as settingsVersion
+  static VERSION = 1;
+  static VERSION_KEY = 'settingsVersion';
+
+  /**
+   * Every setting with its type and default
+   * Numbers are clamped to min/max; strings with options fall back to the default when unknown;
+   * secrets are left out of exports unless asked for
+   */
+  static SCHEMA = {
+    systemPrompt: { type: 'string', default: '' },
+    promptVersions: { type: 'array', default: [] },
+    activePromptVersion: { type: 'string', default: '' },
+    promptExperiment: { type: 'object', default: null },
+    docSources: { type: 'array', default: [] },
+    docRoutes: { type: 'array', default: [] },
+    docsRetrieval: { type: 'boolean', default: true },
+    docsMaxChunks: { type: 'number', default: 8, min: 1, max: 50, integer: true },
+    docsTokenBudget: { type: 'number', default: 4000, min: 500, max: 100000, integer: true },
+    llmProvider: { type: 'string', default: 'openai' },
+    openaiKey: { type: 'string', default: '', secret: true },
+    encryptedKey: { type: 'object', default: null, secret: true },
+    keyStorage: { type: 'string', default: 'plain', options: ['plain', 'encrypted', 'session'] },
+    relayUrl: { type: 'string', default: '' },
+    customBaseUrl: { type: 'string', default: '' },
+    azureEndpoint: { type: 'string', default: '' },
+    azureApiVersion: { type: 'string', default: '' },
+    openaiModel: { type: 'string', default: 'gpt-5' },
+    fallbackModel: { type: 'string', default: '' },
+    maxRetries: { type: 'number', default: 3, min: 0, max: 6, integer: true },
+    fallbackAfter: { type: 'number', default: 2, min: 1, max: 6, integer: true },
+    temperature: { type: 'number', default: 1, min: 0, max: 2 },
+    maxTokens: { type: 'number', default: 1000, min: 50, max: 4000, integer: true },
+    tokenBudgets: { type: 'object', default: {} },
+    threadSummary: { type: 'string', default: 'extractive', options: ['extractive', 'model'] },
+    keyboardShortcut: { type: 'string', default: 'Ctrl+Shift+G' },
+    refineShortcut: { type: 'string', default: 'Ctrl+Shift+E' },
+    enableFeedback: { type: 'boolean', default: true },
+    streamResponses: { type: 'boolean', default: true },
+    reviewDrafts: { type: 'boolean', default: false },
+    variantCount: { type: 'number', default: 1, min: 1, max: 3, integer: true },
+    variantTones: { type: 'boolean', default: true },
+    piiRedaction: { type: 'boolean', default: false },
+    piiTypes: { type: 'array', default: null },
+    usageBudgets: { type: 'object', default: {} },
+    modelPrices: { type: 'object', default: {} },
+    selectorOverrides: { type: 'object', default: {} },
+    teamConfigUrl: { type: 'string', default: '' },
+    personalOverrides: { type: 'array', default: [] }
+  };
+
+  static KEYS = Object.keys(this.SCHEMA);
+
+  // Keys to read from storage: the settings, their version, and keys older versions used
+  static READ_KEYS = [...this.KEYS, this.VERSION_KEY, 'docsUrl'];
+
+  /**
+   * Migrations from each version to the next, applied in order to settings older than their version
+   * Each changes the settings in place; keys it deletes are removed from storage
+   */
+  static MIGRATIONS = [
+    {
+      version: 1,
+      // The single docs URL and system prompt became doc sources and prompt versions
+      migrate: (settings) => {
+        if (!Array.isArray(settings.docSources) && settings.docsUrl) {
+          settings.docSources = DocSources.fromSettings(settings);
+        }
+        delete settings.docsUrl;
+
+        if (!Array.isArray(settings.promptVersions) || settings.promptVersions.length === 0) {
+          const versions = PromptVersions.fromSettings(settings);
+          if (versions.length > 0) {
+            settings.promptVersions = versions;
+            settings.activePromptVersion = settings.activePromptVersion || versions[versions.length - 1].id;
+          }
+        }
+      }
+    }
+  ];
+
+  static defaults() {
+    return Object.fromEntries(this.KEYS.map(key => [key, this.copy(this.SCHEMA[key].default)]));
+  }
+
+  static copy(value) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * Check a value against its schema entry
+   * @param {string} key
+   * @param {*} value
+   * @returns {Object} { valid, value } with numbers clamped
+   */
+  static validate(key, value) {
+    const schema = this.SCHEMA[key];
+    if (!schema || value === undefined) {
+      return { valid: false };
+    }
+
+    // Settings without a default value may also be cleared
+    if (value === null) {
+      return { valid: schema.default === null, value: null };
+    }
+
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (type !== schema.type) {
+      return { valid: false };
+    }
+
+    if (schema.type === 'number') {
+      if (!isFinite(value)) {
+        return { valid: false };
+      }
+      let number = schema.integer ? Math.round(value) : value;
+      number = Math.min(Math.max(number, schema.min ?? -Infinity), schema.max ?? Infinity);
+      return { valid: true, value: number };
+    }
+
+    if (schema.options && !schema.options.includes(value)) {
+      return { valid: false };
+    }
+
+    return { valid: true, value: value };
+  }
+
+  /**
+   * Validate settings about to be saved; invalid values are replaced with their defaults
+   * @param {Object} values - Settings to save
+   * @returns {Object}
+   */
+  static clean(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => {
+      if (!this.SCHEMA[key]) {
+        return [key, value];
+      }
+
+      const result = this.validate(key, value);
+      return [key, result.valid ? result.value : this.copy(this.SCHEMA[key].default)];
+    }));
+  }
+
+  /**
+   * Run the migrations the settings haven't had yet
+   * @param {Object} stored - Stored settings (not modified)
+   * @param {number} fromVersion - Version the settings were written with
+   * @returns {Object} { settings, removed: Array<string>, changed: boolean }
+   */
+  static migrate(stored, fromVersion = stored[this.VERSION_KEY] || 0) {
+    const settings = { ...stored };
+    const pending = this.MIGRATIONS.filter(migration => migration.version > fromVersion);
+
+    pending.forEach(migration => migration.migrate(settings));
+
+    return {
+      settings: { ...settings, [this.VERSION_KEY]: this.VERSION },
+      removed: Object.keys(stored).filter(key => !(key in settings)),
+      changed: pending.length > 0
+    };
+  }
+
+  /**
+   * Settings ready to use: migrated, validated, with defaults for anything missing or invalid
+   * @param {Object} stored - Stored settings
+   * @returns {Object}
+   */
+  static normalize(stored) {
+    const { settings } = this.migrate(stored || {});
+    const result = {};
+
+    this.KEYS.forEach(key => {
+      const { valid, value } = this.validate(key, settings[key]);
+      if (!valid && settings[key] !== undefined) {
+        console.warn('GPT Assistant: Invalid setting, using the default:', key);
+      }
+      result[key] = valid ? value : this.copy(this.SCHEMA[key].default);
+    });
+
+    return result;
+  }
+
+  /**
+   * Build a settings export
+   * @param {Object} stored - Stored settings
+   * @param {Object} options - { includeSecrets }
+   * @returns {string} JSON
+   */
+  static toJSON(stored, options = {}) {
+    const settings = this.normalize(stored);
+
+    if (!options.includeSecrets) {
+      this.KEYS.filter(key => this.SCHEMA[key].secret).forEach(key => delete settings[key]);
+    }
+
+    return JSON.stringify({
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: settings
+    }, null, 2);
+  }
+
+  /**
+   * Read a settings export, migrating it if it comes from an older version
+   * Unknown and invalid settings are dropped rather than replaced with defaults
+   * @param {string} text - File contents
+   * @returns {Object} Settings to store
+   * @throws {Error} When the file is not a settings export
+   */
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+
+    if (data?.format !== this.FORMAT || !data.settings || typeof data.settings !== 'object') {
+      throw new Error('The file is not a settings export.');
+    }
+    if (data.version > this.VERSION) {
+      throw new Error('The settings were exported from a newer version of the extension. Please update it first.');
+    }
+
+    const { settings } = this.migrate(data.settings, data.version || 0);
+    const result = {};
+
+    this.KEYS.forEach(key => {
+      const { valid, value } = this.validate(key, settings[key]);
+      if (valid) {
+        result[key] = value;
+      }
+    });
+
+    return result;
+  }
+}
+
+  // Export to global scope (window in pages, self in the service worker)
+  global.Settings = Settings;
+})(typeof window !== 'undefined' ? window : self);
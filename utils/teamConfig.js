@@ -0,0 +1,168 @@
+/**
+ * Team Config
+ * Reads a shared team configuration (from a URL or chrome.storage.managed) and works out
+ * which settings it sets, which are locked, and which an agent has personally overridden
+ * Loaded by the popup and the background service worker (via importScripts), after DocSources, PromptVersions and Settings
+ */
+
+(function(global) {
+  'use strict';
+
+  class TeamConfig {
+  static STORAGE_KEY = 'teamConfig';
+
+  // Id of the prompt version holding the team's system prompt
+  static PROMPT_VERSION_ID = 'prompt_team';
+
+  static DEFAULT_REFRESH_MINUTES = 60;
+  static MIN_REFRESH_MINUTES = 15;
+
+  // Settings a team config can't set: secrets, and state the extension keeps per agent
+  static EXCLUDED = ['openaiKey', 'encryptedKey', 'promptVersions', 'activePromptVersion', 'promptExperiment', 'teamConfigUrl', 'personalOverrides'];
+
+  /**
+   * Validate a team config document
+   * @param {Object|string} data - Parsed JSON, or the JSON text
+   * @returns {Object} { name, version, refreshMinutes, settings, locked }
+   * @throws {Error} When the document is not a team config
+   */
+  static parse(data) {
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        throw new Error('The team configuration is not valid JSON.');
+      }
+    }
+
+    if (!data || typeof data !== 'object' || !data.settings || typeof data.settings !== 'object') {
+      throw new Error('The team configuration has no "settings" object.');
+    }
+
+    const settings = {};
+    Object.entries(data.settings).forEach(([key, value]) => {
+      const result = this.EXCLUDED.includes(key) ? { valid: false } : Settings.validate(key, value);
+      if (result.valid) {
+        settings[key] = this.normalizeSetting(key, result.value);
+      } else {
+        console.warn('GPT Assistant: Ignoring team setting', key);
+      }
+    });
+
+    const refreshMinutes = parseInt(data.refreshMinutes) || this.DEFAULT_REFRESH_MINUTES;
+
+    return {
+      name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Team',
+      version: data.version ?? null,
+      refreshMinutes: Math.max(refreshMinutes, this.MIN_REFRESH_MINUTES),
+      settings: settings,
+      locked: (Array.isArray(data.locked) ? data.locked : []).filter(key => key in settings)
+    };
+  }
+
+  /**
+   * Bring list and object settings into the shape the popup saves, so unchanged values compare equal
+   */
+  static normalizeSetting(key, value) {
+    switch (key) {
+      case 'docSources':
+        // Routes refer to sources by id, so sources without one get a stable id
+        return value.map((source, index) => DocSources.normalize({ id: `team_src_${index + 1}`, ...source }));
+      case 'docRoutes':
+        return value.map(route => ({
+          type: route.type || 'mailbox',
+          pattern: String(route.pattern || '').trim(),
+          sourceIds: Array.isArray(route.sourceIds) ? route.sourceIds : []
+        }));
+      case 'usageBudgets':
+        return {
+          dailySoft: parseFloat(value.dailySoft) || 0,
+          dailyHard: parseFloat(value.dailyHard) || 0,
+          monthlySoft: parseFloat(value.monthlySoft) || 0,
+          monthlyHard: parseFloat(value.monthlyHard) || 0
+        };
+      case 'modelPrices':
+        return Object.fromEntries(Object.entries(value).map(([model, price]) => {
+          const input = parseFloat(price?.input) || 0;
+          const cachedInput = parseFloat(price?.cachedInput);
+          return [model, { input, cachedInput: isNaN(cachedInput) ? input : cachedInput, output: parseFloat(price?.output) || 0 }];
+        }));
+      default:
+        return value;
+    }
+  }
+
+  static isSame(a, b) {
+    if (typeof a === 'string' && typeof b === 'string') {
+      return a.trim() === b.trim();
+    }
+    if (Array.isArray(a) && Array.isArray(b) && [...a, ...b].every(item => typeof item === 'string')) {
+      return JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  static isLocked(config, key) {
+    return !!config && config.locked.includes(key);
+  }
+
+  /**
+   * Team settings the agent has changed; only unlocked settings can be overridden
+   * @param {Object} config - From parse()
+   * @param {Object} values - Settings as saved by the popup
+   * @returns {Array<string>}
+   */
+  static overrides(config, values) {
+    if (!config) return [];
+
+    return Object.keys(config.settings).filter(key =>
+      !this.isLocked(config, key) && key in values && !this.isSame(values[key], config.settings[key]));
+  }
+
+  /**
+   * Settings to write so the stored settings follow the team config
+   * Locked settings always take the team value; unlocked ones unless the agent overrode them
+   * @param {Object} config - From parse()
+   * @param {Object} stored - Current chrome.storage.local contents
+   * @returns {Object} Settings to set
+   */
+  static apply(config, stored) {
+    const personal = stored.personalOverrides || [];
+    const updates = {};
+
+    Object.entries(config.settings).forEach(([key, value]) => {
+      if (this.isLocked(config, key) || !personal.includes(key)) {
+        updates[key] = value;
+      }
+    });
+
+    // The team prompt is kept as its own prompt version and made active
+    if ('systemPrompt' in updates) {
+      const versions = PromptVersions.fromSettings(stored);
+      const current = versions.find(version => version.id === this.PROMPT_VERSION_ID);
+
+      // A changed team prompt moves to the end of the history, like any new version
+      if (!current || current.prompt !== updates.systemPrompt) {
+        updates.promptVersions = versions.filter(version => version !== current).concat(PromptVersions.normalize({
+          id: this.PROMPT_VERSION_ID,
+          name: config.version != null ? `${config.name} (${config.version})` : config.name,
+          prompt: updates.systemPrompt,
+          note: 'Team configuration'
+        }));
+      }
+
+      updates.activePromptVersion = this.PROMPT_VERSION_ID;
+
+      // A locked prompt can't be A/B tested against personal versions
+      if (this.isLocked(config, 'systemPrompt') && stored.promptExperiment?.enabled) {
+        updates.promptExperiment = { ...stored.promptExperiment, enabled: false };
+      }
+    }
+
+    return updates;
+  }
+}
+
+  // Export to global scope (window in pages, self in the service worker)
+  global.TeamConfig = TeamConfig;
+})(typeof window !== 'undefined' ? window : self);
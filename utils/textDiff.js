@@ -0,0 +1,153 @@
+/**
+ * Text Diff
+ * Compares an AI draft with the reply the agent actually sent
+ */
+
+(function(global) {
+  'use strict';
+
+  class TextDiff {
+  // Longer texts are cut before the word-level comparison (it is quadratic)
+  static MAX_WORDS = 3000;
+
+  // Removed/added sentences kept per comparison, and their maximum length
+  static MAX_SENTENCES = 10;
+  static MAX_SENTENCE_LENGTH = 300;
+
+  /**
+   * Split text into lowercase words, ignoring punctuation and formatting
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  static tokenize(text) {
+    return ((text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu) || [])
+      .slice(0, this.MAX_WORDS);
+  }
+
+  /**
+   * Split text into trimmed sentences
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  static splitSentences(text) {
+    return (text || '')
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => this.tokenize(sentence).length > 0);
+  }
+
+  /**
+   * Word-level Levenshtein distance
+   * @param {Array<string>} a
+   * @param {Array<string>} b
+   * @returns {number}
+   */
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = a[i - 1] === b[j - 1]
+          ? previous[j - 1]
+          : 1 + Math.min(previous[j - 1], previous[j], current[j - 1]);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Length of the longest common subsequence of two word lists
+   * @param {Array<string>} a
+   * @param {Array<string>} b
+   * @returns {number}
+   */
+  static commonLength(a, b) {
+    let previous = new Array(b.length + 1).fill(0);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [0];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = a[i - 1] === b[j - 1]
+          ? previous[j - 1] + 1
+          : Math.max(previous[j], current[j - 1]);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Line-by-line diff, e.g. to show a revised prompt
+   * @param {string} before
+   * @param {string} after
+   * @returns {Array} [{ type: 'same'|'removed'|'added', text }]
+   */
+  static diffLines(before, after) {
+    const a = (before || '').split('\n');
+    const b = (after || '').split('\n');
+
+    // Common-subsequence table from the end, so the walk below can go forwards
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        lines.push({ type: 'same', text: a[i++] });
+        j++;
+      } else if (i < a.length && (j === b.length || table[i + 1][j] >= table[i][j + 1])) {
+        lines.push({ type: 'removed', text: a[i++] });
+      } else {
+        lines.push({ type: 'added', text: b[j++] });
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Compare a draft with the sent reply
+   * @param {string} draft - Text that was put into the editor
+   * @param {string} sent - Editor contents when the reply was sent
+   * @returns {Object} { editDistance, keptPercent, draftWords, sentWords, removedSentences, addedSentences }
+   */
+  static compare(draft, sent) {
+    const draftWords = this.tokenize(draft);
+    const sentWords = this.tokenize(sent);
+    const kept = this.commonLength(draftWords, sentWords);
+
+    const key = sentence => this.tokenize(sentence).join(' ');
+    const draftSentences = this.splitSentences(draft);
+    const sentSentences = this.splitSentences(sent);
+    const draftKeys = new Set(draftSentences.map(key));
+    const sentKeys = new Set(sentSentences.map(key));
+
+    const pick = (sentences, otherKeys) => sentences
+      .filter(sentence => !otherKeys.has(key(sentence)))
+      .slice(0, this.MAX_SENTENCES)
+      .map(sentence => sentence.substring(0, this.MAX_SENTENCE_LENGTH));
+
+    return {
+      editDistance: this.editDistance(draftWords, sentWords),
+      keptPercent: draftWords.length > 0 ? Math.round((kept / draftWords.length) * 100) : 0,
+      draftWords: draftWords.length,
+      sentWords: sentWords.length,
+      removedSentences: pick(draftSentences, sentKeys),
+      addedSentences: pick(sentSentences, draftKeys)
+    };
+  }
+}
+
+  // Export to global scope
+  global.TextDiff = TextDiff;
+})(window);
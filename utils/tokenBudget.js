@@ -0,0 +1,194 @@
+/**
+ * Token Budget
+ * Estimates prompt size per model and fits long conversation threads into the budget
+ */
+
+(function(global) {
+  'use strict';
+
+  class TokenBudget {
+  // Context windows by model name prefix (longest matching prefix wins)
+  static CONTEXT_WINDOWS = {
+    'gpt-5': 400000,
+    'gpt-4.1': 1000000,
+    'gpt-4o': 128000,
+    'gpt-4-turbo': 128000,
+    'gpt-4': 8192,
+    'gpt-3.5-turbo': 16385,
+    'o1': 200000,
+    'o3': 200000,
+    'o4': 200000,
+    'claude': 200000,
+    'llama3.1': 128000,
+    'llama3.2': 128000,
+    'qwen2.5': 32768,
+    'mistral': 32768
+  };
+
+  // Unknown models (e.g. local servers) get a conservative window
+  static DEFAULT_CONTEXT_WINDOW = 8192;
+
+  // Large windows are capped so long threads stay well inside the request timeout
+  static MAX_PROMPT_TOKENS = 64000;
+
+  // The thread always gets at least this much, even when the system prompt is large
+  static MIN_THREAD_TOKENS = 1000;
+
+  // Upper size of the summary that replaces the middle of a long thread
+  static SUMMARY_TOKENS = 800;
+
+  // Per-message overhead of the chat format
+  static MESSAGE_OVERHEAD = 4;
+
+  /**
+   * Rough token estimate (~4 characters per token)
+   * @param {string} text
+   * @returns {number}
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Estimate the tokens of a messages array
+   * @param {Array} messages - [{ role, content }]
+   * @returns {number}
+   */
+  static estimateMessages(messages) {
+    return (messages || []).reduce((sum, message) => sum + this.estimateTokens(message.content) + this.MESSAGE_OVERHEAD, 0);
+  }
+
+  /**
+   * Look up the context window of a model
+   * @param {string} model
+   * @returns {number}
+   */
+  static getContextWindow(model) {
+    const name = (model || '').toLowerCase();
+    const prefix = Object.keys(this.CONTEXT_WINDOWS)
+      .filter(candidate => name.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.CONTEXT_WINDOWS[prefix] : this.DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /**
+   * Get the prompt budget for a model
+   * @param {string} model
+   * @param {number} maxTokens - Tokens reserved for the reply
+   * @param {Object} overrides - Per-model budgets from settings ({ [model]: tokens })
+   * @returns {Object} { budget, contextWindow, reserved, overridden }
+   */
+  static getBudget(model, maxTokens, overrides = {}) {
+    const contextWindow = this.getContextWindow(model);
+    const reserved = parseInt(maxTokens) || 1000;
+    const available = Math.max(contextWindow - reserved, 0);
+    const override = parseInt((overrides || {})[model]);
+
+    return {
+      budget: override > 0 ? Math.min(override, available) : Math.min(available, this.MAX_PROMPT_TOKENS),
+      contextWindow: contextWindow,
+      reserved: reserved,
+      overridden: override > 0
+    };
+  }
+
+  /**
+   * Cut text down to roughly a number of tokens
+   * @param {string} text
+   * @param {number} maxTokens
+   * @returns {string}
+   */
+  static truncateText(text, maxTokens) {
+    const maxChars = Math.max(maxTokens, 0) * 4;
+    if (!text || text.length <= maxChars) {
+      return text || '';
+    }
+
+    return text.substring(0, maxChars).replace(/\s+\S*$/, '') + ' […]';
+  }
+
+  /**
+   * Fit a thread into a token budget
+   * Keeps the first customer message and the most recent messages verbatim; the
+   * messages in between are returned separately so they can be summarized
+   * @param {Array} threadMessages - [{ role, content }] in chronological order
+   * @param {number} budget - Tokens available for the thread
+   * @param {number} summaryReserve - Tokens to leave for the summary of the middle
+   * @returns {Object} { messages, collapsed, tokens }
+   */
+  static fitThread(threadMessages, budget, summaryReserve = 0) {
+    const thread = threadMessages || [];
+    const total = this.estimateMessages(thread);
+
+    if (total <= budget) {
+      return { messages: thread, collapsed: [], tokens: total };
+    }
+
+    const firstIndex = thread.findIndex(message => message.role === 'user');
+    const available = Math.max(budget - summaryReserve, 0);
+    const head = [];
+    let used = 0;
+
+    if (firstIndex !== -1) {
+      // The opening customer message frames the ticket; cap it at half the budget
+      head.push({
+        ...thread[firstIndex],
+        content: this.truncateText(thread[firstIndex].content, Math.floor(available / 2))
+      });
+      used += this.estimateMessages(head);
+    }
+
+    // Walk back from the newest message while there is room
+    const recent = [];
+    let cut = thread.length - 1;
+    for (; cut > firstIndex; cut--) {
+      const tokens = this.estimateMessages([thread[cut]]);
+      if (used + tokens > available) break;
+
+      used += tokens;
+      recent.unshift(thread[cut]);
+    }
+
+    // Always keep the latest message, shortened if needed
+    if (recent.length === 0 && cut > firstIndex) {
+      const latest = {
+        ...thread[cut],
+        content: this.truncateText(thread[cut].content, available - used - this.MESSAGE_OVERHEAD)
+      };
+      used += this.estimateMessages([latest]);
+      recent.push(latest);
+      cut--;
+    }
+
+    return {
+      messages: [...head, ...recent],
+      collapsed: thread.slice(0, cut + 1).filter((_, index) => index !== firstIndex),
+      tokens: used
+    };
+  }
+
+  /**
+   * Summarize collapsed messages without a model call: the opening of each message
+   * @param {Array} messages - [{ role, content }]
+   * @param {number} maxTokens - Size of the summary
+   * @returns {string}
+   */
+  static summarizeExtractive(messages, maxTokens) {
+    if (!messages || messages.length === 0) {
+      return '';
+    }
+
+    const perMessage = Math.max(Math.floor(maxTokens / messages.length) - this.MESSAGE_OVERHEAD, 10);
+
+    return messages.map(message => {
+      const firstSentences = (message.content || '').replace(/\s+/g, ' ').trim().match(/^.*?[.!?](\s+.*?[.!?])?(\s|$)/);
+      const text = firstSentences ? firstSentences[0].trim() : message.content;
+      return `- ${this.truncateText(text, perMessage)}`;
+    }).join('\n');
+  }
+}
+
+  // Export to global scope
+  global.TokenBudget = TokenBudget;
+})(window);
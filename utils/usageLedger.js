@@ -0,0 +1,181 @@
+/**
+ * Usage Ledger
+ * Prices generations per model and sums spend for today, this week and this month
+ * Entries are stored by the background service worker (loaded via importScripts)
+ */
+
+(function(global) {
+  'use strict';
+
+  class UsageLedger {
+  static STORAGE_KEY = 'usageLedger';
+
+  // Entries older than this are pruned when new ones are recorded
+  static RETENTION_DAYS = 400;
+
+  // USD per 1M tokens by model name prefix (longest matching prefix wins)
+  static DEFAULT_PRICES = {
+    'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10 },
+    'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+    'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.4 },
+    'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 },
+    'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 },
+    'gpt-4-turbo': { input: 10, cachedInput: 10, output: 30 },
+    'gpt-3.5-turbo': { input: 0.5, cachedInput: 0.5, output: 1.5 },
+    'claude-sonnet-4': { input: 3, cachedInput: 0.3, output: 15 },
+    'claude-opus-4': { input: 15, cachedInput: 1.5, output: 75 },
+    'claude-3-5-haiku': { input: 0.8, cachedInput: 0.08, output: 4 }
+  };
+
+  /**
+   * Look up the price of a model
+   * @param {string} model
+   * @param {Object} overrides - Prices from settings ({ [model]: { input, cachedInput, output } })
+   * @returns {Object|null} { input, cachedInput, output } or null for unpriced models
+   */
+  static getPrice(model, overrides = {}) {
+    const name = (model || '').toLowerCase();
+    const prices = { ...this.DEFAULT_PRICES };
+
+    Object.entries(overrides || {}).forEach(([key, price]) => {
+      prices[key.toLowerCase()] = price;
+    });
+
+    const prefix = Object.keys(prices)
+      .filter(candidate => name.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? prices[prefix] : null;
+  }
+
+  /**
+   * Cost in USD of a normalised usage object
+   * @param {Object} usage - OpenAI-shaped usage
+   * @param {Object|null} price - From getPrice()
+   * @returns {number}
+   */
+  static calculateCost(usage, price) {
+    if (!usage || !price) return 0;
+
+    const cached = usage.prompt_tokens_details?.cached_tokens || 0;
+    const uncached = Math.max((usage.prompt_tokens || 0) - cached, 0);
+    const cachedPrice = price.cachedInput ?? price.input;
+
+    return (uncached * (price.input || 0) + cached * (cachedPrice || 0) + (usage.completion_tokens || 0) * (price.output || 0)) / 1000000;
+  }
+
+  /**
+   * Build a ledger entry, priced at the time it is recorded
+   * @param {Object} record - { provider, model, usage, latencyMs, platform, mailbox, kind, promptVersion }
+   * @param {Object} overrides - Prices from settings
+   * @returns {Object} Entry
+   */
+  static createEntry(record, overrides = {}) {
+    const usage = record.usage || {};
+    const price = this.getPrice(record.model, overrides);
+
+    return {
+      timestamp: Date.now(),
+      kind: record.kind || 'reply',
+      provider: record.provider || '',
+      model: record.model || '',
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+      latencyMs: record.latencyMs || 0,
+      platform: record.platform || '',
+      mailbox: record.mailbox || '',
+      promptVersion: record.promptVersion || '',
+      cost: this.calculateCost(record.usage, price),
+      priced: !!price
+    };
+  }
+
+  /**
+   * Start of today, this week (Monday) and this month in local time
+   * @param {number} now - Timestamp
+   * @returns {Object} { today, week, month }
+   */
+  static periodStarts(now = Date.now()) {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    const week = new Date(today);
+    week.setDate(week.getDate() - ((week.getDay() + 6) % 7));
+
+    const month = new Date(today);
+    month.setDate(1);
+
+    return { today: today.getTime(), week: week.getTime(), month: month.getTime() };
+  }
+
+  /**
+   * Sum spend and tokens per period, with a per-model breakdown for the month
+   * @param {Array} entries - Ledger entries
+   * @param {number} now - Timestamp
+   * @returns {Object} { today, week, month, byModel }
+   */
+  static summarize(entries, now = Date.now()) {
+    const starts = this.periodStarts(now);
+    const empty = () => ({ cost: 0, requests: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0 });
+    const summary = { today: empty(), week: empty(), month: empty(), byModel: {} };
+
+    (entries || []).forEach(entry => {
+      ['today', 'week', 'month'].forEach(period => {
+        if (entry.timestamp >= starts[period]) {
+          const totals = summary[period];
+          totals.cost += entry.cost || 0;
+          totals.requests++;
+          totals.promptTokens += entry.promptTokens || 0;
+          totals.completionTokens += entry.completionTokens || 0;
+          totals.cachedTokens += entry.cachedTokens || 0;
+        }
+      });
+
+      if (entry.timestamp >= starts.month) {
+        const model = entry.model || 'unknown';
+        summary.byModel[model] = summary.byModel[model] || { cost: 0, requests: 0 };
+        summary.byModel[model].cost += entry.cost || 0;
+        summary.byModel[model].requests++;
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Compare spend with the configured budgets
+   * @param {Object} summary - From summarize()
+   * @param {Object} budgets - { dailySoft, dailyHard, monthlySoft, monthlyHard } in USD (empty = off)
+   * @returns {Object} { status: 'ok'|'soft'|'hard', message }
+   */
+  static checkBudgets(summary, budgets = {}) {
+    const limits = [
+      { spent: summary.today.cost, limit: parseFloat(budgets.dailyHard), status: 'hard', label: 'daily' },
+      { spent: summary.month.cost, limit: parseFloat(budgets.monthlyHard), status: 'hard', label: 'monthly' },
+      { spent: summary.today.cost, limit: parseFloat(budgets.dailySoft), status: 'soft', label: 'daily' },
+      { spent: summary.month.cost, limit: parseFloat(budgets.monthlySoft), status: 'soft', label: 'monthly' }
+    ];
+
+    const exceeded = limits.find(({ spent, limit }) => limit > 0 && spent >= limit);
+    if (!exceeded) {
+      return { status: 'ok', message: '' };
+    }
+
+    const amounts = `${this.formatCost(exceeded.spent)} of ${this.formatCost(exceeded.limit)}`;
+    return {
+      status: exceeded.status,
+      message: exceeded.status === 'hard'
+        ? `The ${exceeded.label} AI budget has been reached (${amounts}). Generation is paused until the budget resets or is raised in the extension settings.`
+        : `The ${exceeded.label} AI budget warning level has been reached (${amounts}).`
+    };
+  }
+
+  static formatCost(cost) {
+    return `$${(cost || 0).toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+  }
+}
+
+  // Export to global scope (window in pages, self in the service worker)
+  global.UsageLedger = UsageLedger;
+})(typeof window !== 'undefined' ? window : self);